@@ -43,7 +43,12 @@ export const margin = scaled(10); // Set to match roomBoxTopPadding so outer box
 export const portSpacing = scaled(32); // Scaled for 1920x1080 resolution
 export const rowSpacing = scaled(74); // Scaled for 1920x1080 resolution
 export const sectionSpacing = scaled(74); // Scaled for 1920x1080 resolution
-export const midGapWidth = scaled(32); // width of gap between columns 24 and 25 (same as portSpacing)
+export const midGapWidth = scaled(32); // width of each gap between jack columns (same as portSpacing)
+
+// Bay geometry used when a room's manifest entry doesn't give one (2x48 with a gap between columns 24 and 25)
+export const defaultJacksPerRow = 48;
+export const defaultGapColumns = [24]; // Columns a gap follows (1-based)
+export const maxJacksPerRow = 96; // Largest jack count a manifest may declare
 
 // Canvas dimensions
 export const canvasWidth = scaled(1920); // Updated to 1920x1080 (Full HD) resolution
@@ -170,6 +175,56 @@ export function getGridCanvasBounds(origin = gridOrigin) {
 export const ringLineWidth = 3; // Thickness of cross-room signal rings
 export const ringGap = 3; // Gap between port and ring (in pixels)
 
+// Normal bar appearance (connector drawn between normalled jacks)
+export const normalBarWidth = scaled(4); // Thickness of the live normal state bar
+export const normalLinkColor = [70, 70, 70]; // Faint link showing which jacks are normalled
+export const normalIntactColor = [100, 200, 100]; // Normal passing signal
+export const normalTappedColor = [255, 190, 60]; // Half-normal source patched, still passing
+export const normalBrokenColor = [220, 80, 80]; // Normal broken by a cable
+
+// Mult jack marker (inner ring on jacks that take several cables)
+export const multMarkerColor = [30, 30, 30];
+export const multMarkerWidth = scaled(1.5);
+
+// Signal trace highlight
+export const traceHighlightColor = [255, 255, 255]; // Outline for ports and cables on a traced path
+export const traceHighlightWidth = scaled(3); // Extra width added around traced cables and ports
+
+// Search jump pulse (expanding rings around the jack a search jumped to)
+export const searchPulseColor = [255, 220, 80];
+export const searchPulseDuration = 2400; // Milliseconds the pulse runs for
+export const searchPulseCount = 3; // Rings drawn over the duration
+export const searchPulseSpread = scaled(28); // How far each ring grows beyond the jack
+
+// Signal conflict badge (dot on source jacks driving the same path as another source)
+export const conflictMarkerColor = [239, 68, 68];
+export const conflictMarkerRadius = scaled(4);
+
+// Feedback loop marking (dashed overlay on cables that close a loop)
+export const feedbackLoopColor = [249, 115, 22];
+export const feedbackLoopWidth = scaled(2);
+export const feedbackLoopDash = scaled(6);
+
+// Split view (two rooms on screen at once)
+export const linkedPortColor = [125, 211, 252]; // Ring on jacks sharing the port ID hovered in either room
+export const splitViewGap = 24; // Space between the two rooms in CSS pixels
+
+// Off-panel cable stubs (cables to a jack on another panel of the same room)
+export const panelStubLength = scaled(22); // Horizontal reach of the stub from its jack
+export const panelStubDrop = scaled(30); // How far the stub hangs below its jack
+export const panelStubLabelColor = [156, 163, 175];
+
+// View zoom and pan (applied to every canvas layer)
+export const minViewZoom = 1; // Fit to room - the whole room fills the canvas
+export const maxViewZoom = 4; // Closest zoom for reading jack labels
+export const wheelZoomSpeed = 0.0015; // Zoom change per pixel of wheel movement
+
+// localStorage key for the auto-saved patch session
+export const sessionStorageKey = 'patchBaySimulator.session';
+
+// localStorage key for the strict patching setting (refuse patches that create signal conflicts)
+export const strictPatchingStorageKey = 'patchBaySimulator.strictPatching';
+
 // Cable colors
 export const cableColors = [
   [100, 200, 255], // blue
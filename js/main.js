@@ -18,30 +18,72 @@ import {
 } from './config/constants.js';
 
 // Import models
-import { generatePortsFromRoom, getRoomTitle } from './models/Room.js';
+import { generatePortsFromRoom, getRoomTitle, findPortInRoom, findPortPanelIndex } from './models/Room.js';
+import { getRoomPanels } from './models/RoomPanels.js';
 import { getPortAt, isPortConnected } from './models/Port.js';
 import { createConnection, drawCable, findConnectionsForRoom, isPortConnectedInRoom } from './models/Connection.js';
 import { 
   initializeRegistryFromRooms, 
   registerPort, 
-  setPortSignal, 
-  removePortSignal, 
+  recomputeCrossRoomSignals,
   getPortSignalColor,
   hasPortCrossRoomSignal,
   clearRegistry,
-  setMasterSource,
-  setPortConnectionStatus,
-  getPortType,
   shouldPortShowRing
 } from './models/CrossRoomRegistry.js';
+import { initializeNormalizationsFromRooms, refreshNormalledSignals } from './models/Normalization.js';
+import { initializeMultBusesFromRooms, refreshMultBusSignals } from './models/MultBus.js';
+import { findSignalConflicts } from './models/SignalConflicts.js';
+import { findFeedbackLoops, getConnectionLoop, describeFeedbackLoop } from './models/FeedbackLoops.js';
 
 // Import UI modules
 import { draw as renderDraw } from './ui/renderer.js';
-import { mousePressed, mouseMoved, clearAllPatches, keyPressed } from './ui/interactions.js';
-import { initializeLayers, resizeAllLayers, areLayersInitialized, markAllLayersAsDirty } from './ui/layerManager.js';
+import { mousePressed, doubleClicked, mouseMoved, clearAllPatches, toggleTraceMode, keyPressed } from './ui/interactions.js';
+import {
+  initializeLayers,
+  resizeAllLayers,
+  areLayersInitialized,
+  markAllLayersAsDirty,
+  resetViewTransform,
+  screenToRoom
+} from './ui/layerManager.js';
+import { initializeViewControls, isViewPanning } from './ui/viewControls.js';
+import { initializePortSearch } from './ui/portSearch.js';
+import { initializeNavigation } from './ui/navigation.js';
+import { updateInspector } from './ui/inspector.js';
+import {
+  initializeSplitView,
+  openSplitView,
+  closeSplitView,
+  refreshSplitRoom,
+  setPrimaryRoom,
+  updateSplitViewLayout,
+  isRoomInSplitView,
+  getPanePointer,
+  drawSplitView
+} from './ui/splitView.js';
+import { openLayoutEditor, isLayoutEditorOpen } from './ui/layoutEditor.js';
+import { showRoomCheckPanel, reportRoomCheckErrors } from './ui/roomCheckPanel.js';
+import { initializePanelTabs, updatePanelTabs } from './ui/panelTabs.js';
 
 // Import utilities
-import { loadRooms, createFallbackRoom } from './utils/csvParser.js';
+import { loadRooms, createFallbackRoom, getRoomPortIds } from './utils/csvParser.js';
+import {
+  serializeSession,
+  validateSession,
+  saveSessionToStorage,
+  loadSessionFromStorage,
+  createPatchFile,
+  parsePatchFile
+} from './utils/patchSession.js';
+import { showNotice } from './ui/notice.js';
+import { clearHistory } from './models/History.js';
+import { loadLessons } from './utils/lessonLoader.js';
+import { toFileNameStem, downloadTextFile } from './utils/download.js';
+import { lintRoomCSV } from './utils/roomLinter.js';
+import { showExercisePanel } from './ui/exercisePanel.js';
+import { showChallengePanel } from './ui/challengePanel.js';
+import { updateConflictPanel, setStrictPatching, loadStrictPatching } from './ui/conflictPanel.js';
 
 // Create global app state
 const appState = {
@@ -74,6 +116,27 @@ const appState = {
   mouseY: 0,
   closestAvailablePort: null, // Track closest available port even when not holding a cable
   
+  // Signal trace state
+  traceMode: false, // When true, clicking a port traces it instead of patching
+  trace: null, // Result of the last signal trace
+  
+  // Training exercise state
+  lessons: null, // Lessons from the lessons folder (loaded on first use)
+  exercise: null, // The running exercise, if any
+  challenge: null, // The running or finished timed challenge, if any
+  
+  // Port search state
+  portPulse: null, // Jack pulsed after jumping to a search result
+  
+  // Signal conflict state
+  signalConflicts: [], // Paths driven by more than one source (from findSignalConflicts)
+  strictPatching: false, // When true, patches that would join two sources are refused
+  feedbackLoops: [], // Cables that feed a signal back on itself (from findFeedbackLoops)
+  
+  // Split view state
+  splitView: null, // { primaryRoomId, roomId, layout } while a second room is on screen
+  linkedPortId: null, // Port ID hovered in either split view room, ringed in both
+  
   // Canvas dimensions
   canvasWidth: canvasWidth,
   canvasHeight: canvasHeight,
@@ -130,6 +193,21 @@ window.setup = function() {
       markAllLayersAsDirty();
     }
     
+    // Ctrl/⌘+wheel and pinch zoom, and drag pan, over the layered canvases
+    initializeViewControls(appState);
+    
+    // Jumps to jacks in other rooms go through the room buttons and the showRoom event
+    initializeNavigation(showRoomInView, showPanelForPort);
+    
+    // The split view switches the active room without moving either room
+    initializeSplitView(focusRoom);
+    
+    // Tabs for rooms split into named panels
+    initializePanelTabs(appState, showPanel);
+    
+    // Jack search box that jumps to a port in any room
+    initializePortSearch(appState);
+    
     // Set a higher frame rate to match high refresh rate monitors
     frameRate(120); // Increase to 120 FPS for smoother animations
     
@@ -148,6 +226,7 @@ window.setup = function() {
           ports: [],
           connections: [], // Per-room connection storage
           yOffset: 0, // Will be calculated when rooms are positioned (legacy)
+          panelIndex: 0, // Panel shown for rooms split into named panels
           crossRoomSignals: {} // Track cross-room signals for this room
         };
       });
@@ -158,24 +237,41 @@ window.setup = function() {
         return acc;
       }, {}));
       
+      // Initialize the normalizations loaded with each room
+      initializeNormalizationsFromRooms(appState.rooms.reduce((acc, room) => {
+        acc[room.name] = room;
+        return acc;
+      }, {}));
+      
+      // Bus the jacks of each room's MULT groups together
+      initializeMultBusesFromRooms(appState.rooms.reduce((acc, room) => {
+        acc[room.name] = room;
+        return acc;
+      }, {}));
+      
       // Generate toggle buttons for all rooms
       generateRoomToggleButtons(rooms);
       
-      // Load server room by default
-      const serverRoom = rooms.find(room => room.name.toLowerCase().includes('server'));
-      if (serverRoom) {
-        // Activate the server room button
-        const serverButton = document.getElementById(`room-toggle-${serverRoom.name.replace(/\s+/g, '-').toLowerCase()}`);
-        if (serverButton) {
-          serverButton.classList.remove('inactive');
-          serverButton.classList.add('active');
+      // Point out room files that lose or misplace jacks
+      reportRoomCheckErrors(appState);
+      
+      // Register every room's ports so tie lines reach rooms that haven't been shown yet
+      rebuildCrossRoomSignals();
+      
+      // Restore the patch session saved before the last reload
+      const savedSession = loadSessionFromStorage();
+      const restoredRoomId = savedSession ? applyPatchSession(savedSession) : null;
+      
+      if (restoredRoomId) {
+        activateRoom(restoredRoomId);
+        console.log(`Restored saved patch session in room '${restoredRoomId}'`);
+      } else {
+        // Load the manifest's default room
+        const defaultRoom = getDefaultRoom(rooms);
+        if (defaultRoom) {
+          activateRoom(defaultRoom.name);
+          console.log(`Room '${defaultRoom.name}' loaded by default`);
         }
-        
-        // Show the server room
-        window.dispatchEvent(new CustomEvent('showRoom', { 
-          detail: { roomName: serverRoom.name } 
-        }));
-        console.log(`Server room '${serverRoom.name}' loaded by default`);
       }
       
       // Mark all layers as dirty
@@ -193,6 +289,7 @@ window.setup = function() {
           ports: [],
           connections: [], // Per-room connection storage
           yOffset: 0, // Legacy field
+          panelIndex: 0, // Panel shown for rooms split into named panels
           crossRoomSignals: {} // Track cross-room signals for this room
         };
       });
@@ -203,24 +300,26 @@ window.setup = function() {
         return acc;
       }, {}));
       
+      // Initialize normalizations for fallback rooms (none are defined)
+      initializeNormalizationsFromRooms(appState.rooms.reduce((acc, room) => {
+        acc[room.name] = room;
+        return acc;
+      }, {}));
+      
+      // Initialize mult buses for fallback rooms
+      initializeMultBusesFromRooms(appState.rooms.reduce((acc, room) => {
+        acc[room.name] = room;
+        return acc;
+      }, {}));
+      
       // Generate toggle buttons for fallback rooms
       generateRoomToggleButtons(appState.rooms);
       
-      // Load server room by default (fallback)
-      const serverRoom = appState.rooms.find(room => room.name.toLowerCase().includes('server'));
-      if (serverRoom) {
-        // Activate the server room button
-        const serverButton = document.getElementById(`room-toggle-${serverRoom.name.replace(/\s+/g, '-').toLowerCase()}`);
-        if (serverButton) {
-          serverButton.classList.remove('inactive');
-          serverButton.classList.add('active');
-        }
-        
-        // Show the server room
-        window.dispatchEvent(new CustomEvent('showRoom', { 
-          detail: { roomName: serverRoom.name } 
-        }));
-        console.log(`Server room '${serverRoom.name}' loaded by default (fallback)`);
+      // Load the default room (fallback)
+      const defaultRoom = getDefaultRoom(appState.rooms);
+      if (defaultRoom) {
+        activateRoom(defaultRoom.name);
+        console.log(`Room '${defaultRoom.name}' loaded by default (fallback)`);
       }
       
       // Mark all layers as dirty
@@ -241,6 +340,9 @@ window.setup = function() {
     // Create proper UI controls
     createControlButtons();
     
+    // Restore the strict patching setting (updates its button)
+    loadStrictPatching(appState);
+    
     // Initialize control button visibility
     updateControlButtonsVisibility();
     
@@ -259,23 +361,31 @@ function showRoom(event) {
   const room = appState.rooms.find(r => r.name === roomName);
   
   if (room && appState.roomStates[roomName]) {
+    // A room moving from the split view's second pane to the main pane closes the split view
+    if (appState.splitView && appState.splitView.roomId === roomName) {
+      closeSplitView(appState);
+    }
+    
     // Save connections for currently active room before switching
     if (appState.activeRoomId && appState.activeRoomId !== roomName) {
       saveConnectionsForRoom(appState.activeRoomId);
-      
-      // Hide the currently active room
-      if (appState.roomStates[appState.activeRoomId]) {
-        appState.roomStates[appState.activeRoomId].visible = false;
-        appState.roomStates[appState.activeRoomId].ports = [];
-      }
     }
     
+    // Hide the rooms on screen, except the split view's second room
+    Object.keys(appState.roomStates).forEach(roomId => {
+      if (roomId !== roomName && !(appState.splitView && appState.splitView.roomId === roomId)) {
+        appState.roomStates[roomId].visible = false;
+        appState.roomStates[roomId].ports = [];
+      }
+    });
+    
     // Set new active room
     appState.activeRoomId = roomName;
     appState.roomStates[roomName].visible = true;
+    setPrimaryRoom(appState, roomName);
     
     // Generate ports from the room at origin (0,0) - no Y offset
-    const { ports } = generatePortsFromRoom(room);
+    const { ports } = generatePortsFromRoom(room, appState.roomStates[roomName].panelIndex);
     appState.roomStates[roomName].ports = ports;
     
     // Register ports in the cross-room registry
@@ -298,10 +408,118 @@ function showRoom(event) {
     // Update control button visibility
     updateControlButtonsVisibility();
     
+    // Show the room's panel tabs
+    updatePanelTabs(appState);
+    
+    // Remember the active room across reloads
+    persistSession();
+    
     console.log(`Room '${roomName}' displayed as active room`);
   }
 }
 
+/**
+ * Activate a room's toggle button and show the room
+ * @param {string} roomName - The name of the room to show
+ */
+function activateRoom(roomName) {
+  // Deactivate all other room buttons first
+  document.querySelectorAll('.room-card').forEach(btn => {
+    btn.classList.remove('active');
+    btn.classList.add('inactive');
+  });
+  
+  const roomButton = document.getElementById(`room-toggle-${roomName.replace(/\s+/g, '-').toLowerCase()}`);
+  if (roomButton) {
+    roomButton.classList.remove('inactive');
+    roomButton.classList.add('active');
+  }
+  
+  window.dispatchEvent(new CustomEvent('showRoom', { 
+    detail: { roomName: roomName } 
+  }));
+}
+
+/**
+ * Make a room that is already on screen in the split view the active room, without moving either room
+ * @param {string} roomId - The room to make active
+ */
+function focusRoom(roomId) {
+  if (roomId === appState.activeRoomId || !appState.roomStates[roomId]) return;
+  
+  if (appState.activeRoomId) {
+    saveConnectionsForRoom(appState.activeRoomId);
+  }
+  
+  // A cable in hand can't be carried to another room
+  appState.activeCable = null;
+  appState.activeCableColor = null;
+  
+  appState.activeRoomId = roomId;
+  loadConnectionsForRoom(roomId);
+  updateCombinedPortsAndConnections();
+  
+  markAllLayersAsDirty();
+  updatePanelTabs(appState);
+  persistSession();
+  
+  console.log(`Room '${roomId}' is now the active room in split view`);
+}
+
+/**
+ * Show another of the active room's panels, keeping any cable in hand so it can be patched across panels
+ * @param {number} panelIndex - The panel's index
+ */
+function showPanel(panelIndex) {
+  const roomId = appState.activeRoomId;
+  const room = appState.rooms.find(r => r.name === roomId);
+  if (!room || !appState.roomStates[roomId]) return;
+  if (panelIndex === appState.roomStates[roomId].panelIndex) return;
+  if (panelIndex < 0 || panelIndex >= getRoomPanels(room).length) return;
+  
+  appState.roomStates[roomId].panelIndex = panelIndex;
+  
+  // The split view's second room keeps its own canvas size
+  if (!refreshSplitRoom(appState, roomId)) {
+    const { ports } = generatePortsFromRoom(room, panelIndex);
+    appState.roomStates[roomId].ports = ports;
+    resizeCanvasToActiveRoom();
+  }
+  
+  updateCombinedPortsAndConnections();
+  markAllLayersAsDirty();
+  updatePanelTabs(appState);
+  
+  console.log(`Panel ${panelIndex + 1} of room '${roomId}' shown`);
+}
+
+/**
+ * Show the panel of a room that holds a port (used when jumping to a jack)
+ * @param {string} roomId - The room, which must already be the active room
+ * @param {string} portId - The port ID
+ */
+function showPanelForPort(roomId, portId) {
+  if (roomId !== appState.activeRoomId) return;
+  
+  const room = appState.rooms.find(r => r.name === roomId);
+  const panelIndex = findPortPanelIndex(room, portId);
+  if (panelIndex > -1) {
+    showPanel(panelIndex);
+  }
+}
+
+/**
+ * Make a room the active room, focusing it if the split view already shows it
+ * @param {string} roomId - The room to show
+ */
+function showRoomInView(roomId) {
+  if (isRoomInSplitView(appState, roomId)) {
+    focusRoom(roomId);
+  } else {
+    activateRoom(roomId);
+  }
+}
+
 /**
  * Hide room function
  * Hides a specific room from the canvas (single room display)
@@ -310,6 +528,9 @@ function hideRoom(event) {
   const roomName = event.detail.roomName;
   
   if (appState.roomStates[roomName]) {
+    // The split view needs its main room
+    closeSplitView(appState);
+    
     // Save connections before hiding if this is the active room
     if (appState.activeRoomId === roomName) {
       saveConnectionsForRoom(roomName);
@@ -330,16 +551,34 @@ function hideRoom(event) {
     // Recalculate combined ports and connections
     updateCombinedPortsAndConnections();
     
+    // Drop any zoom so the empty-canvas message is drawn in place
+    resetViewTransform();
+    
     // Mark all layers as dirty to trigger redraw
     markAllLayersAsDirty();
     
     // Update control button visibility
     updateControlButtonsVisibility();
     
+    // No room, no panel tabs
+    updatePanelTabs(appState);
+    
+    // Remember that no room is active across reloads
+    persistSession();
+    
     console.log(`Room '${roomName}' hidden`);
   }
 }
 
+/**
+ * Get the room to show on startup
+ * @param {Array} rooms - All loaded rooms, in display order
+ * @returns {Object|null} - The room marked as default, else the first room
+ */
+function getDefaultRoom(rooms) {
+  return rooms.find(room => room.isDefault) || rooms[0] || null;
+}
+
 /**
  * Generate toggle buttons for all rooms
  */
@@ -359,22 +598,15 @@ function generateRoomToggleButtons(rooms) {
      button.className = 'room-card inactive';
      button.id = `room-toggle-${room.name.replace(/\s+/g, '-').toLowerCase()}`;
      
-     // Determine icon based on room name
-     let icon = '🎛️'; // Default icon
-     if (room.name.toLowerCase().includes('server')) {
-       icon = '🖥️';
-     } else if (room.name.toLowerCase().includes('foley')) {
-       icon = '🎬';
-     } else if (room.name.toLowerCase().includes('studio')) {
-       icon = '🎙️';
-     } else if (room.name.toLowerCase().includes('control')) {
-       icon = '🎚️';
-     }
+     // Icon and display name come from the room manifest, so they are set as text
+     const icon = document.createElement('span');
+     icon.className = 'room-icon';
+     icon.textContent = room.icon || '🎛️';
+     button.appendChild(icon);
      
-     button.innerHTML = `
-       <span class="room-icon">${icon}</span>
-       <h3>${room.name}</h3>
-     `;
+     const title = document.createElement('h3');
+     title.textContent = room.displayName || room.name;
+     button.appendChild(title);
     
     // Add click event listener for single room display
     button.addEventListener('click', () => {
@@ -459,6 +691,12 @@ function saveConnectionsForRoom(roomId) {
     // Update global connections array
     updateGlobalConnections();
     
+    // Keep the auto-saved session in step with every patch change
+    persistSession();
+    
+    // Let exercises and challenges re-check the patch
+    window.dispatchEvent(new CustomEvent('patchChanged', { detail: { roomId } }));
+    
     console.log(`Saved ${appState.connections.length} connections for room '${roomId}'`);
   }
 }
@@ -505,11 +743,20 @@ function addConnection(connection) {
   // Add to current room's connections
   appState.connections.push(connection);
   
-  // Update cross-room signals
-  updateCrossRoomSignalsForConnection(connection);
+  // Recompute cross-room and normalled signals with the new cable
+  rebuildCrossRoomSignals();
   
   // Update global connections
   updateGlobalConnections();
+  
+  // Explain a loop the moment a cable closes it
+  const loop = getConnectionLoop(appState.feedbackLoops, connection);
+  if (loop) {
+    showNotice('Feedback loop', [
+      describeFeedbackLoop(loop),
+      'A loop sends the signal back into itself and it builds up until something clips - on real speakers that howl can blow the drivers.'
+    ], 'warning');
+  }
 }
 
 /**
@@ -525,95 +772,193 @@ function removeConnection(connection) {
     appState.connections.splice(index, 1);
   }
   
-  // Clear cross-room signals for this connection
-  clearCrossRoomSignalsForConnection(connection);
+  // Recompute cross-room and normalled signals without the cable (releasing a master it held)
+  rebuildCrossRoomSignals();
   
   // Update global connections
   updateGlobalConnections();
 }
 
 /**
- * Update cross-room signals when a connection is added
- * @param {Object} connection - The connection that was added
+ * Recalculate the normalled and mult bus signals of every room
+ * The active room's connections live in appState.connections until they are saved
+ */
+function updateNormalledSignals() {
+  Object.keys(appState.roomStates).forEach(roomId => {
+    const connections = roomId === appState.activeRoomId ?
+      appState.connections :
+      appState.roomStates[roomId].connections;
+    refreshNormalledSignals(roomId, connections);
+    refreshMultBusSignals(roomId, connections);
+  });
+}
+
+/**
+ * Get the signal direction of a port in a room from the room's CSV data
+ * @param {string} portId - The port ID
+ * @param {string} roomId - The room ID
+ * @returns {string} - 'output', 'input' or 'bidirectional'
  */
-function updateCrossRoomSignalsForConnection(connection) {
-  if (!connection || !connection.roomId) return;
+function getPortDirectionInRoom(portId, roomId) {
+  const room = appState.rooms.find(r => r.name === roomId);
+  const portInfo = findPortInRoom(room, portId);
+  return portInfo ? portInfo.direction : 'bidirectional';
+}
+
+/**
+ * Get the live connection array of a room
+ * The active room's connections live in appState.connections until they are saved
+ * @param {string} roomId - The room ID
+ * @returns {Array} - The room's connections
+ */
+function getRoomConnections(roomId) {
+  if (roomId === appState.activeRoomId) {
+    return appState.connections;
+  }
+  return appState.roomStates[roomId] ? appState.roomStates[roomId].connections : [];
+}
+
+/**
+ * Recompute every cross-room and normalled signal from all rooms' connections
+ * Runs after every patch change - the registry is never updated cable by cable
+ */
+function rebuildCrossRoomSignals() {
+  // Register every room's ports so signals reach rooms not yet shown
+  appState.rooms.forEach(room => {
+    getRoomPortIds(room).forEach(portId => registerPort(portId, room.name));
+  });
+  
+  const connectionsByRoom = {};
+  Object.keys(appState.roomStates).forEach(roomId => {
+    connectionsByRoom[roomId] = getRoomConnections(roomId);
+  });
+  
+  const conflicts = recomputeCrossRoomSignals(connectionsByRoom, getPortDirectionInRoom);
+  reportNewConflicts(conflicts);
+  
+  updateNormalledSignals();
+  
+  // Normals are part of signal paths, so look for paths with several sources last
+  appState.signalConflicts = findSignalConflicts(connectionsByRoom, appState.rooms);
+  updateConflictPanel(appState);
+  appState.feedbackLoops = findFeedbackLoops(connectionsByRoom, appState.rooms);
+}
+
+// Port IDs whose ownership conflict has already been logged
+let reportedConflicts = new Set();
+
+/**
+ * Log port IDs that have just become contested between rooms
+ * @param {Array} conflicts - The conflicts from recomputeCrossRoomSignals
+ */
+function reportNewConflicts(conflicts) {
+  conflicts
+    .filter(conflict => !reportedConflicts.has(conflict.portId))
+    .forEach(conflict => {
+      console.warn(`Port ${conflict.portId} is contested by rooms ${conflict.rooms.join(', ')} (${conflict.reason})`);
+    });
+  
+  reportedConflicts = new Set(conflicts.map(conflict => conflict.portId));
+}
+
+/**
+ * Add and remove connections in a room, switching to that room first so the change is visible
+ * @param {string} roomId - The room to change
+ * @param {Object} changes - { add: [connection], remove: [connection] }
+ */
+function applyConnectionChanges(roomId, { add = [], remove = [] }) {
+  if (!appState.roomStates[roomId]) {
+    console.warn(`Cannot change connections of unknown room '${roomId}'`);
+    return;
+  }
   
-  const portAId = connection.from || (connection.portA && connection.portA.id);
-  const portBId = connection.to || (connection.portB && connection.portB.id);
-  const color = connection.color;
+  if (roomId !== appState.activeRoomId) {
+    showRoomInView(roomId);
+  }
   
-  console.log('Updating cross-room signals for connection:', {
-    portAId,
-    portBId,
-    color,
-    roomId: connection.roomId
+  remove.forEach(connection => {
+    const index = appState.connections.indexOf(connection);
+    if (index > -1) {
+      appState.connections.splice(index, 1);
+    }
   });
   
-  if (portAId && portBId && color) {
-    // Set signals for both ports using the new port type system
-    setPortSignal(portAId, connection.roomId, color);
-    setPortSignal(portBId, connection.roomId, color);
-    
-    // Set connection status for both ports
-    setPortConnectionStatus(portAId, connection.roomId, true);
-    setPortConnectionStatus(portBId, connection.roomId, true);
-    
-    // Determine if one port should be the master source based on port types
-    const portAType = getPortType(portAId);
-    const portBType = getPortType(portBId);
-    
-    if (portAType === 'output' && portBType === 'input') {
-      setMasterSource(portAId, connection.roomId);
-    } else if (portAType === 'input' && portBType === 'output') {
-      setMasterSource(portBId, connection.roomId);
+  add.forEach(connection => {
+    connection.roomId = roomId;
+    if (!appState.connections.includes(connection)) {
+      appState.connections.push(connection);
     }
-    
-    console.log('Cross-room signals set for ports:', portAId, 'and', portBId);
-  } else {
-    console.warn('Missing required data for cross-room signal:', { portAId, portBId, color });
-  }
+  });
+  
+  saveConnectionsForRoom(roomId);
+  rebuildCrossRoomSignals();
+  markAllLayersAsDirty();
 }
 
+// Pending auto-save of the patch session
+let persistSessionTimeout = null;
+
 /**
- * Clear cross-room signals when a connection is removed
- * @param {Object} connection - The connection that was removed
+ * Save the patch session to localStorage
+ * Deferred so changes made right after a save (such as cycling the cable color) are included
  */
-function clearCrossRoomSignalsForConnection(connection) {
-  if (!connection || !connection.roomId) return;
+function persistSession() {
+  clearTimeout(persistSessionTimeout);
+  persistSessionTimeout = setTimeout(() => {
+    saveSessionToStorage(serializeSession(appState));
+  }, 0);
+}
+
+/**
+ * Replace all rooms' connections with those from a saved patch session
+ * Connections whose ports no longer exist are dropped and listed in a warning
+ * @param {Object} session - A session produced by serializeSession
+ * @returns {string|null} - The session's active room if it still exists, otherwise null
+ */
+function applyPatchSession(session) {
+  const { connectionsByRoom, dropped } = validateSession(session, appState.rooms);
+  
+  // Drop any cable in hand - it belongs to the patch being replaced
+  appState.activeCable = null;
+  appState.activeCableColor = null;
   
-  const portAId = connection.from || (connection.portA && connection.portA.id);
-  const portBId = connection.to || (connection.portB && connection.portB.id);
+  // Undo history refers to the connections being replaced
+  clearHistory();
   
-  if (portAId) {
-    // Check if port still has other connections in this room
-    const hasOtherConnections = appState.connections.some(conn => 
-      conn !== connection && 
-      (conn.from === portAId || conn.to === portAId ||
-       (conn.portA && conn.portA.id === portAId) ||
-       (conn.portB && conn.portB.id === portAId))
+  // Recreate connections in their room-scoped shape
+  Object.keys(appState.roomStates).forEach(roomId => {
+    const savedConnections = connectionsByRoom[roomId] || [];
+    appState.roomStates[roomId].connections = savedConnections.map(saved =>
+      createConnection(saved.portA, saved.portB, saved.color, roomId)
     );
-    
-    if (!hasOtherConnections) {
-      removePortSignal(portAId, connection.roomId);
-      setPortConnectionStatus(portAId, connection.roomId, false);
-    }
+  });
+  
+  // Refresh the active room's working copy
+  if (appState.activeRoomId) {
+    loadConnectionsForRoom(appState.activeRoomId);
+  }
+  
+  // Re-run cross-room propagation for every restored cable
+  rebuildCrossRoomSignals();
+  updateGlobalConnections();
+  
+  if (Number.isInteger(session.currentColorIndex) &&
+      session.currentColorIndex >= 0 && session.currentColorIndex < appState.cableColors.length) {
+    appState.currentColorIndex = session.currentColorIndex;
   }
   
-  if (portBId) {
-    // Check if port still has other connections in this room
-    const hasOtherConnections = appState.connections.some(conn => 
-      conn !== connection && 
-      (conn.from === portBId || conn.to === portBId ||
-       (conn.portA && conn.portA.id === portBId) ||
-       (conn.portB && conn.portB.id === portBId))
+  if (dropped.length > 0) {
+    console.warn('Dropped connections that no longer match the room files:', dropped);
+    showNotice(
+      `${dropped.length} saved connection${dropped.length === 1 ? '' : 's'} could not be restored`,
+      dropped.map(item => `${item.roomId}: ${item.portA} ↔ ${item.portB} (${item.reason})`)
     );
-    
-    if (!hasOtherConnections) {
-      removePortSignal(portBId, connection.roomId);
-      setPortConnectionStatus(portBId, connection.roomId, false);
-    }
   }
+  
+  markAllLayersAsDirty();
+  
+  const activeRoomExists = appState.rooms.some(room => room.name === session.activeRoomId);
+  return activeRoomExists ? session.activeRoomId : null;
 }
 
 /**
@@ -623,8 +968,11 @@ function resizeCanvasToActiveRoom() {
   if (appState.activeRoomId && appState.roomStates[appState.activeRoomId]) {
     const activeRoom = appState.rooms.find(r => r.name === appState.activeRoomId);
     if (activeRoom) {
-      const { updatedCanvasHeight, actualRoomHeight } = generatePortsFromRoom(activeRoom);
-      const roomWidth = appState.canvasWidth; // Keep original width
+      const { updatedCanvasHeight, actualRoomHeight, actualRoomWidth } = generatePortsFromRoom(
+        activeRoom,
+        appState.roomStates[appState.activeRoomId].panelIndex
+      );
+      const roomWidth = actualRoomWidth; // The default width unless the room's bays need more
       const roomHeight = actualRoomHeight;
       
       // Update canvas dimensions
@@ -638,6 +986,12 @@ function resizeCanvasToActiveRoom() {
       resizeCanvas(roomWidth, roomHeight);
       resizeAllLayers(roomWidth, roomHeight);
       
+      // Start each room fitted to the canvas
+      resetViewTransform();
+      
+      // Side by side, the split view rescales both rooms to the new canvas size
+      updateSplitViewLayout(appState);
+      
       console.log(`Canvas resized to ${roomWidth}x${roomHeight} for room '${appState.activeRoomId}'`);
     }
   }
@@ -652,7 +1006,9 @@ window.saveConnectionsForRoom = saveConnectionsForRoom;
 window.loadConnectionsForRoom = loadConnectionsForRoom;
 window.addConnection = addConnection;
 window.removeConnection = removeConnection;
+window.applyConnectionChanges = applyConnectionChanges;
 window.updateGlobalConnections = updateGlobalConnections;
+window.lintRoomCSV = lintRoomCSV; // Check a room CSV from the console before adding it to rooms/
 
 // Global mouse tracking variables
 let globalMouseX = 0;
@@ -671,9 +1027,23 @@ document.addEventListener('mousemove', function(event) {
  */
 window.draw = function() {
   try {
+    // Page position of the mouse while it is over the canvas (for the inspector tooltip)
+    let inspectorPointer = null;
+    
+    // Split view room under the mouse, if any
+    let splitPointer = null;
+    
     // Get the canvas container element to calculate proper mouse coordinates
     const canvasContainer = document.getElementById('canvas-container');
-    if (canvasContainer) {
+    if (appState.splitView) {
+      // Either room can be under the mouse, but only the active room follows it
+      splitPointer = getPanePointer(appState, globalMouseX, globalMouseY);
+      if (splitPointer && splitPointer.roomId === appState.activeRoomId) {
+        appState.mouseX = splitPointer.x;
+        appState.mouseY = splitPointer.y;
+        inspectorPointer = { x: globalMouseX, y: globalMouseY };
+      }
+    } else if (canvasContainer) {
       const rect = canvasContainer.getBoundingClientRect();
       // Calculate mouse position relative to the canvas container using global mouse coordinates
       const adjustedMouseX = globalMouseX - rect.left;
@@ -684,8 +1054,11 @@ window.draw = function() {
           adjustedMouseY >= 0 && adjustedMouseY <= rect.height) {
         // Fix: Don't scale by canvas dimensions, use direct pixel coordinates
         // The canvases are already handling DPR scaling internally
-        appState.mouseX = adjustedMouseX;
-        appState.mouseY = adjustedMouseY;
+        // Map through the view zoom and pan so hit testing works in room coordinates
+        const roomPoint = screenToRoom(adjustedMouseX, adjustedMouseY);
+        appState.mouseX = roomPoint.x;
+        appState.mouseY = roomPoint.y;
+        inspectorPointer = { x: globalMouseX, y: globalMouseY };
       }
     } else {
       // Fallback to direct p5.js coordinates if container not found
@@ -697,8 +1070,15 @@ window.draw = function() {
     
     // Make sure layers are initialized before drawing
     if (areLayersInitialized()) {
-      // Call the renderer's draw function
-      renderDraw(window, appState);
+      // Call the renderer's draw function (once per room in split view)
+      if (appState.splitView) {
+        drawSplitView(window, appState, splitPointer);
+      } else {
+        renderDraw(window, appState);
+      }
+      
+      // Describe the jack or cable under the mouse (not while dragging the view)
+      updateInspector(window, appState, isViewPanning() ? null : inspectorPointer);
     } else {
       console.warn('Canvas layers not initialized yet, skipping draw');
     }
@@ -713,6 +1093,24 @@ window.draw = function() {
  * Events are captured on the p5.js canvas but processed based on application state
  */
 window.mousePressed = function() {
+  // Middle-button and Space drags pan the view instead of patching
+  if (isViewPanning()) return;
+  
+  // The layout editor covers the patch bay
+  if (isLayoutEditorOpen()) return;
+  
+  // In split view a click in the other room makes it active, then patches there
+  if (appState.splitView) {
+    const pointer = getPanePointer(appState, globalMouseX, globalMouseY);
+    if (!pointer) return;
+    
+    focusRoom(pointer.roomId);
+    appState.mouseX = pointer.x;
+    appState.mouseY = pointer.y;
+    mousePressed(window, appState);
+    return;
+  }
+  
   // Get the canvas container element to calculate proper mouse coordinates
   const canvasContainer = document.getElementById('canvas-container');
   if (canvasContainer) {
@@ -725,13 +1123,23 @@ window.mousePressed = function() {
     if (adjustedMouseX >= 0 && adjustedMouseX <= rect.width && 
         adjustedMouseY >= 0 && adjustedMouseY <= rect.height) {
       // Fix: Use direct pixel coordinates, same as in draw function
-      appState.mouseX = adjustedMouseX;
-      appState.mouseY = adjustedMouseY;
+      const roomPoint = screenToRoom(adjustedMouseX, adjustedMouseY);
+      appState.mouseX = roomPoint.x;
+      appState.mouseY = roomPoint.y;
       mousePressed(window, appState);
     }
   }
 };
 
+/**
+ * p5.js doubleClicked function
+ * Uses the mouse position stored by mousePressed for the click that completed the double-click
+ */
+window.doubleClicked = function() {
+  if (isViewPanning() || isLayoutEditorOpen()) return;
+  doubleClicked(window, appState);
+};
+
 /**
  * p5.js mouseMoved function
  * This function is called when the mouse is moved.
@@ -740,15 +1148,23 @@ window.mousePressed = function() {
 window.mouseMoved = function() {
   // Get the canvas container element to calculate proper mouse coordinates
   const canvasContainer = document.getElementById('canvas-container');
-  if (canvasContainer) {
+  if (appState.splitView) {
+    // Only the active room of the split view follows the mouse
+    const pointer = getPanePointer(appState, globalMouseX, globalMouseY);
+    if (pointer && pointer.roomId === appState.activeRoomId) {
+      appState.mouseX = pointer.x;
+      appState.mouseY = pointer.y;
+    }
+  } else if (canvasContainer) {
     const rect = canvasContainer.getBoundingClientRect();
     // Calculate mouse position relative to the canvas container using global coordinates
     const adjustedMouseX = globalMouseX - rect.left;
     const adjustedMouseY = globalMouseY - rect.top;
     
     // Fix: Use direct pixel coordinates, same as in draw function
-    appState.mouseX = adjustedMouseX;
-    appState.mouseY = adjustedMouseY;
+    const roomPoint = screenToRoom(adjustedMouseX, adjustedMouseY);
+    appState.mouseX = roomPoint.x;
+    appState.mouseY = roomPoint.y;
   } else {
     // Fallback to direct p5.js coordinates if container not found
     appState.mouseX = mouseX;
@@ -762,8 +1178,8 @@ window.mouseMoved = function() {
  * This function is called when a key is pressed.
  * Key events are processed globally but actions depend on application state
  */
-window.keyPressed = function() {
-  keyPressed(window, appState);
+window.keyPressed = function(event) {
+  return keyPressed(window, appState, event);
 };
 
 // Note: Dynamic scaling system removed
@@ -772,6 +1188,12 @@ window.keyPressed = function() {
 window.reloadRooms = async function() {
   console.log('Manually reloading rooms...');
   try {
+    // Snapshot the current patch so it can be carried over to the reloaded rooms
+    const session = serializeSession(appState);
+    
+    // The split view's rooms are about to be replaced
+    closeSplitView(appState);
+    
     const rooms = await loadRooms();
     appState.rooms = rooms;
     
@@ -788,6 +1210,7 @@ window.reloadRooms = async function() {
         ports: [],
         connections: [],
         yOffset: 0,
+        panelIndex: 0,
         crossRoomSignals: {}
       };
     });
@@ -798,9 +1221,18 @@ window.reloadRooms = async function() {
       return acc;
     }, {}));
     
+    // Initialize the normalizations loaded with each room
+    initializeNormalizationsFromRooms(rooms.reduce((acc, room) => {
+      acc[room.name] = room;
+      return acc;
+    }, {}));
+    
     // Regenerate toggle buttons
     generateRoomToggleButtons(rooms);
     
+    // Point out room files that lose or misplace jacks
+    reportRoomCheckErrors(appState);
+    
     // Clear active room and connections
     appState.activeRoomId = null;
     appState.connections = [];
@@ -808,6 +1240,12 @@ window.reloadRooms = async function() {
     appState.ports = [];
     appState.crossRoomSignals = {};
     
+    // Restore the snapshot, dropping cables whose ports were removed from the CSVs
+    const restoredRoomId = applyPatchSession(session);
+    if (restoredRoomId) {
+      activateRoom(restoredRoomId);
+    }
+    
     // Mark all layers as dirty
     markAllLayersAsDirty();
     
@@ -822,6 +1260,159 @@ window.reloadRooms = async function() {
 // Global reference to control elements
 let controlsContainer = null;
 let clearPatchesButton = null;
+let traceButton = null;
+let savePatchButton = null;
+let loadPatchButton = null;
+let patchFileInput = null;
+let exerciseButton = null;
+let challengeButton = null;
+let fitViewButton = null;
+let strictPatchingButton = null;
+let splitViewButton = null;
+let layoutEditorButton = null;
+let roomCheckButton = null;
+
+// Buttons that are only shown while a room is displayed
+const roomControlButtons = [];
+
+/**
+ * Create a neutral control button matching the Clear Patches button layout
+ * @param {string} label - The button text
+ * @param {string} title - Tooltip text
+ * @returns {HTMLButtonElement} - The button element
+ */
+function createSecondaryButton(label, title = '') {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.title = title;
+  button.style.cssText = `
+    background: rgba(255, 255, 255, 0.04);
+    border: 1px solid rgba(255, 255, 255, 0.12);
+    color: #d1d5db;
+    padding: 8px 16px;
+    border-radius: 8px;
+    font-size: 13px;
+    font-weight: 500;
+    cursor: pointer;
+    transition: all 0.2s ease;
+    display: none;
+  `;
+  return button;
+}
+
+/**
+ * Download the current patch of all rooms as a .patch.json file
+ */
+function downloadPatchFile() {
+  const title = window.prompt('Name this patch (e.g. exercise or student name):', '');
+  if (title === null) return; // Cancelled
+  
+  const patch = createPatchFile(appState, title.trim());
+  const fileName = `${toFileNameStem(title, 'patch')}.patch.json`;
+  downloadTextFile(fileName, JSON.stringify(patch, null, 2), 'application/json');
+  
+  console.log(`Exported patch '${fileName}' with ${patch.metadata.connectionCount} connections`);
+}
+
+/**
+ * Load a .patch.json file chosen by the user, replacing the current patch
+ * @param {File} file - The selected file
+ */
+async function importPatchFile(file) {
+  try {
+    const session = parsePatchFile(await file.text());
+    const restoredRoomId = applyPatchSession(session);
+    
+    if (restoredRoomId) {
+      activateRoom(restoredRoomId);
+    } else if (appState.activeRoomId) {
+      activateRoom(appState.activeRoomId);
+    }
+    
+    persistSession();
+    
+    const title = session.metadata && session.metadata.title ? `'${session.metadata.title}'` : file.name;
+    showNotice(`Loaded patch ${title}`, [], 'info');
+    console.log(`Imported patch from ${file.name}`);
+  } catch (error) {
+    console.error('Error importing patch file:', error);
+    showNotice(`Could not load ${file.name}`, [error.message], 'error');
+  }
+}
+
+/**
+ * Load the lessons the first time they are needed
+ * @returns {Array} - All loaded lessons
+ */
+async function ensureLessonsLoaded() {
+  if (!appState.lessons) {
+    const { lessons, errors } = await loadLessons(appState.rooms);
+    appState.lessons = lessons;
+    
+    if (errors.length > 0) {
+      showNotice('Some lessons could not be loaded', errors.map(error => `${error.file}: ${error.message}`));
+    }
+  }
+  
+  return appState.lessons;
+}
+
+/**
+ * Open the exercise panel with the lessons that aren't timed challenges
+ */
+async function openExercises() {
+  const lessons = (await ensureLessonsLoaded()).filter(lesson => !lesson.challenge);
+  
+  if (lessons.length === 0) {
+    showNotice('No lessons available', ['Add lesson files to the lessons folder and list them in lessons/manifest.json.'], 'info');
+    return;
+  }
+  
+  showExercisePanel(appState, lessons);
+}
+
+/**
+ * Replace the patch with a challenge's preset patch (or an empty patch if it has none)
+ * @param {Object} lesson - A lesson with a challenge block
+ * @returns {Array} - The connections patched by the preset
+ */
+async function loadChallengeStartPatch(lesson) {
+  let session = { rooms: {} };
+  
+  if (lesson.challenge.startPatch) {
+    // Add cache-busting parameter to force fresh load
+    const cacheBuster = Date.now();
+    const response = await fetch(`lessons/${lesson.challenge.startPatch}?v=${cacheBuster}`);
+    if (!response.ok) {
+      throw new Error(`preset patch ${lesson.challenge.startPatch} failed to load (${response.status} ${response.statusText})`);
+    }
+    session = parsePatchFile(await response.text());
+  }
+  
+  const restoredRoomId = applyPatchSession(session);
+  const defaultRoom = getDefaultRoom(appState.rooms);
+  const roomToShow = restoredRoomId || appState.activeRoomId || (defaultRoom && defaultRoom.name);
+  if (roomToShow) {
+    activateRoom(roomToShow);
+  }
+  
+  persistSession();
+  return [...appState.allConnections];
+}
+
+/**
+ * Open the challenge panel with the lessons that are timed challenges
+ */
+async function openChallenges() {
+  const lessons = (await ensureLessonsLoaded()).filter(lesson => lesson.challenge);
+  
+  if (lessons.length === 0 && !appState.challenge) {
+    showNotice('No challenges available', ['Add a lesson with a "challenge" block to lessons/manifest.json.'], 'info');
+    return;
+  }
+  
+  showChallengePanel(appState, lessons, loadChallengeStartPatch);
+}
 
 /**
  * Create control buttons that integrate with the UI
@@ -868,8 +1459,91 @@ function createControlButtons() {
   });
   clearPatchesButton.addEventListener('click', () => clearAllPatches(appState));
   
+  // Create Save Patch and Load Patch buttons
+  savePatchButton = createSecondaryButton('Save Patch', 'Download every room\'s patch as a .patch.json file');
+  savePatchButton.addEventListener('click', downloadPatchFile);
+  
+  patchFileInput = document.createElement('input');
+  patchFileInput.type = 'file';
+  patchFileInput.accept = '.json,application/json';
+  patchFileInput.style.display = 'none';
+  patchFileInput.addEventListener('change', () => {
+    const file = patchFileInput.files[0];
+    if (file) {
+      importPatchFile(file);
+    }
+    // Allow the same file to be chosen again
+    patchFileInput.value = '';
+  });
+  
+  loadPatchButton = createSecondaryButton('Load Patch', 'Replace the current patch with a .patch.json file');
+  loadPatchButton.addEventListener('click', () => patchFileInput.click());
+  
+  // Create Trace Signal button
+  traceButton = createSecondaryButton('Trace Signal', 'Click a jack to follow its signal through cables, normals and tie lines (T)');
+  traceButton.addEventListener('click', () => toggleTraceMode(appState));
+  
+  // Reflect trace mode changes made from the keyboard as well as the button
+  window.addEventListener('traceModeChanged', (event) => {
+    const enabled = event.detail.enabled;
+    traceButton.textContent = enabled ? 'Exit Trace' : 'Trace Signal';
+    traceButton.style.background = enabled ? 'rgba(16, 185, 129, 0.15)' : 'rgba(255, 255, 255, 0.04)';
+    traceButton.style.borderColor = enabled ? 'rgba(16, 185, 129, 0.4)' : 'rgba(255, 255, 255, 0.12)';
+    traceButton.style.color = enabled ? '#10b981' : '#d1d5db';
+  });
+  
+  // Create Exercises button
+  exerciseButton = createSecondaryButton('Exercises', 'Work through a training lesson and check your patch');
+  exerciseButton.addEventListener('click', openExercises);
+  
+  // Create Challenge button
+  challengeButton = createSecondaryButton('Challenge', 'Patch a timed list of routing requests and download a results report');
+  challengeButton.addEventListener('click', openChallenges);
+  
+  // Create Fit to Room button
+  fitViewButton = createSecondaryButton('Fit to Room', 'Reset zoom and pan to show the whole room (F)');
+  fitViewButton.addEventListener('click', resetViewTransform);
+  
+  // Create Strict Patching button
+  strictPatchingButton = createSecondaryButton('Strict Patching', 'Refuse patches that would feed two sources into the same path');
+  strictPatchingButton.addEventListener('click', () => setStrictPatching(appState, !appState.strictPatching));
+  
+  // Reflect the saved setting as well as button clicks
+  window.addEventListener('strictPatchingChanged', (event) => {
+    const enabled = event.detail.enabled;
+    strictPatchingButton.textContent = enabled ? 'Strict Patching: On' : 'Strict Patching';
+    strictPatchingButton.style.background = enabled ? 'rgba(239, 68, 68, 0.1)' : 'rgba(255, 255, 255, 0.04)';
+    strictPatchingButton.style.borderColor = enabled ? 'rgba(239, 68, 68, 0.3)' : 'rgba(255, 255, 255, 0.12)';
+    strictPatchingButton.style.color = enabled ? '#ef4444' : '#d1d5db';
+  });
+  
+  // Create Split View button
+  splitViewButton = createSecondaryButton('Split View', 'Show a second room below or beside this one to follow and patch tie lines in both');
+  splitViewButton.addEventListener('click', () => {
+    if (appState.splitView) {
+      closeSplitView(appState);
+    } else {
+      openSplitView(appState);
+    }
+  });
+  
+  window.addEventListener('splitViewChanged', (event) => {
+    splitViewButton.textContent = event.detail.open ? 'Close Split View' : 'Split View';
+  });
+  
+  // Create Edit Layout button
+  layoutEditorButton = createSecondaryButton('Edit Layout', 'Edit this room\'s jacks, channel numbers and group labels and export the room CSV');
+  layoutEditorButton.addEventListener('click', () => openLayoutEditor(appState));
+  
+  // Create Check Rooms button
+  roomCheckButton = createSecondaryButton('Check Rooms', 'List problems in the room CSV files, or check a file before adding it');
+  roomCheckButton.addEventListener('click', () => showRoomCheckPanel(appState));
+  
+  roomControlButtons.push(clearPatchesButton, savePatchButton, loadPatchButton, traceButton, exerciseButton, challengeButton, fitViewButton, strictPatchingButton, splitViewButton, layoutEditorButton, roomCheckButton);
+  
   // Add buttons to container
-  controlsContainer.appendChild(clearPatchesButton);
+  roomControlButtons.forEach(button => controlsContainer.appendChild(button));
+  controlsContainer.appendChild(patchFileInput);
   
   // Add container to patch bay section
   patchBaySection.appendChild(controlsContainer);
@@ -884,9 +1558,7 @@ function updateControlButtonsVisibility() {
   // Check if any rooms are visible
   const hasVisibleRooms = appState.roomStates && Object.values(appState.roomStates).some(roomState => roomState.visible);
   
-  if (hasVisibleRooms) {
-    clearPatchesButton.style.display = 'block';
-  } else {
-    clearPatchesButton.style.display = 'none';
-  }
-}
+  roomControlButtons.forEach(button => {
+    button.style.display = hasVisibleRooms ? 'block' : 'none';
+  });
+}
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Bay Geometry Module
+ * Jack count and gap positions of each section of a room
+ *
+ * A room's manifest entry can declare its geometry as one object for every section,
+ * e.g. { "jacks": 32, "gaps": [16] }, or as a list with one object per section, where the
+ * last entry also covers any later sections. Gaps are the columns a gap follows, counted from 1.
+ * Rooms without a geometry use 48 jacks per row with a gap after column 24.
+ */
+
+// Import constants
+import { portSpacing, midGapWidth, defaultJacksPerRow, defaultGapColumns, maxJacksPerRow } from '../config/constants.js';
+
+// Geometry for sections nothing declares
+const defaultSectionGeometry = { jacks: defaultJacksPerRow, gaps: defaultGapColumns };
+
+/**
+ * Checks one section geometry from the manifest
+ * @param {Object} value - { jacks, gaps }
+ * @returns {string|null} - The problem, or null if the geometry is valid
+ */
+function getSectionGeometryProblem(value) {
+  if (!value || typeof value !== 'object') {
+    return 'each section geometry must be an object like { "jacks": 48, "gaps": [24] }';
+  }
+  if (!Number.isInteger(value.jacks) || value.jacks < 1 || value.jacks > maxJacksPerRow) {
+    return `"jacks" must be a whole number from 1 to ${maxJacksPerRow}`;
+  }
+
+  const gaps = value.gaps === undefined ? [] : value.gaps;
+  if (!Array.isArray(gaps) || gaps.some(gap => !Number.isInteger(gap) || gap < 1 || gap >= value.jacks)) {
+    return `"gaps" must list columns between 1 and ${value.jacks - 1} that a gap follows`;
+  }
+
+  return null;
+}
+
+/**
+ * Reads a room's geometry from its manifest entry, falling back to the default when it is invalid
+ * @param {Object|Array|undefined} value - The manifest's "geometry" value
+ * @param {string} roomFile - The room's CSV file (for warnings)
+ * @returns {Array|null} - One { jacks, gaps } per declared section, or null for the default geometry
+ */
+function parseBayGeometry(value, roomFile) {
+  if (value === undefined || value === null) return null;
+
+  const sections = Array.isArray(value) ? value : [value];
+  const problem = sections.length === 0 ?
+    'the geometry list is empty' :
+    sections.map(getSectionGeometryProblem).find(Boolean);
+
+  if (problem) {
+    console.warn(`Room ${roomFile} geometry ignored: ${problem}`);
+    return null;
+  }
+
+  return sections.map(section => ({
+    jacks: section.jacks,
+    gaps: [...new Set(section.gaps || [])].sort((a, b) => a - b)
+  }));
+}
+
+/**
+ * Gets the geometry of one section
+ * @param {Array|null} geometry - A room's geometry from parseBayGeometry
+ * @param {number} sectionIndex - The section's index
+ * @returns {Object} - { jacks, gaps }
+ */
+function getSectionGeometry(geometry, sectionIndex) {
+  if (!geometry || geometry.length === 0) return defaultSectionGeometry;
+  return geometry[Math.min(sectionIndex, geometry.length - 1)];
+}
+
+/**
+ * Gets the X offset of a jack column from the start of its section
+ * @param {number} column - The 0-based column
+ * @param {Object} sectionGeometry - { jacks, gaps }
+ * @returns {number} - The offset in grid units
+ */
+function getColumnOffset(column, sectionGeometry) {
+  const gapsBefore = sectionGeometry.gaps.filter(gap => gap <= column).length;
+  return column * portSpacing + gapsBefore * midGapWidth;
+}
+
+/**
+ * Gets the width a section's jacks take up, including its gaps
+ * @param {Object} sectionGeometry - { jacks, gaps }
+ * @returns {number} - The width in grid units
+ */
+function getSectionWidth(sectionGeometry) {
+  return sectionGeometry.jacks * portSpacing + sectionGeometry.gaps.length * midGapWidth;
+}
+
+/**
+ * Gets the width of a room's widest section
+ * @param {Object} room - The room object containing sections data
+ * @returns {number} - The width in grid units
+ */
+function getRoomLayoutWidth(room) {
+  const sectionCount = room && room.sections ? Math.max(room.sections.length, 1) : 1;
+  let width = 0;
+
+  for (let sectionIndex = 0; sectionIndex < sectionCount; sectionIndex++) {
+    width = Math.max(width, getSectionWidth(getSectionGeometry(room && room.geometry, sectionIndex)));
+  }
+
+  return width;
+}
+
+// Export the functions
+export {
+  parseBayGeometry,
+  getSectionGeometry,
+  getColumnOffset,
+  getSectionWidth,
+  getRoomLayoutWidth
+};
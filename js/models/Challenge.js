@@ -0,0 +1,234 @@
+/**
+ * Challenge Model Module
+ * Times a list of routing requests and records how cleanly a student patched them
+ */
+
+// Import exercise model
+import { isGoalMet, getGoalConnections } from './Exercise.js';
+
+// Import signal tracer
+import { traceSignalPath } from './SignalTracer.js';
+
+// Import cross-room registry functions
+import { getRoomsWithPort } from './CrossRoomRegistry.js';
+
+// Format marker written to downloaded reports
+export const CHALLENGE_REPORT_FORMAT = 'patch-bay-simulator/challenge-report';
+
+/**
+ * Starts a challenge on a lesson with a challenge block
+ * @param {Object} lesson - A validated lesson with { challenge: { timeLimit, startPatch } }
+ * @param {string} student - The student's name for the report
+ * @param {Array} startingConnections - Connections already patched by the preset
+ * @param {number} now - Start time in milliseconds
+ * @returns {Object} - The challenge state
+ */
+function startChallenge(lesson, student, startingConnections, now = Date.now()) {
+  return {
+    lesson: lesson,
+    student: student,
+    startedAt: now,
+    finishedAt: null,
+    timeLimit: lesson.challenge.timeLimit,
+    startingConnections: new Set(startingConnections),
+    completedAt: lesson.tasks.map(() => null), // ms since start for each request, once met
+    rejections: {
+      colorMismatch: 0,
+      direction: 0,
+      signalConflict: 0
+    },
+    report: null
+  };
+}
+
+/**
+ * Gets the seconds elapsed since a challenge started
+ * @param {Object} challenge - The challenge state
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Whole seconds elapsed (frozen once finished)
+ */
+function getElapsedSeconds(challenge, now = Date.now()) {
+  const end = challenge.finishedAt || now;
+  return Math.floor((end - challenge.startedAt) / 1000);
+}
+
+/**
+ * Counts a patch the app refused
+ * @param {Object} challenge - The challenge state
+ * @param {string} reason - 'color-mismatch', 'direction' or 'signal-conflict'
+ */
+function recordRejection(challenge, reason) {
+  if (!challenge || challenge.finishedAt) return;
+
+  if (reason === 'color-mismatch') {
+    challenge.rejections.colorMismatch++;
+  } else if (reason === 'direction') {
+    challenge.rejections.direction++;
+  } else if (reason === 'signal-conflict') {
+    challenge.rejections.signalConflict++;
+  }
+}
+
+/**
+ * Marks requests whose goals are all met and notes when they were first completed
+ * @param {Object} challenge - The challenge state
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True when every request is complete
+ */
+function updateChallengeProgress(challenge, connectionsByRoom, now = Date.now()) {
+  if (challenge.finishedAt) return false;
+
+  challenge.lesson.tasks.forEach((task, index) => {
+    if (challenge.completedAt[index] !== null) return;
+
+    if (task.goals.every(goal => isGoalMet(goal, connectionsByRoom))) {
+      challenge.completedAt[index] = now - challenge.startedAt;
+    }
+  });
+
+  return challenge.completedAt.every(time => time !== null);
+}
+
+/**
+ * Checks if one end of a cable goes down a tie line that nothing picks up on the far side
+ * @param {Object} connection - The cable
+ * @param {string} portId - The end to check
+ * @param {string} roomId - The room the cable is in
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @returns {boolean} - True if the route stops at the far end of a tie line
+ */
+function isOpenEnd(connection, portId, roomId, connectionsByRoom) {
+  // Jacks that only exist in this room are endpoints, not tie lines
+  if (!getRoomsWithPort(portId).some(otherRoomId => otherRoomId !== roomId)) return false;
+
+  // Trace onward from this end without the cable itself - only tie line hops means nothing continues
+  const withoutCable = {
+    ...connectionsByRoom,
+    [roomId]: connectionsByRoom[roomId].filter(conn => conn !== connection)
+  };
+  return traceSignalPath(portId, roomId, withoutCable).hops.every(hop => hop.via === 'tie line');
+}
+
+/**
+ * Sorts the cables added during a challenge that no request uses into dangling and wrong patches
+ * A cable is dangling if it feeds a tie line nobody picks up, and wrong otherwise
+ * @param {Object} challenge - The challenge state
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @returns {Object} - { wrongPatches, danglingCables }
+ */
+function classifyExtraCables(challenge, connectionsByRoom) {
+  const usedConnections = new Set();
+  challenge.lesson.tasks.forEach(task => {
+    task.goals.forEach(goal => {
+      getGoalConnections(goal, connectionsByRoom).forEach(conn => usedConnections.add(conn));
+    });
+  });
+
+  let wrongPatches = 0;
+  let danglingCables = 0;
+
+  Object.keys(connectionsByRoom).forEach(roomId => {
+    connectionsByRoom[roomId].forEach(conn => {
+      if (challenge.startingConnections.has(conn) || usedConnections.has(conn)) return;
+
+      if (isOpenEnd(conn, conn.from, roomId, connectionsByRoom) ||
+          isOpenEnd(conn, conn.to, roomId, connectionsByRoom)) {
+        danglingCables++;
+      } else {
+        wrongPatches++;
+      }
+    });
+  });
+
+  return { wrongPatches, danglingCables };
+}
+
+/**
+ * Ends a challenge and builds its report
+ * @param {Object} challenge - The challenge state
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @param {boolean} cableInHand - True if the student was still holding a cable
+ * @param {number} now - Finish time in milliseconds
+ * @returns {Object} - The report
+ */
+function finishChallenge(challenge, connectionsByRoom, cableInHand = false, now = Date.now()) {
+  if (challenge.report) return challenge.report;
+
+  // Credit anything completed at the last moment before stopping the clock
+  updateChallengeProgress(challenge, connectionsByRoom, now);
+  challenge.finishedAt = Math.min(now, challenge.startedAt + challenge.timeLimit * 1000);
+
+  const { wrongPatches, danglingCables } = classifyExtraCables(challenge, connectionsByRoom);
+  const requests = challenge.lesson.tasks.map((task, index) => ({
+    request: index + 1,
+    instruction: task.instruction,
+    completed: challenge.completedAt[index] !== null,
+    completedAfterSeconds: challenge.completedAt[index] !== null ?
+      Math.round(challenge.completedAt[index] / 1000) :
+      null
+  }));
+  const completedRequests = requests.filter(request => request.completed).length;
+
+  challenge.report = {
+    format: CHALLENGE_REPORT_FORMAT,
+    challenge: challenge.lesson.title,
+    student: challenge.student,
+    startedAt: new Date(challenge.startedAt).toISOString(),
+    finishedAt: new Date(challenge.finishedAt).toISOString(),
+    timeLimitSeconds: challenge.timeLimit,
+    elapsedSeconds: getElapsedSeconds(challenge),
+    timedOut: completedRequests < requests.length && now >= challenge.startedAt + challenge.timeLimit * 1000,
+    completedRequests: completedRequests,
+    totalRequests: requests.length,
+    wrongPatches: wrongPatches,
+    danglingCables: danglingCables + (cableInHand ? 1 : 0),
+    colorMismatchRejections: challenge.rejections.colorMismatch,
+    directionRejections: challenge.rejections.direction,
+    signalConflictRejections: challenge.rejections.signalConflict,
+    requests: requests
+  };
+
+  return challenge.report;
+}
+
+/**
+ * Formats a report as CSV: a field/value summary, a blank line, then one row per request
+ * @param {Object} report - The report returned by finishChallenge
+ * @returns {string} - The CSV text
+ */
+function reportToCSV(report) {
+  const summaryFields = [
+    'challenge', 'student', 'startedAt', 'finishedAt', 'timeLimitSeconds', 'elapsedSeconds', 'timedOut',
+    'completedRequests', 'totalRequests', 'wrongPatches', 'danglingCables',
+    'colorMismatchRejections', 'directionRejections', 'signalConflictRejections'
+  ];
+
+  // Papa is expected to be available globally from the script included in index.html
+  const summary = Papa.unparse({
+    fields: ['field', 'value'],
+    data: summaryFields.map(field => [field, report[field]])
+  });
+
+  const requests = Papa.unparse({
+    fields: ['request', 'instruction', 'completed', 'completedAfterSeconds'],
+    data: report.requests.map(request => [
+      request.request,
+      request.instruction,
+      request.completed,
+      request.completedAfterSeconds === null ? '' : request.completedAfterSeconds
+    ])
+  });
+
+  return `${summary}\r\n\r\n${requests}\r\n`;
+}
+
+// Export the functions
+export {
+  startChallenge,
+  getElapsedSeconds,
+  recordRejection,
+  updateChallengeProgress,
+  finishChallenge,
+  reportToCSV
+};
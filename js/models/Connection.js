@@ -186,6 +186,35 @@ function findConnectionWithPort(port, connections, roomId = null) {
   });
 }
 
+/**
+ * Finds every connection that contains the specified port (mults and Y-splits can have several)
+ * @param {Object|string} port - The port to check (object or ID)
+ * @param {Array} connections - The array of connections
+ * @param {string} roomId - Optional room ID to scope the search
+ * @returns {Array} - The connections containing the port, oldest first
+ */
+function findConnectionsWithPort(port, connections, roomId = null) {
+  if (!port || !connections || !Array.isArray(connections)) {
+    return [];
+  }
+  
+  const portId = typeof port === 'string' ? port : port.id;
+  
+  return connections.filter(conn => {
+    if (!conn) return false;
+    
+    // If room ID is specified, only check connections in that room
+    if (roomId && conn.roomId && conn.roomId !== roomId) {
+      return false;
+    }
+    
+    return (conn.a === port || conn.b === port || 
+            conn.from === portId || conn.to === portId ||
+            (conn.portA && conn.portA.id === portId) ||
+            (conn.portB && conn.portB.id === portId));
+  });
+}
+
 /**
  * Finds all connections for a specific room
  * @param {Array} connections - The array of connections
@@ -223,6 +252,7 @@ export {
   lerp,
   drawCable,
   findConnectionWithPort,
+  findConnectionsWithPort,
   findConnectionsForRoom,
   isPortConnectedInRoom
 };
\ No newline at end of file
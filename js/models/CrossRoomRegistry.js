@@ -8,15 +8,24 @@
  * Structure: {
  *   portId: {
  *     rooms: [roomId1, roomId2, ...],
- *     masterSource: { roomId: 'roomId', connected: true },
+ *     masterSource: { roomId: 'roomId', connected: true } or null when no room has a cable on the port,
  *     signals: {
  *       roomId: { color: [r,g,b], sourceRoom: 'roomId' }
  *     },
  *     connections: {
  *       roomId: boolean // tracks if port is connected in each room
+ *     },
+ *     conflict: { rooms: [roomId, ...], reason: 'several-drivers' | 'different-signals' } or null,
+ *     normalled: {
+ *       roomId: { color: [r,g,b], sourcePort: 'portId' } // signal arriving through a normal
+ *     },
+ *     bussed: {
+ *       roomId: { color: [r,g,b], sourcePort: 'portId' } // signal arriving over a mult bus
  *     }
  *   }
  * }
+ * masterSource, signals, connections and conflict are derived from every room's cables by
+ * recomputeCrossRoomSignals - nothing else writes them
  */
 let crossRoomPortRegistry = {};
 
@@ -31,7 +40,10 @@ function registerPort(portId, roomId) {
   if (!crossRoomPortRegistry[portId]) {
     crossRoomPortRegistry[portId] = {
       rooms: [],
-      signals: {}
+      masterSource: null,
+      signals: {},
+      connections: {},
+      conflict: null
     };
   }
   
@@ -63,122 +75,138 @@ function unregisterPort(portId, roomId) {
 }
 
 /**
- * Sets a port as the master source for its portID
- * @param {string} portId - The port ID
- * @param {string} roomId - The room ID where the master source is located
- * @param {Array} color - The signal color [r, g, b]
+ * Gathers each port ID's cables per room
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @param {Function} getPortDirection - (portId, roomId) => 'output', 'input' or 'bidirectional'
+ * @returns {Object} - { portId: { roomId: { color, drives } } } where drives means a cable on it touches an output
  */
-function setMasterSource(portId, roomId, color) {
-  if (!portId || !roomId || !color) return;
-  
-  console.log('Setting master source:', { portId, roomId, color });
-  
-  if (!crossRoomPortRegistry[portId]) {
-    console.log('Port not registered, registering now:', portId, roomId);
-    registerPort(portId, roomId);
-  }
-  
-  // Set this port as the master source
-  crossRoomPortRegistry[portId].masterSource = {
-    roomId: roomId,
-    connected: true
-  };
-  
-  // Mark this port as connected in its room
-  if (!crossRoomPortRegistry[portId].connections) {
-    crossRoomPortRegistry[portId].connections = {};
-  }
-  crossRoomPortRegistry[portId].connections[roomId] = true;
-  
-  // Set the signal for this room
-  crossRoomPortRegistry[portId].signals[roomId] = {
-    color: color,
-    sourceRoom: roomId
-  };
-  
-  console.log('Registry after setting master source:', crossRoomPortRegistry[portId]);
+function collectPatchedPorts(connectionsByRoom, getPortDirection) {
+  const patchedPorts = {};
+  
+  Object.keys(connectionsByRoom).forEach(roomId => {
+    (connectionsByRoom[roomId] || []).forEach(connection => {
+      const portIds = [
+        connection.from || (connection.portA && connection.portA.id),
+        connection.to || (connection.portB && connection.portB.id)
+      ];
+      if (!portIds[0] || !portIds[1] || !connection.color) return;
+      
+      // A cable from an output drives both of its port IDs from this room
+      const drives = portIds.some(portId => getPortDirection(portId, roomId) === 'output');
+      
+      portIds.forEach(portId => {
+        if (!patchedPorts[portId]) {
+          patchedPorts[portId] = {};
+        }
+        
+        // Every cable on a jack carries the same signal, so the first cable's color stands for the jack
+        const existing = patchedPorts[portId][roomId];
+        patchedPorts[portId][roomId] = {
+          color: existing ? existing.color : connection.color,
+          drives: (existing && existing.drives) || drives
+        };
+      });
+    });
+  });
   
-  // Propagate signal to all other rooms (making them receivers)
-  propagateSignalToOtherRooms(portId, roomId, color);
+  return patchedPorts;
 }
 
 /**
- * Sets a signal for a port in a specific room (legacy function for compatibility)
- * @param {string} portId - The port ID
- * @param {string} roomId - The room ID where the signal originates
- * @param {Array} color - The signal color [r, g, b]
+ * Checks if two colors are identical
+ * @param {Array} colorA - The first color [r, g, b]
+ * @param {Array} colorB - The second color [r, g, b]
+ * @returns {boolean} - True if all three channels match
  */
-function setPortSignal(portId, roomId, color) {
-  if (!portId || !roomId || !color) return;
-  
-  console.log('Setting port signal:', { portId, roomId, color });
-  
-  if (!crossRoomPortRegistry[portId]) {
-    console.log('Port not registered, registering now:', portId, roomId);
-    registerPort(portId, roomId);
-  }
-  
-  // Check if this is the first connection for this portID
-  const hasExistingMaster = crossRoomPortRegistry[portId].masterSource;
+function isSameColor(colorA, colorB) {
+  return colorA[0] === colorB[0] && colorA[1] === colorB[1] && colorA[2] === colorB[2];
+}
+
+/**
+ * Recomputes every port's master source, signals, connection flags and conflicts from all rooms' cables
+ * Ownership rules:
+ * - A port ID is mastered by a room with a cable on it; with no cables left anywhere the master is released
+ * - Rooms whose cable touches an output drive the port and take mastership over rooms that only patch it through
+ * - Among the remaining candidates the current master keeps the port, otherwise the first room in order takes over
+ * - Several driving rooms, or rooms patching the port with different signal colors, are flagged as a conflict
+ * Normalled signals are left alone - they are refreshed separately from each room's normals
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @param {Function} getPortDirection - (portId, roomId) => 'output', 'input' or 'bidirectional'
+ * @returns {Array} - The conflicts found, as from getCrossRoomConflicts
+ */
+function recomputeCrossRoomSignals(connectionsByRoom, getPortDirection) {
+  const patchedPorts = collectPatchedPorts(connectionsByRoom, getPortDirection);
+  
+  // Clear everything derived from cables, remembering the masters for tie-breaks
+  const previousMasters = {};
+  Object.keys(crossRoomPortRegistry).forEach(portId => {
+    const entry = crossRoomPortRegistry[portId];
+    previousMasters[portId] = entry.masterSource ? entry.masterSource.roomId : null;
+    entry.masterSource = null;
+    entry.signals = {};
+    entry.connections = {};
+    entry.conflict = null;
+  });
   
-  if (!hasExistingMaster) {
-    // This becomes the master source
-    setMasterSource(portId, roomId, color);
-  } else {
-    // This is a connection in another room, mark as connected
-    setPortConnectionStatus(portId, roomId, true);
+  Object.keys(patchedPorts).forEach(portId => {
+    const patchedRooms = patchedPorts[portId];
+    const connectedRoomIds = Object.keys(patchedRooms);
+    connectedRoomIds.forEach(roomId => registerPort(portId, roomId));
+    
+    const entry = crossRoomPortRegistry[portId];
+    connectedRoomIds.forEach(roomId => {
+      entry.connections[roomId] = true;
+    });
     
-    // Set the signal
-    crossRoomPortRegistry[portId].signals[roomId] = {
-      color: color,
-      sourceRoom: crossRoomPortRegistry[portId].masterSource.roomId
+    // Pick the master room
+    const drivingRoomIds = connectedRoomIds.filter(roomId => patchedRooms[roomId].drives);
+    const candidates = drivingRoomIds.length > 0 ? drivingRoomIds : connectedRoomIds;
+    const masterRoomId = candidates.includes(previousMasters[portId]) ? previousMasters[portId] : candidates[0];
+    const masterColor = patchedRooms[masterRoomId].color;
+    
+    entry.masterSource = {
+      roomId: masterRoomId,
+      connected: true
     };
-  }
+    
+    // Every room sharing the port ID carries the master's signal
+    entry.rooms.forEach(roomId => {
+      entry.signals[roomId] = {
+        color: masterColor,
+        sourceRoom: masterRoomId
+      };
+    });
+    
+    // Flag rooms fighting over the port
+    const mismatchedRoomIds = connectedRoomIds.filter(roomId => !isSameColor(patchedRooms[roomId].color, masterColor));
+    if (drivingRoomIds.length > 1) {
+      entry.conflict = { rooms: drivingRoomIds, reason: 'several-drivers' };
+    } else if (mismatchedRoomIds.length > 0) {
+      entry.conflict = { rooms: [masterRoomId, ...mismatchedRoomIds], reason: 'different-signals' };
+    }
+  });
+  
+  return getCrossRoomConflicts();
 }
 
 /**
- * Removes a signal for a port in a specific room
+ * Gets a port ID's ownership conflict
  * @param {string} portId - The port ID
- * @param {string} roomId - The room ID to remove the signal from
+ * @returns {Object|null} - { rooms, reason } or null if the port is not contested
  */
-function removePortSignal(portId, roomId) {
-  if (!portId || !roomId || !crossRoomPortRegistry[portId]) return;
-  
-  delete crossRoomPortRegistry[portId].signals[roomId];
-  
-  // If this was the source room, clear signals from all other rooms
-  const remainingSignals = Object.values(crossRoomPortRegistry[portId].signals);
-  const sourceSignal = remainingSignals.find(signal => signal.sourceRoom === roomId);
-  
-  if (sourceSignal || remainingSignals.length === 0) {
-    // Clear all propagated signals
-    crossRoomPortRegistry[portId].signals = {};
-  }
+function getPortConflict(portId) {
+  if (!portId || !crossRoomPortRegistry[portId]) return null;
+  return crossRoomPortRegistry[portId].conflict || null;
 }
 
 /**
- * Propagates a signal from one room to all other rooms with the same port ID
- * @param {string} portId - The port ID
- * @param {string} sourceRoomId - The room ID where the signal originates
- * @param {Array} color - The signal color
+ * Lists every contested port ID
+ * @returns {Array} - [{ portId, rooms, reason }]
  */
-function propagateSignalToOtherRooms(portId, sourceRoomId, color) {
-  if (!crossRoomPortRegistry[portId]) return;
-  
-  const rooms = crossRoomPortRegistry[portId].rooms;
-  console.log('Propagating signal to other rooms:', { portId, sourceRoomId, rooms, color });
-  
-  rooms.forEach(roomId => {
-    if (roomId !== sourceRoomId) {
-      crossRoomPortRegistry[portId].signals[roomId] = {
-        color: color,
-        sourceRoom: sourceRoomId
-      };
-      console.log('Signal propagated to room:', roomId, 'for port:', portId);
-    }
-  });
-  
-  console.log('Final registry state for port:', portId, crossRoomPortRegistry[portId]);
+function getCrossRoomConflicts() {
+  return Object.keys(crossRoomPortRegistry)
+    .filter(portId => crossRoomPortRegistry[portId].conflict)
+    .map(portId => ({ portId, ...crossRoomPortRegistry[portId].conflict }));
 }
 
 /**
@@ -241,26 +269,6 @@ function hasPortCrossRoomSignal(portId, currentRoomId) {
   });
 }
 
-/**
- * Sets a port connection status in a specific room
- * @param {string} portId - The port ID
- * @param {string} roomId - The room ID
- * @param {boolean} connected - Whether the port is connected
- */
-function setPortConnectionStatus(portId, roomId, connected) {
-  if (!portId || !roomId) return;
-  
-  if (!crossRoomPortRegistry[portId]) {
-    registerPort(portId, roomId);
-  }
-  
-  if (!crossRoomPortRegistry[portId].connections) {
-    crossRoomPortRegistry[portId].connections = {};
-  }
-  
-  crossRoomPortRegistry[portId].connections[roomId] = connected;
-}
-
 /**
  * Gets the port type for a specific port in a room
  * @param {string} portId - The port ID
@@ -310,12 +318,105 @@ function getPortSignalSourceRoom(portId, roomId) {
 }
 
 /**
- * Clears all signals for a specific port
+ * Sets the signal a port receives through a normalization in a specific room
+ * @param {string} portId - The normalized port ID
+ * @param {string} roomId - The room ID where the normalization exists
+ * @param {Array} color - The signal color [r, g, b]
+ * @param {string} sourcePort - The port ID feeding the normal
+ */
+function setNormalledSignal(portId, roomId, color, sourcePort) {
+  if (!portId || !roomId || !color) return;
+  
+  if (!crossRoomPortRegistry[portId]) {
+    registerPort(portId, roomId);
+  }
+  
+  if (!crossRoomPortRegistry[portId].normalled) {
+    crossRoomPortRegistry[portId].normalled = {};
+  }
+  
+  crossRoomPortRegistry[portId].normalled[roomId] = {
+    color: color,
+    sourcePort: sourcePort
+  };
+}
+
+/**
+ * Clears all normalled signals for a specific room
+ * @param {string} roomId - The room ID
+ */
+function clearNormalledSignals(roomId) {
+  if (!roomId) return;
+  
+  Object.values(crossRoomPortRegistry).forEach(entry => {
+    if (entry.normalled) {
+      delete entry.normalled[roomId];
+    }
+  });
+}
+
+/**
+ * Gets the normalled signal for a port in a specific room
+ * @param {string} portId - The port ID
+ * @param {string} roomId - The room ID
+ * @returns {Object|null} - { color, sourcePort } or null if no normal is feeding the port
+ */
+function getPortNormalledSignal(portId, roomId) {
+  if (!portId || !roomId || !crossRoomPortRegistry[portId]) return null;
+  
+  const normalled = crossRoomPortRegistry[portId].normalled;
+  return normalled && normalled[roomId] ? normalled[roomId] : null;
+}
+
+/**
+ * Sets the signal a mult jack receives from another jack of its mult bus
+ * @param {string} portId - The mult jack's port ID
+ * @param {string} roomId - The room ID where the mult exists
+ * @param {Array} color - The signal color [r, g, b]
+ * @param {string} sourcePort - The jack of the bus the signal is patched into
+ */
+function setBussedSignal(portId, roomId, color, sourcePort) {
+  if (!portId || !roomId || !color) return;
+  
+  if (!crossRoomPortRegistry[portId]) {
+    registerPort(portId, roomId);
+  }
+  
+  if (!crossRoomPortRegistry[portId].bussed) {
+    crossRoomPortRegistry[portId].bussed = {};
+  }
+  
+  crossRoomPortRegistry[portId].bussed[roomId] = {
+    color: color,
+    sourcePort: sourcePort
+  };
+}
+
+/**
+ * Clears all mult bus signals for a specific room
+ * @param {string} roomId - The room ID
+ */
+function clearBussedSignals(roomId) {
+  if (!roomId) return;
+  
+  Object.values(crossRoomPortRegistry).forEach(entry => {
+    if (entry.bussed) {
+      delete entry.bussed[roomId];
+    }
+  });
+}
+
+/**
+ * Gets the signal a mult jack receives over its mult bus in a specific room
  * @param {string} portId - The port ID
+ * @param {string} roomId - The room ID
+ * @returns {Object|null} - { color, sourcePort } or null if nothing on the bus feeds the jack
  */
-function clearPortSignals(portId) {
-  if (!portId || !crossRoomPortRegistry[portId]) return;
-  crossRoomPortRegistry[portId].signals = {};
+function getPortBussedSignal(portId, roomId) {
+  if (!portId || !roomId || !crossRoomPortRegistry[portId]) return null;
+  
+  const bussed = crossRoomPortRegistry[portId].bussed;
+  return bussed && bussed[roomId] ? bussed[roomId] : null;
 }
 
 /**
@@ -358,11 +459,9 @@ function initializeRegistryFromRooms(rooms) {
 export {
   registerPort,
   unregisterPort,
-  setPortSignal,
-  setMasterSource,
-  setPortConnectionStatus,
-  removePortSignal,
-  propagateSignalToOtherRooms,
+  recomputeCrossRoomSignals,
+  getPortConflict,
+  getCrossRoomConflicts,
   getPortSignalColor,
   getPortCrossRoomSignalColor,
   getRoomsWithPort,
@@ -370,7 +469,12 @@ export {
   getPortType,
   shouldPortShowRing,
   getPortSignalSourceRoom,
-  clearPortSignals,
+  setNormalledSignal,
+  clearNormalledSignals,
+  getPortNormalledSignal,
+  setBussedSignal,
+  clearBussedSignals,
+  getPortBussedSignal,
   getRegistry,
   clearRegistry,
   initializeRegistryFromRooms
@@ -0,0 +1,274 @@
+/**
+ * Exercise Model Module
+ * Validates training lessons, checks their goals against the patch and keeps score
+ */
+
+// Import signal tracer
+import { traceSignalPath, isPortInTrace, getTracePathTo } from './SignalTracer.js';
+
+// Import connection utilities
+import { findConnectionsWithPort } from './Connection.js';
+
+// Import cross-room registry functions
+import { hasPortCrossRoomSignal, getPortNormalledSignal, getPortBussedSignal } from './CrossRoomRegistry.js';
+
+/**
+ * Goal types a lesson can use
+ * reach:     { from: { room, port }, to: { room, port } } - signal from one jack arrives at another
+ * cable:     { room, portA, portB } - the two jacks are patched directly together
+ * unpatched: { room, port } - nothing is plugged into the jack
+ * receives:  { room, port } - the jack carries a signal (cable, tie line or normal)
+ */
+export const GOAL_TYPES = ['reach', 'cable', 'unpatched', 'receives'];
+
+/**
+ * Checks a { room, port } reference used by reach goals
+ * @param {Object} ref - The reference
+ * @returns {boolean} - True if both fields are non-empty strings
+ */
+function isPortReference(ref) {
+  return !!ref && typeof ref.room === 'string' && ref.room !== '' &&
+    typeof ref.port === 'string' && ref.port !== '';
+}
+
+/**
+ * Lists the rooms a goal refers to
+ * @param {Object} goal - The goal
+ * @returns {Array} - Room IDs
+ */
+function getGoalRooms(goal) {
+  if (goal.type === 'reach') {
+    return [goal.from.room, goal.to.room];
+  }
+  return [goal.room];
+}
+
+/**
+ * Checks one goal's fields
+ * @param {Object} goal - The goal
+ * @returns {string|null} - A description of the problem, or null if the goal is well formed
+ */
+function validateGoal(goal) {
+  if (!goal || !GOAL_TYPES.includes(goal.type)) {
+    return `unknown goal type '${goal && goal.type}' (expected ${GOAL_TYPES.join(', ')})`;
+  }
+
+  if (goal.type === 'reach') {
+    if (!isPortReference(goal.from) || !isPortReference(goal.to)) {
+      return 'reach goals need "from" and "to" as { "room", "port" }';
+    }
+  } else if (goal.type === 'cable') {
+    if (typeof goal.room !== 'string' || typeof goal.portA !== 'string' || typeof goal.portB !== 'string') {
+      return 'cable goals need "room", "portA" and "portB"';
+    }
+  } else if (typeof goal.room !== 'string' || typeof goal.port !== 'string') {
+    return `${goal.type} goals need "room" and "port"`;
+  }
+
+  return null;
+}
+
+/**
+ * Checks a lesson's structure and that every room it names is loaded
+ * @param {Object} lesson - The parsed lesson file
+ * @param {Array} rooms - All loaded rooms
+ * @returns {Array} - Problems found (empty when the lesson can be used)
+ */
+function validateLesson(lesson, rooms) {
+  const errors = [];
+
+  if (!lesson || typeof lesson.title !== 'string' || lesson.title.trim() === '') {
+    errors.push('lesson needs a "title"');
+  }
+
+  if (!lesson || !Array.isArray(lesson.tasks) || lesson.tasks.length === 0) {
+    errors.push('lesson needs a non-empty "tasks" list');
+    return errors;
+  }
+
+  if (lesson.challenge !== undefined) {
+    const challenge = lesson.challenge;
+    if (!challenge || !Number.isFinite(challenge.timeLimit) || challenge.timeLimit <= 0) {
+      errors.push('challenge needs a positive "timeLimit" in seconds');
+    }
+    if (challenge && challenge.startPatch !== undefined &&
+        (typeof challenge.startPatch !== 'string' || !challenge.startPatch.toLowerCase().endsWith('.json'))) {
+      errors.push('challenge "startPatch" must name a .patch.json file in the lessons folder');
+    }
+  }
+
+  const roomNames = new Set(rooms.map(room => room.name));
+
+  lesson.tasks.forEach((task, taskIndex) => {
+    const taskLabel = `task ${taskIndex + 1}`;
+
+    if (!task || typeof task.instruction !== 'string' || task.instruction.trim() === '') {
+      errors.push(`${taskLabel}: needs an "instruction"`);
+    }
+
+    if (!task || !Array.isArray(task.goals) || task.goals.length === 0) {
+      errors.push(`${taskLabel}: needs a non-empty "goals" list`);
+      return;
+    }
+
+    task.goals.forEach((goal, goalIndex) => {
+      const problem = validateGoal(goal);
+      if (problem) {
+        errors.push(`${taskLabel} goal ${goalIndex + 1}: ${problem}`);
+        return;
+      }
+
+      getGoalRooms(goal)
+        .filter(roomId => !roomNames.has(roomId))
+        .forEach(roomId => errors.push(`${taskLabel} goal ${goalIndex + 1}: room '${roomId}' is not loaded`));
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Describes a goal for the results list when the lesson doesn't give a description
+ * @param {Object} goal - The goal
+ * @returns {string} - The description
+ */
+function describeGoal(goal) {
+  if (goal.description) return goal.description;
+
+  switch (goal.type) {
+    case 'reach':
+      return `${goal.from.port} (${goal.from.room}) reaches ${goal.to.port} (${goal.to.room})`;
+    case 'cable':
+      return `${goal.portA} is patched to ${goal.portB} in ${goal.room}`;
+    case 'unpatched':
+      return `${goal.port} is left unpatched in ${goal.room}`;
+    default:
+      return `${goal.port} carries a signal in ${goal.room}`;
+  }
+}
+
+/**
+ * Checks one goal against the connections of every room
+ * @param {Object} goal - The goal
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @returns {boolean} - True if the goal is met
+ */
+function isGoalMet(goal, connectionsByRoom) {
+  switch (goal.type) {
+    case 'reach': {
+      const trace = traceSignalPath(goal.from.port, goal.from.room, connectionsByRoom);
+      return isPortInTrace(trace, goal.to.port, goal.to.room);
+    }
+    case 'cable':
+      return findConnectionsWithPort(goal.portA, connectionsByRoom[goal.room] || [])
+        .some(conn => conn.from === goal.portB || conn.to === goal.portB);
+    case 'unpatched':
+      return findConnectionsWithPort(goal.port, connectionsByRoom[goal.room] || []).length === 0;
+    case 'receives':
+      return findConnectionsWithPort(goal.port, connectionsByRoom[goal.room] || []).length > 0 ||
+        hasPortCrossRoomSignal(goal.port, goal.room) ||
+        getPortNormalledSignal(goal.port, goal.room) !== null ||
+        getPortBussedSignal(goal.port, goal.room) !== null;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Gets the cables a met goal relies on
+ * @param {Object} goal - The goal
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @returns {Array} - The connections on the goal's route (empty for goals that don't use cables)
+ */
+function getGoalConnections(goal, connectionsByRoom) {
+  if (goal.type === 'cable') {
+    return findConnectionsWithPort(goal.portA, connectionsByRoom[goal.room] || [])
+      .filter(conn => conn.from === goal.portB || conn.to === goal.portB);
+  }
+
+  if (goal.type === 'reach') {
+    const trace = traceSignalPath(goal.from.port, goal.from.room, connectionsByRoom);
+    const path = getTracePathTo(trace, goal.to.port, goal.to.room) || [];
+    return path.filter(hop => hop.connection).map(hop => hop.connection);
+  }
+
+  return [];
+}
+
+/**
+ * Starts an exercise on a lesson
+ * @param {Object} lesson - A validated lesson
+ * @returns {Object} - { lesson, taskIndex, results: { taskIndex: [result] }, attempts: { taskIndex: count } }
+ */
+function startExercise(lesson) {
+  return {
+    lesson: lesson,
+    taskIndex: 0,
+    results: {},
+    attempts: {}
+  };
+}
+
+/**
+ * Checks the current task of an exercise and records the outcome
+ * @param {Object} exercise - The exercise returned by startExercise
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @returns {Array} - [{ description, passed, hint }] for each goal of the task
+ */
+function checkCurrentTask(exercise, connectionsByRoom) {
+  const task = exercise.lesson.tasks[exercise.taskIndex];
+
+  const results = task.goals.map(goal => {
+    const passed = isGoalMet(goal, connectionsByRoom);
+    return {
+      description: describeGoal(goal),
+      passed: passed,
+      hint: passed ? null : (goal.hint || null)
+    };
+  });
+
+  exercise.results[exercise.taskIndex] = results;
+  exercise.attempts[exercise.taskIndex] = (exercise.attempts[exercise.taskIndex] || 0) + 1;
+
+  return results;
+}
+
+/**
+ * Totals the goals and tasks passed on their latest check
+ * @param {Object} exercise - The exercise returned by startExercise
+ * @returns {Object} - { passedGoals, totalGoals, completedTasks, totalTasks }
+ */
+function getExerciseScore(exercise) {
+  const tasks = exercise.lesson.tasks;
+  let passedGoals = 0;
+  let completedTasks = 0;
+
+  tasks.forEach((task, taskIndex) => {
+    const results = exercise.results[taskIndex];
+    if (!results) return;
+
+    const passed = results.filter(result => result.passed).length;
+    passedGoals += passed;
+    if (passed === results.length) {
+      completedTasks++;
+    }
+  });
+
+  return {
+    passedGoals: passedGoals,
+    totalGoals: tasks.reduce((total, task) => total + task.goals.length, 0),
+    completedTasks: completedTasks,
+    totalTasks: tasks.length
+  };
+}
+
+// Export the functions
+export {
+  validateLesson,
+  describeGoal,
+  isGoalMet,
+  getGoalConnections,
+  startExercise,
+  checkCurrentTask,
+  getExerciseScore
+};
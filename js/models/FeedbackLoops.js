@@ -0,0 +1,292 @@
+/**
+ * Feedback Loops Module
+ * Finds cables that close a loop through other cables, normals, mults, tie lines and devices
+ *
+ * Signal flows one way along each link: cables from output to input, normals from source to the normalled jack,
+ * and devices from input to output, while the jacks of a mult are wired together. The graph has one node per
+ * port ID, so a port ID shared by several rooms (a tie line) is a single node.
+ * A device passes its input through to the output with the same number (p1862-av-i09 to p1862-av-o09),
+ * so patching that output back into the input closes a loop through the device.
+ */
+
+// Import normalization model
+import { getRoomNormalizations, isNormalizationActive } from './Normalization.js';
+
+// Import mult buses
+import { getRoomMultBuses } from './MultBus.js';
+
+// Import room utilities
+import { findPortInRoom } from './Room.js';
+
+// Import utility functions
+import { getRoomPortIds } from '../utils/csvParser.js';
+
+/**
+ * Finds the input a device feeds to an output jack, e.g. p1862-av-i09 for p1862-av-o09
+ * @param {string} portId - The output's port ID
+ * @param {Set} roomPortIds - Every port ID in the output's room
+ * @returns {string|null} - The matching input's port ID, or null if the room has none
+ */
+function findDeviceInput(portId, roomPortIds) {
+  const match = /^(.+[-_])(o|out)(\d*)$/i.exec(portId);
+  if (!match) return null;
+
+  const [, stem, , number] = match;
+  const candidates = ['i', 'in', 'I', 'IN'].map(suffix => `${stem}${suffix}${number}`);
+  return candidates.find(candidate => roomPortIds.has(candidate)) || null;
+}
+
+/**
+ * Gets which way a jack carries signal in a room
+ * @param {Object} room - The room
+ * @param {string} portId - The port ID
+ * @returns {string} - 'output', 'input' or 'bidirectional' (also for jacks the room doesn't have)
+ */
+function getDirectionInRoom(room, portId) {
+  const portInfo = findPortInRoom(room, portId);
+  return portInfo ? portInfo.direction : 'bidirectional';
+}
+
+/**
+ * Lists the links signal travels along, each in the direction it flows
+ * Cables run from output to input; a cable with no output or input end (such as mult to tie line) is passive
+ * and joins its two jacks into one point, with no direction of its own.
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @param {Array} rooms - All loaded rooms
+ * @returns {Array} - [{ from, to, via: 'cable'|'normal'|'mult'|'device', passive, roomId, connection? }]
+ */
+function collectSignalLinks(connectionsByRoom, rooms) {
+  const links = [];
+
+  Object.keys(connectionsByRoom).forEach(roomId => {
+    const connections = connectionsByRoom[roomId] || [];
+    const room = rooms.find(r => r.name === roomId);
+
+    connections.forEach(connection => {
+      if (!connection.from || !connection.to) return;
+
+      const fromDirection = getDirectionInRoom(room, connection.from);
+      const toDirection = getDirectionInRoom(room, connection.to);
+      const forward = fromDirection === 'output' || toDirection === 'input';
+      const reversed = fromDirection === 'input' || toDirection === 'output';
+      // Output to output and input to input are refused when patched, so they count as passive too
+      const passive = forward === reversed;
+
+      links.push({
+        from: reversed && !passive ? connection.to : connection.from,
+        to: reversed && !passive ? connection.from : connection.to,
+        via: 'cable',
+        passive,
+        roomId,
+        connection
+      });
+    });
+
+    getRoomNormalizations(roomId).forEach(normalization => {
+      if (isNormalizationActive(normalization, connections)) {
+        links.push({ from: normalization.sourcePort, to: normalization.normalizedPort, via: 'normal', passive: false, roomId });
+      }
+    });
+
+    // The jacks of a mult are wired together, like a passive cable between each pair
+    getRoomMultBuses(roomId).forEach(portIds => {
+      portIds.slice(1).forEach(portId => {
+        links.push({ from: portIds[0], to: portId, via: 'mult', passive: true, roomId });
+      });
+    });
+
+    if (!room) return;
+
+    // Signal goes into the device through its input jack and comes back on its output
+    const roomPortIds = getRoomPortIds(room);
+    roomPortIds.forEach(portId => {
+      const inputId = findDeviceInput(portId, roomPortIds);
+      if (!inputId) return;
+
+      const backwards = getDirectionInRoom(room, inputId) === 'output' || getDirectionInRoom(room, portId) === 'input';
+      links.push({
+        from: backwards ? portId : inputId,
+        to: backwards ? inputId : portId,
+        via: 'device',
+        passive: false,
+        roomId
+      });
+    });
+  });
+
+  return links;
+}
+
+/**
+ * Joins the jacks that passive cables connect, so each group of joined jacks is one point in the graph
+ * @param {Array} links - The links from collectSignalLinks
+ * @returns {Function} - (portId) => the port ID standing for its group
+ */
+function joinPassiveLinks(links) {
+  const parent = new Map();
+  const find = portId => {
+    let root = portId;
+    while (parent.has(root)) root = parent.get(root);
+    return root;
+  };
+
+  links.forEach(link => {
+    if (!link.passive) return;
+
+    const rootA = find(link.from);
+    const rootB = find(link.to);
+    if (rootA !== rootB) parent.set(rootA, rootB);
+  });
+
+  return find;
+}
+
+/**
+ * Splits the signal graph into strongly connected components (Tarjan's algorithm)
+ * @param {Array} edges - [{ from, to }] between graph points
+ * @returns {Map} - Each point mapped to its component's index
+ */
+function findStrongComponents(edges) {
+  const adjacency = new Map();
+  edges.forEach(({ from, to }) => {
+    if (!adjacency.has(from)) adjacency.set(from, []);
+    if (!adjacency.has(to)) adjacency.set(to, []);
+    adjacency.get(from).push(to);
+  });
+
+  const discovered = new Map();
+  const lowest = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const componentOf = new Map();
+  let time = 0;
+  let componentCount = 0;
+
+  const visit = node => {
+    discovered.set(node, time);
+    lowest.set(node, time);
+    time++;
+    stack.push(node);
+    onStack.add(node);
+
+    adjacency.get(node).forEach(to => {
+      if (!discovered.has(to)) {
+        visit(to);
+        lowest.set(node, Math.min(lowest.get(node), lowest.get(to)));
+      } else if (onStack.has(to)) {
+        lowest.set(node, Math.min(lowest.get(node), discovered.get(to)));
+      }
+    });
+
+    // A node that reaches nothing above it is the root of a component
+    if (lowest.get(node) === discovered.get(node)) {
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        componentOf.set(member, componentCount);
+      } while (member !== node);
+      componentCount++;
+    }
+  };
+
+  adjacency.forEach((targets, node) => {
+    if (!discovered.has(node)) visit(node);
+  });
+
+  return componentOf;
+}
+
+/**
+ * Finds every feedback loop in the patch
+ * A loop is a strongly connected part of the directed signal graph that holds at least one cable,
+ * so two sources merging on a mult or an input isn't a loop; signal has to get back to where it started.
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @param {Array} rooms - All loaded rooms
+ * @returns {Array} - [{ connections, ports, rooms, deviceLinks: [{ output, input, roomId }] }]
+ */
+function findFeedbackLoops(connectionsByRoom, rooms) {
+  const links = collectSignalLinks(connectionsByRoom, rooms);
+  const pointOf = joinPassiveLinks(links);
+
+  const edges = links
+    .filter(link => !link.passive)
+    .map(link => ({ link, from: pointOf(link.from), to: pointOf(link.to) }));
+  const componentOf = findStrongComponents(edges);
+
+  // Every edge inside a component lies on a cycle, including an edge back to its own point
+  const loopsByComponent = new Map();
+  const getLoop = component => {
+    if (!loopsByComponent.has(component)) {
+      loopsByComponent.set(component, { links: [], ports: new Set() });
+    }
+    return loopsByComponent.get(component);
+  };
+
+  edges.forEach(({ link, from, to }) => {
+    const component = componentOf.get(from);
+    if (component !== componentOf.get(to)) return;
+
+    const loop = getLoop(component);
+    loop.links.push(link);
+    loop.ports.add(link.from);
+    loop.ports.add(link.to);
+  });
+
+  // Passive cables carry the loop's signal when the point they join is part of it
+  links.forEach(link => {
+    if (!link.passive) return;
+
+    const loop = loopsByComponent.get(componentOf.get(pointOf(link.from)));
+    if (!loop) return;
+
+    loop.links.push(link);
+    loop.ports.add(link.from);
+    loop.ports.add(link.to);
+  });
+
+  return [...loopsByComponent.values()]
+    .filter(loop => loop.links.some(link => link.via === 'cable'))
+    .map(loop => ({
+      connections: loop.links.filter(link => link.via === 'cable').map(link => link.connection),
+      ports: [...loop.ports],
+      rooms: [...new Set(loop.links.map(link => link.roomId))],
+      deviceLinks: loop.links
+        .filter(link => link.via === 'device')
+        .map(link => ({ output: link.to, input: link.from, roomId: link.roomId }))
+    }));
+}
+
+/**
+ * Finds the feedback loop a cable is part of
+ * @param {Array} loops - The loops from findFeedbackLoops
+ * @param {Object} connection - The connection to check
+ * @returns {Object|null} - The loop, or null if the cable isn't on one
+ */
+function getConnectionLoop(loops, connection) {
+  if (!loops || !connection) return null;
+  return loops.find(loop => loop.connections.includes(connection)) || null;
+}
+
+/**
+ * Explains a feedback loop in one sentence
+ * @param {Object} loop - A loop from findFeedbackLoops
+ * @returns {string} - The explanation
+ */
+function describeFeedbackLoop(loop) {
+  const cables = `${loop.connections.length} cable${loop.connections.length === 1 ? '' : 's'}`;
+  const rooms = loop.rooms.length > 1 ? ` across ${loop.rooms.length} rooms` : '';
+
+  if (loop.deviceLinks.length > 0) {
+    const link = loop.deviceLinks[0];
+    return `${link.output} is fed back into its own input ${link.input} through ${cables}${rooms}`;
+  }
+  return `${cables}${rooms} form a ring through ${loop.ports.join(', ')}, so the signal keeps going round`;
+}
+
+// Export the functions
+export {
+  findFeedbackLoops,
+  getConnectionLoop,
+  describeFeedbackLoop
+};
@@ -0,0 +1,110 @@
+/**
+ * History Model Module
+ * Keeps undo/redo stacks of patching operations
+ */
+
+// Maximum number of operations kept for undo
+const historyLimit = 200;
+
+/**
+ * Operation stacks
+ * Each operation: {
+ *   label: 'connect' | 'pick up' | 'delete' | 'clear',
+ *   roomId: 'roomId',
+ *   added: [connection, ...],   // connections the operation created
+ *   removed: [connection, ...]  // connections the operation removed
+ * }
+ */
+let undoStack = [];
+let redoStack = [];
+
+/**
+ * Creates a history operation
+ * @param {string} label - A short description of the operation
+ * @param {string} roomId - The room the operation changed
+ * @param {Array} added - Connections created by the operation
+ * @param {Array} removed - Connections removed by the operation
+ * @returns {Object} - The operation
+ */
+function createOperation(label, roomId, added = [], removed = []) {
+  return {
+    label: label,
+    roomId: roomId,
+    added: [...added],
+    removed: [...removed]
+  };
+}
+
+/**
+ * Records a new operation, discarding anything that could be redone
+ * @param {Object} operation - The operation to record
+ */
+function recordOperation(operation) {
+  if (!operation || !operation.roomId) return;
+  if (operation.added.length === 0 && operation.removed.length === 0) return;
+
+  undoStack.push(operation);
+  if (undoStack.length > historyLimit) {
+    undoStack.shift();
+  }
+  redoStack = [];
+}
+
+/**
+ * Takes the most recent operation off the undo stack and moves it to the redo stack
+ * @returns {Object|null} - The operation to undo, or null if there is nothing to undo
+ */
+function takeUndoOperation() {
+  const operation = undoStack.pop();
+  if (!operation) return null;
+
+  redoStack.push(operation);
+  return operation;
+}
+
+/**
+ * Takes the most recently undone operation off the redo stack and moves it back to the undo stack
+ * @returns {Object|null} - The operation to redo, or null if there is nothing to redo
+ */
+function takeRedoOperation() {
+  const operation = redoStack.pop();
+  if (!operation) return null;
+
+  undoStack.push(operation);
+  return operation;
+}
+
+/**
+ * Checks if there is an operation to undo
+ * @returns {boolean} - True if undo is possible
+ */
+function canUndo() {
+  return undoStack.length > 0;
+}
+
+/**
+ * Checks if there is an operation to redo
+ * @returns {boolean} - True if redo is possible
+ */
+function canRedo() {
+  return redoStack.length > 0;
+}
+
+/**
+ * Clears both stacks (e.g. after a different patch is loaded)
+ */
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+}
+
+// Export the functions
+export {
+  createOperation,
+  recordOperation,
+  takeUndoOperation,
+  takeRedoOperation,
+  canUndo,
+  canRedo,
+  clearHistory
+};
@@ -0,0 +1,127 @@
+/**
+ * Mult Bus Module
+ * Busses the jacks of each MULT group together, as a real bay wires its mults
+ *
+ * A signal patched into any jack of a mult group is on every other jack of the group,
+ * so one source can fan out to several cables, one per jack.
+ */
+
+// Import port utilities
+import { isMultGroupLabel } from './Port.js';
+
+// Import connection utilities
+import { findConnectionWithPort } from './Connection.js';
+
+// Import cross-room registry functions
+import {
+  getPortCrossRoomSignalColor,
+  setBussedSignal,
+  clearBussedSignals
+} from './CrossRoomRegistry.js';
+
+/**
+ * Mult buses of each room
+ * Structure: { roomId: [['portId', 'portId', ...], ...] } with one list of live jacks per MULT group
+ */
+let roomMultBuses = {};
+
+/**
+ * Lists the mult buses of a room from its CSV group labels
+ * Each MULT group in a row is one bus; dead jacks in the group aren't on it
+ * @param {Object} room - A room from parseRoomCSV
+ * @returns {Array} - [[portId, ...]] one list per group with at least two live jacks
+ */
+function findRoomMultBuses(room) {
+  const buses = [];
+
+  ((room && room.sections) || []).forEach(section => {
+    [section.topRow, section.bottomRow].forEach(row => {
+      if (!row) return;
+
+      (row.groupLabels || []).forEach(group => {
+        if (!group || typeof group !== 'object' || !isMultGroupLabel(group.label)) return;
+
+        const portIds = (row.portIds || [])
+          .slice(group.startIndex, group.endIndex + 1)
+          .filter(portId => typeof portId === 'string' && portId.trim() !== '')
+          .map(portId => portId.trim());
+        if (portIds.length > 1) {
+          buses.push(portIds);
+        }
+      });
+    });
+  });
+
+  return buses;
+}
+
+/**
+ * Gets the mult buses of a room
+ * @param {string} roomId - The room ID
+ * @returns {Array} - [[portId, ...]] (empty if the room has no mults)
+ */
+function getRoomMultBuses(roomId) {
+  if (!roomId || !roomMultBuses[roomId]) return [];
+  return roomMultBuses[roomId];
+}
+
+/**
+ * Initializes the mult buses from loaded room data
+ * @param {Object} rooms - Object containing all room data keyed by room ID
+ */
+function initializeMultBusesFromRooms(rooms) {
+  roomMultBuses = {};
+
+  if (!rooms || typeof rooms !== 'object') return;
+
+  Object.keys(rooms).forEach(roomId => {
+    roomMultBuses[roomId] = findRoomMultBuses(rooms[roomId]);
+  });
+}
+
+/**
+ * Gets the signal color on a jack from its own cable or a tie line
+ * @param {string} portId - The port ID
+ * @param {string} roomId - The room ID
+ * @param {Array} connections - The connections in the room
+ * @returns {Array|null} - The signal color [r, g, b] or null if the jack is silent
+ */
+function getJackSignalColor(portId, roomId, connections) {
+  const connection = findConnectionWithPort(portId, connections);
+  if (connection && connection.color) {
+    return connection.color;
+  }
+  return getPortCrossRoomSignalColor(portId, roomId);
+}
+
+/**
+ * Recalculates the signals carried over a room's mult buses and publishes them to the cross-room registry
+ * The first jack of a bus with a signal feeds the bus; jacks with a cable of their own keep its color
+ * @param {string} roomId - The room ID
+ * @param {Array} connections - The connections in the room
+ */
+function refreshMultBusSignals(roomId, connections) {
+  if (!roomId) return;
+
+  clearBussedSignals(roomId);
+
+  getRoomMultBuses(roomId).forEach(portIds => {
+    const sourcePort = portIds.find(portId => getJackSignalColor(portId, roomId, connections));
+    if (!sourcePort) return;
+
+    const color = getJackSignalColor(sourcePort, roomId, connections);
+    portIds.forEach(portId => {
+      if (portId !== sourcePort && !findConnectionWithPort(portId, connections)) {
+        setBussedSignal(portId, roomId, color, sourcePort);
+      }
+    });
+  });
+}
+
+// Export the functions
+export {
+  findRoomMultBuses,
+  getRoomMultBuses,
+  initializeMultBusesFromRooms,
+  refreshMultBusSignals
+};
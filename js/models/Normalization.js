@@ -0,0 +1,238 @@
+/**
+ * Normalization Model Module
+ * Handles full-normal and half-normal behavior between pairs of ports
+ */
+
+// Import connection utilities
+import { findConnectionWithPort } from './Connection.js';
+
+// Import cross-room registry functions
+import {
+  getPortCrossRoomSignalColor,
+  setNormalledSignal,
+  clearNormalledSignals
+} from './CrossRoomRegistry.js';
+
+// Supported normalization types
+export const NORMALIZATION_TYPES = ['full-normal', 'half-normal'];
+
+/**
+ * Normalizations loaded for each room
+ * Structure: {
+ *   roomId: [
+ *     { sourcePort: 'portId', normalizedPort: 'portId', type: 'half-normal', enabled: true, roomId: 'roomId' }
+ *   ]
+ * }
+ */
+let roomNormalizations = {};
+
+/**
+ * Creates a normalization object
+ * @param {string} sourcePort - The port ID that provides the signal
+ * @param {string} normalizedPort - The port ID that receives the normalled signal
+ * @param {string} type - 'full-normal' or 'half-normal'
+ * @param {boolean} enabled - Whether the normalization is enabled
+ * @param {string} roomId - The room ID where the normalization exists
+ * @returns {Object} - The created normalization
+ */
+function createNormalization(sourcePort, normalizedPort, type, enabled = true, roomId = null) {
+  return {
+    sourcePort: sourcePort,
+    normalizedPort: normalizedPort,
+    type: type,
+    enabled: enabled,
+    roomId: roomId
+  };
+}
+
+/**
+ * Stores the normalizations for a room
+ * @param {string} roomId - The room ID
+ * @param {Array} normalizations - The normalizations for the room
+ */
+function setRoomNormalizations(roomId, normalizations) {
+  if (!roomId) return;
+  roomNormalizations[roomId] = Array.isArray(normalizations) ? normalizations : [];
+}
+
+/**
+ * Gets the normalizations for a room
+ * @param {string} roomId - The room ID
+ * @returns {Array} - The normalizations for the room (empty if none loaded)
+ */
+function getRoomNormalizations(roomId) {
+  if (!roomId || !roomNormalizations[roomId]) return [];
+  return roomNormalizations[roomId];
+}
+
+/**
+ * Clears all stored normalizations
+ */
+function clearNormalizations() {
+  roomNormalizations = {};
+}
+
+/**
+ * Initializes the normalization store from loaded room data
+ * @param {Object} rooms - Object containing all room data keyed by room ID
+ */
+function initializeNormalizationsFromRooms(rooms) {
+  clearNormalizations();
+
+  if (!rooms || typeof rooms !== 'object') return;
+
+  Object.keys(rooms).forEach(roomId => {
+    const room = rooms[roomId];
+    if (room && Array.isArray(room.normalizations)) {
+      setRoomNormalizations(roomId, room.normalizations);
+    }
+  });
+}
+
+/**
+ * Finds the normalization that uses a port as its source
+ * @param {Object|string} port - The port (object or ID)
+ * @param {Array} normalizations - The normalizations to search
+ * @returns {Object|null} - The matching normalization or null
+ */
+function findNormalizationBySourcePort(port, normalizations) {
+  if (!port || !Array.isArray(normalizations)) return null;
+
+  const portId = typeof port === 'string' ? port : port.id;
+  return normalizations.find(normalization => normalization.sourcePort === portId) || null;
+}
+
+/**
+ * Finds the normalization that feeds a port
+ * @param {Object|string} port - The port (object or ID)
+ * @param {Array} normalizations - The normalizations to search
+ * @returns {Object|null} - The matching normalization or null
+ */
+function findNormalizationByNormalizedPort(port, normalizations) {
+  if (!port || !Array.isArray(normalizations)) return null;
+
+  const portId = typeof port === 'string' ? port : port.id;
+  return normalizations.find(normalization => normalization.normalizedPort === portId) || null;
+}
+
+/**
+ * Checks if a port takes part in any normalization
+ * @param {Object|string} port - The port (object or ID)
+ * @param {Array} normalizations - The normalizations to search
+ * @returns {boolean} - True if the port is a source or destination of a normalization
+ */
+function isPortNormalized(port, normalizations) {
+  return findNormalizationBySourcePort(port, normalizations) !== null ||
+         findNormalizationByNormalizedPort(port, normalizations) !== null;
+}
+
+/**
+ * Checks if a normalization is currently passing signal
+ * Full-normals break when either jack is patched, half-normals only when the destination is patched
+ * @param {Object} normalization - The normalization to check
+ * @param {Array} connections - The connections in the normalization's room
+ * @returns {boolean} - True if signal flows from source to normalized port
+ */
+function isNormalizationActive(normalization, connections) {
+  if (!normalization || !normalization.enabled) return false;
+
+  const destinationPatched = !!findConnectionWithPort(normalization.normalizedPort, connections);
+  if (destinationPatched) return false;
+
+  if (normalization.type === 'full-normal') {
+    return !findConnectionWithPort(normalization.sourcePort, connections);
+  }
+
+  return normalization.type === 'half-normal';
+}
+
+/**
+ * Gets the live state of a normalization for display
+ * @param {Object} normalization - The normalization to check
+ * @param {Array} connections - The connections in the normalization's room
+ * @returns {string} - 'disabled', 'intact', 'tapped' (half-normal source patched but still passing) or 'broken'
+ */
+function getNormalizationState(normalization, connections) {
+  if (!normalization || !normalization.enabled) return 'disabled';
+
+  if (!isNormalizationActive(normalization, connections)) return 'broken';
+
+  const sourcePatched = !!findConnectionWithPort(normalization.sourcePort, connections);
+  return sourcePatched ? 'tapped' : 'intact';
+}
+
+/**
+ * Gets the actual signal source for a port considering cables and normalizations
+ * @param {Object|string} port - The port (object or ID)
+ * @param {Array} connections - The connections in the port's room
+ * @param {Array} normalizations - The normalizations in the port's room
+ * @returns {Object} - { type: 'direct'|'normalization'|'none', source: connection|normalization|null }
+ */
+function getSignalSource(port, connections, normalizations) {
+  // A cable always takes priority over the normal
+  const directConnection = findConnectionWithPort(port, connections);
+  if (directConnection) {
+    return { type: 'direct', source: directConnection };
+  }
+
+  const normalization = findNormalizationByNormalizedPort(port, normalizations);
+  if (normalization && isNormalizationActive(normalization, connections)) {
+    return { type: 'normalization', source: normalization };
+  }
+
+  return { type: 'none', source: null };
+}
+
+/**
+ * Gets the signal color present on a normalization's source port
+ * @param {Object} normalization - The normalization
+ * @param {string} roomId - The room ID
+ * @param {Array} connections - The connections in the room
+ * @returns {Array|null} - The signal color [r, g, b] or null if the source is silent
+ */
+function getNormalizationSourceColor(normalization, roomId, connections) {
+  const sourceConnection = findConnectionWithPort(normalization.sourcePort, connections);
+  if (sourceConnection && sourceConnection.color) {
+    return sourceConnection.color;
+  }
+
+  // The source jack may be a tie line carrying a signal patched in another room
+  return getPortCrossRoomSignalColor(normalization.sourcePort, roomId);
+}
+
+/**
+ * Recalculates the normalled signals of a room and publishes them to the cross-room registry
+ * @param {string} roomId - The room ID
+ * @param {Array} connections - The connections in the room
+ */
+function refreshNormalledSignals(roomId, connections) {
+  if (!roomId) return;
+
+  clearNormalledSignals(roomId);
+
+  getRoomNormalizations(roomId).forEach(normalization => {
+    if (!isNormalizationActive(normalization, connections)) return;
+
+    const color = getNormalizationSourceColor(normalization, roomId, connections);
+    if (color) {
+      setNormalledSignal(normalization.normalizedPort, roomId, color, normalization.sourcePort);
+    }
+  });
+}
+
+// Export the functions
+export {
+  createNormalization,
+  setRoomNormalizations,
+  getRoomNormalizations,
+  clearNormalizations,
+  initializeNormalizationsFromRooms,
+  findNormalizationBySourcePort,
+  findNormalizationByNormalizedPort,
+  isPortNormalized,
+  isNormalizationActive,
+  getNormalizationState,
+  getSignalSource,
+  getNormalizationSourceColor,
+  refreshNormalledSignals
+};
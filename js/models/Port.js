@@ -6,10 +6,14 @@
 // Import constants
 import { portRadius } from '../config/constants.js';
 
+// Signal directions a jack can have
+export const PORT_DIRECTIONS = ['output', 'input', 'bidirectional'];
+
 /**
  * Finds a port at the given coordinates
- * @param {number} x - The x coordinate
- * @param {number} y - The y coordinate
+ * Mouse positions must already be mapped through the view zoom and pan (see screenToRoom)
+ * @param {number} x - The x coordinate in room space
+ * @param {number} y - The y coordinate in room space
  * @param {Array} ports - The array of ports to search
  * @param {number} radius - The radius to check (defaults to portRadius)
  * @returns {Object|null} - The port at the given coordinates, or null if none found
@@ -88,6 +92,79 @@ function isPortConnected(port, connections) {
   });
 }
 
+/**
+ * Checks if a group label marks its jacks as mults
+ * Any room CSV group label containing the word MULT or MULTS (e.g. "MULT 1", "PATCH MULTS") qualifies
+ * @param {string} label - The group label
+ * @returns {boolean} - True if the jacks in the group accept several cables
+ */
+function isMultGroupLabel(label) {
+  return typeof label === 'string' && /\bMULTS?\b/i.test(label);
+}
+
+/**
+ * Checks if a port accepts more than one cable without a modifier key
+ * @param {Object} port - The port to check
+ * @returns {boolean} - True if the port is a mult jack
+ */
+function isMultPort(port) {
+  return !!(port && port.isMult);
+}
+
+/**
+ * Works out which way signal flows through a jack from the room CSV
+ * Checked in order: the direction written in the channel cell (OUT/IN), then the port ID suffix
+ * (-o09, -i01, -out, -in), then group label words (OUTPUTS, SENDS, INPUTS, RETURNS)
+ * @param {string} portId - The port ID
+ * @param {string} groupLabel - The group label above or below the jack
+ * @param {string} channelLabel - The channel number cell of the jack
+ * @returns {string} - 'output', 'input' or 'bidirectional' when nothing says otherwise
+ */
+function inferPortDirection(portId, groupLabel = '', channelLabel = '') {
+  // An explicit IN/OUT in the CSV wins over naming conventions
+  if (typeof channelLabel === 'string') {
+    if (/^out$/i.test(channelLabel.trim())) return 'output';
+    if (/^in$/i.test(channelLabel.trim())) return 'input';
+  }
+  
+  if (typeof portId === 'string') {
+    if (/[-_](o|out)\d*$/i.test(portId)) return 'output';
+    if (/[-_](i|in)\d*$/i.test(portId)) return 'input';
+  }
+  
+  if (typeof groupLabel === 'string') {
+    if (/\b(OUTPUTS?|OUTS?|SENDS?)\b/i.test(groupLabel)) return 'output';
+    if (/\b(INPUTS?|INS?|RETURNS?)\b/i.test(groupLabel)) return 'input';
+  }
+  
+  return 'bidirectional';
+}
+
+/**
+ * Gets the signal direction of a port
+ * @param {Object} port - The port
+ * @returns {string} - 'output', 'input' or 'bidirectional'
+ */
+function getPortDirection(port) {
+  return port && PORT_DIRECTIONS.includes(port.direction) ? port.direction : 'bidirectional';
+}
+
+/**
+ * Checks if patching two jacks together joins incompatible directions
+ * @param {string} directionA - Direction of the first jack
+ * @param {string} directionB - Direction of the second jack
+ * @returns {string|null} - A description of the problem, or null if the patch makes sense
+ */
+function getDirectionConflict(directionA, directionB) {
+  if (directionA === 'output' && directionB === 'output') {
+    return 'output to output (two sources driving each other)';
+  }
+  if (directionA === 'input' && directionB === 'input') {
+    return 'input to input (no source on either end)';
+  }
+  return null;
+}
+
 /**
  * Helper function to calculate distance between two points
  * @param {number} x1 - First point x coordinate
@@ -129,6 +206,11 @@ function getPortsBySection(ports, sectionIndex, row = null) {
 export {
   getPortAt,
   isPortConnected,
+  isMultGroupLabel,
+  isMultPort,
+  inferPortDirection,
+  getPortDirection,
+  getDirectionConflict,
   dist,
   getPortsBySection
 };
\ No newline at end of file
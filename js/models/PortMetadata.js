@@ -0,0 +1,82 @@
+/**
+ * Port Metadata Module
+ * Device, connector, signal type and notes for jacks, from each room's optional ports file
+ *
+ * The ports file is a CSV with a header row naming its columns: port, device, connector, signal and notes.
+ * Only the port column is required, and jacks the file doesn't list have no metadata (see ports/README.md).
+ */
+
+// Signal types a jack can carry, with the label shown for each
+const SIGNAL_TYPES = {
+  mic: 'mic',
+  line: 'line',
+  aes: 'AES',
+  madi: 'MADI',
+  wordclock: 'word clock'
+};
+
+// Other spellings accepted in the signal column
+const signalTypeAliases = {
+  'mic level': 'mic',
+  'line level': 'line',
+  'aes3': 'aes',
+  'aes/ebu': 'aes',
+  'aes-ebu': 'aes',
+  'word clock': 'wordclock',
+  'word-clock': 'wordclock',
+  'wclk': 'wordclock'
+};
+
+/**
+ * Reads a signal type cell
+ * @param {string} value - The cell, e.g. "AES" or "Word Clock"
+ * @returns {string|null} - A key of SIGNAL_TYPES, or null if the value isn't a known type
+ */
+function parseSignalType(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(SIGNAL_TYPES, text)) return text;
+  return signalTypeAliases[text] || null;
+}
+
+/**
+ * Gets a jack's metadata from its room
+ * @param {Object} room - The room, with portMetadata from its ports file
+ * @param {string} portId - The port ID
+ * @returns {Object} - { device, connector, signalType, notes }, blank for jacks without metadata
+ */
+function getPortMetadata(room, portId) {
+  const metadata = room && room.portMetadata ? room.portMetadata[portId] : null;
+  return {
+    device: metadata ? metadata.device : '',
+    connector: metadata ? metadata.connector : '',
+    signalType: metadata ? metadata.signalType : null,
+    notes: metadata ? metadata.notes : ''
+  };
+}
+
+/**
+ * Checks if patching two jacks together joins different signal types, such as AES into a mic input
+ * @param {Object} portA - The jack the cable comes from (any object with signalType and direction)
+ * @param {Object} portB - The jack the cable goes to
+ * @returns {string|null} - A description of the mismatch, or null if the types match or either is unknown
+ */
+function getSignalTypeConflict(portA, portB) {
+  if (!portA || !portB || !portA.signalType || !portB.signalType) return null;
+  if (portA.signalType === portB.signalType) return null;
+
+  // Describe the signal going into the jack that receives it
+  const [source, destination] = portA.direction === 'input' && portB.direction !== 'input' ?
+    [portB, portA] :
+    [portA, portB];
+  const jackKind = destination.direction === 'input' ? 'input' : 'jack';
+
+  return `${SIGNAL_TYPES[source.signalType]} into a ${SIGNAL_TYPES[destination.signalType]} ${jackKind}`;
+}
+
+// Export the functions
+export {
+  SIGNAL_TYPES,
+  parseSignalType,
+  getPortMetadata,
+  getSignalTypeConflict
+};
@@ -0,0 +1,97 @@
+/**
+ * Port Search Model Module
+ * Indexes the jacks of every loaded room and matches them against search text
+ */
+
+// Import utility functions
+import { findGroupForPort } from '../utils/csvParser.js';
+
+// Import port metadata
+import { getPortMetadata } from './PortMetadata.js';
+
+/**
+ * Lists every live jack in every room with the labels people search by
+ * @param {Array} rooms - All loaded rooms
+ * @returns {Array} - [{ roomId, roomLabel, portId, channelNumber, groupLabel, device, row, section, column }]
+ */
+function buildPortIndex(rooms) {
+  const index = [];
+
+  rooms.forEach(room => {
+    (room.sections || []).forEach((section, sectionIndex) => {
+      [['top', section.topRow], ['bottom', section.bottomRow]].forEach(([rowName, row]) => {
+        (row.portIds || []).forEach((rawId, column) => {
+          const portId = typeof rawId === 'string' ? rawId.trim() : '';
+          if (portId === '') return;
+
+          const channelNumber = row.channelNumbers && row.channelNumbers[column] ?
+            row.channelNumbers[column].trim() : '';
+
+          index.push({
+            roomId: room.name,
+            roomLabel: room.displayName || room.name,
+            portId: portId,
+            channelNumber: channelNumber,
+            groupLabel: findGroupForPort(row.groupLabels, column).label || '',
+            device: getPortMetadata(room, portId).device,
+            row: rowName,
+            section: sectionIndex,
+            column: column
+          });
+        });
+      });
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Scores how well an indexed jack matches the search words
+ * Each word must appear in the port ID, group label or device name, or equal the channel number
+ * @param {Object} entry - An entry from buildPortIndex
+ * @param {Array} words - Lower-case search words
+ * @returns {number} - 0 for no match, higher for better matches
+ */
+function scoreEntry(entry, words) {
+  const portId = entry.portId.toLowerCase();
+  const groupLabel = entry.groupLabel.toLowerCase();
+  const channelNumber = entry.channelNumber.toLowerCase();
+  const device = entry.device.toLowerCase();
+
+  const allWordsMatch = words.every(word =>
+    portId.includes(word) || groupLabel.includes(word) || device.includes(word) || channelNumber === word
+  );
+  if (!allWordsMatch) return 0;
+
+  // Prefer exact and leading port ID matches over label matches
+  const text = words.join(' ');
+  if (portId === text) return 3;
+  if (portId.startsWith(text)) return 2;
+  return 1;
+}
+
+/**
+ * Finds jacks matching search text such as "1847A 29" or "p1862-av-i03"
+ * @param {Array} index - The entries from buildPortIndex
+ * @param {string} query - The search text
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} - Matching entries, best first (ties keep room and bay order)
+ */
+function searchPorts(index, query, limit = 20) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(word => word !== '');
+  if (words.length === 0) return [];
+
+  return index
+    .map((entry, position) => ({ entry, position, score: scoreEntry(entry, words) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .slice(0, limit)
+    .map(result => result.entry);
+}
+
+// Export the functions
+export {
+  buildPortIndex,
+  searchPorts
+};
@@ -5,8 +5,6 @@
 
 // Import constants
 import {
-  portSpacing,
-  midGapWidth,
   margin,
   rowSpacing,
   sectionSpacing,
@@ -21,13 +19,26 @@ import {
 // Import utility functions
 import { findGroupForPort } from '../utils/csvParser.js';
 
+// Import bay geometry
+import { getSectionGeometry, getColumnOffset, getRoomLayoutWidth } from './BayGeometry.js';
+
+// Import room panels
+import { getRoomPanel, getPanelIndexForSection } from './RoomPanels.js';
+
+// Import port utilities
+import { isMultGroupLabel, inferPortDirection } from './Port.js';
+
+// Import port metadata
+import { getPortMetadata } from './PortMetadata.js';
+
 /**
  * Generates ports from room data
+ * Only the sections of one panel are laid out; ports keep their section index in the room's CSV
  * @param {Object} room - The room object containing sections data
- * @param {Function} resizeCanvas - p5.js function to resize canvas if needed
- * @returns {Object} - Object containing generated ports and updated canvas height
+ * @param {number} panelIndex - The panel to lay out (rooms without panels have just panel 0)
+ * @returns {Object} - Object containing generated ports, updated canvas height and the room's canvas width and height
  */
-function generatePortsFromRoom(room) {
+function generatePortsFromRoom(room, panelIndex = 0) {
   const ports = [];
   let updatedCanvasHeight = canvasHeight;
   
@@ -43,18 +54,22 @@ function generatePortsFromRoom(room) {
   let gridYOffset = gridBounds.padding.top + 130; // Start below room title area
   const gridStartX = gridBounds.padding.left + 40; // Left margin within grid
   
-  // For each section in the room
-  room.sections.forEach((section, sectionIndex) => {
-    // Calculate the width needed for 48 ports with spacing
-    const sectionWidth = 24 * portSpacing + midGapWidth + 24 * portSpacing;
+  // The panel's sections start at the top of the canvas
+  const panel = getRoomPanel(room, panelIndex);
+  const panelSections = room.sections.slice(panel.firstSection, panel.firstSection + panel.sectionCount);
+  
+  // For each section on the panel
+  panelSections.forEach((section, panelSectionIndex) => {
+    const sectionIndex = panel.firstSection + panelSectionIndex;
+    
+    // Jack count and gap positions declared for this section (2x48 with a gap after 24 by default)
+    const geometry = getSectionGeometry(room.geometry, sectionIndex);
     
-    console.log(`Processing section ${sectionIndex}`);
+    console.log(`Processing section ${sectionIndex} (${geometry.jacks} jacks per row)`);
     
     // Generate top row ports
-    for (let i = 0; i < 48; i++) {
-      // Add a gap between columns 24 and 25
-      const xOffset = i < 24 ? 0 : midGapWidth;
-      const gridX = gridStartX + i * portSpacing + xOffset;
+    for (let i = 0; i < geometry.jacks; i++) {
+      const gridX = gridStartX + getColumnOffset(i, geometry);
       
       // Convert grid coordinates to canvas coordinates
       const canvasPos = gridToCanvas(gridX, gridYOffset);
@@ -84,19 +99,20 @@ function generatePortsFromRoom(room) {
         channelNumber: channelNumber,
         groupLabel: groupInfo.label,
         groupInternalId: groupInfo.internalId,
+        isMult: hasValidPortId && isMultGroupLabel(groupInfo.label),
+        direction: getJackDirection(portId, groupInfo.label, channelNumber),
         row: 'top',
         section: sectionIndex,
-        isDead: !hasValidPortId
+        isDead: !hasValidPortId,
+        ...getPortMetadata(room, hasValidPortId ? portId.trim() : null)
       };
       
       ports.push(port);
     }
     
     // Generate bottom row ports
-    for (let i = 0; i < 48; i++) {
-      // Add a gap between columns 24 and 25
-      const xOffset = i < 24 ? 0 : midGapWidth;
-      const gridX = gridStartX + i * portSpacing + xOffset;
+    for (let i = 0; i < geometry.jacks; i++) {
+      const gridX = gridStartX + getColumnOffset(i, geometry);
       const gridY = gridYOffset + rowSpacing;
       
       // Convert grid coordinates to canvas coordinates
@@ -122,9 +138,12 @@ function generatePortsFromRoom(room) {
         channelNumber: channelNumber,
         groupLabel: groupInfo.label,
         groupInternalId: groupInfo.internalId,
+        isMult: hasValidPortId && isMultGroupLabel(groupInfo.label),
+        direction: getJackDirection(portId, groupInfo.label, channelNumber),
         row: 'bottom',
         section: sectionIndex,
-        isDead: !hasValidPortId
+        isDead: !hasValidPortId,
+        ...getPortMetadata(room, hasValidPortId ? portId.trim() : null)
       };
       
       ports.push(port);
@@ -141,13 +160,86 @@ function generatePortsFromRoom(room) {
   // Fix: Actually update the grid bounds height
   updateGridBounds(requiredGridHeight);
   
+  // Widen the canvas for bays that don't fit, keeping the same margin on both sides
+  const actualRoomWidth = Math.max(canvasWidth, gridOrigin.x + gridStartX * 2 + getRoomLayoutWidth(room));
+  
   return {
     ports,
     updatedCanvasHeight,
-    actualRoomHeight // Add this new property
+    actualRoomHeight, // Add this new property
+    actualRoomWidth
   };
 }
 
+/**
+ * Gets the direction of a jack, treating mults as passive (bidirectional)
+ * @param {string} portId - The port ID
+ * @param {string} groupLabel - The jack's group label
+ * @param {string} channelLabel - The jack's channel number cell
+ * @returns {string} - 'output', 'input' or 'bidirectional'
+ */
+function getJackDirection(portId, groupLabel, channelLabel) {
+  if (isMultGroupLabel(groupLabel)) return 'bidirectional';
+  return inferPortDirection(typeof portId === 'string' ? portId.trim() : '', groupLabel, channelLabel);
+}
+
+/**
+ * Finds a port's details in a room's parsed section data
+ * Works for rooms that are not currently displayed (no generated port objects needed)
+ * @param {Object} room - The room object containing sections data
+ * @param {string} portId - The port ID to find
+ * @returns {Object|null} - { id, channelNumber, groupLabel, direction, row, section, column } and the port's metadata,
+ *                          or null if not found
+ */
+function findPortInRoom(room, portId) {
+  if (!room || !room.sections || !portId) {
+    return null;
+  }
+  
+  for (let sectionIndex = 0; sectionIndex < room.sections.length; sectionIndex++) {
+    const section = room.sections[sectionIndex];
+    const rows = [
+      { name: 'top', data: section.topRow },
+      { name: 'bottom', data: section.bottomRow }
+    ];
+    
+    for (const row of rows) {
+      const portIds = row.data.portIds || [];
+      const column = portIds.findIndex(id => typeof id === 'string' && id.trim() === portId);
+      
+      if (column > -1) {
+        const channelNumber = row.data.channelNumbers && row.data.channelNumbers[column] ?
+                              row.data.channelNumbers[column].trim() : '';
+        const groupInfo = findGroupForPort(row.data.groupLabels, column);
+        
+        return {
+          id: portId,
+          channelNumber: channelNumber,
+          groupLabel: groupInfo.label,
+          direction: getJackDirection(portId, groupInfo.label, channelNumber),
+          row: row.name,
+          section: sectionIndex,
+          column: column,
+          ...getPortMetadata(room, portId)
+        };
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Finds the panel of a room that holds a port
+ * @param {Object} room - The room object containing sections data
+ * @param {string} portId - The port ID
+ * @returns {number} - The panel's index, or -1 if the port isn't in the room
+ */
+function findPortPanelIndex(room, portId) {
+  const portInfo = findPortInRoom(room, portId);
+  return portInfo ? getPanelIndexForSection(room, portInfo.section) : -1;
+}
+
 /**
  * Gets the current room's title
  * @param {Object} room - The room object
@@ -160,5 +252,7 @@ function getRoomTitle(room) {
 // Export the functions
 export {
   generatePortsFromRoom,
+  findPortInRoom,
+  findPortPanelIndex,
   getRoomTitle
 };
\ No newline at end of file
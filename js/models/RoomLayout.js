@@ -0,0 +1,223 @@
+/**
+ * Room Layout Module
+ * Editable copy of a room's sections and conversion to the six-row room CSV format
+ *
+ * Each section is six CSV rows: top group labels, top channel numbers, top port IDs,
+ * bottom port IDs, bottom channel numbers and bottom group labels, with one cell per jack.
+ * A group label starts a group that runs until the next label, and END marks a group's last column.
+ * Jack counts and gaps aren't stored in the CSV; they come from the room's manifest geometry.
+ */
+
+// Import CSV utilities
+import { parseRoomCSV, parseGroupLabels } from '../utils/csvParser.js';
+
+// Import bay geometry
+import { getSectionGeometry } from './BayGeometry.js';
+
+// Row fields in CSV order, top row first
+const sectionRows = [
+  ['topRow', 'labels'],
+  ['topRow', 'channelNumbers'],
+  ['topRow', 'portIds'],
+  ['bottomRow', 'portIds'],
+  ['bottomRow', 'channelNumbers'],
+  ['bottomRow', 'labels']
+];
+
+/**
+ * Builds a row of empty cells
+ * @param {number} count - The number of cells
+ * @returns {Array} - count empty strings
+ */
+function createEmptyCells(count) {
+  return Array.from({ length: count }, () => '');
+}
+
+/**
+ * Copies a parsed row into exactly count trimmed cells
+ * @param {Array} values - The parsed cells (may be shorter or longer)
+ * @param {number} count - The number of cells
+ * @returns {Array} - The cells
+ */
+function toCells(values, count) {
+  return createEmptyCells(count).map((cell, index) => {
+    const value = values && values[index];
+    return value === undefined || value === null ? '' : String(value).trim();
+  });
+}
+
+/**
+ * Builds a label row with each group's label in its first column
+ * @param {Array} groupLabels - Groups from parseGroupLabels
+ * @param {number} count - The number of cells
+ * @returns {Array} - The label cells
+ */
+function groupsToLabelCells(groupLabels, count) {
+  const cells = createEmptyCells(count);
+  (groupLabels || []).forEach(group => {
+    if (group.startIndex < count) {
+      cells[group.startIndex] = group.label;
+    }
+  });
+  return cells;
+}
+
+/**
+ * Creates a section with no jacks, channel numbers or groups
+ * @param {Object} geometry - The section's { jacks, gaps } (defaults to 48 jacks with a gap after 24)
+ * @returns {Object} - { geometry, topRow, bottomRow }, each row { labels, channelNumbers, portIds }
+ */
+function createEmptySection(geometry = getSectionGeometry(null, 0)) {
+  const jacks = geometry.jacks;
+  return {
+    geometry,
+    topRow: { labels: createEmptyCells(jacks), channelNumbers: createEmptyCells(jacks), portIds: createEmptyCells(jacks) },
+    bottomRow: { labels: createEmptyCells(jacks), channelNumbers: createEmptyCells(jacks), portIds: createEmptyCells(jacks) }
+  };
+}
+
+/**
+ * Creates an editable layout from a loaded room
+ * @param {Object} room - A room from parseRoomCSV, with its manifest geometry
+ * @returns {Object} - { name, sections }
+ */
+function createLayoutFromRoom(room) {
+  return {
+    name: room.name,
+    sections: room.sections.map((section, sectionIndex) => {
+      const geometry = getSectionGeometry(room.geometry, sectionIndex);
+      return {
+        geometry,
+        topRow: {
+          labels: groupsToLabelCells(section.topRow.groupLabels, geometry.jacks),
+          channelNumbers: toCells(section.topRow.channelNumbers, geometry.jacks),
+          portIds: toCells(section.topRow.portIds, geometry.jacks)
+        },
+        bottomRow: {
+          labels: groupsToLabelCells(section.bottomRow.groupLabels, geometry.jacks),
+          channelNumbers: toCells(section.bottomRow.channelNumbers, geometry.jacks),
+          portIds: toCells(section.bottomRow.portIds, geometry.jacks)
+        }
+      };
+    })
+  };
+}
+
+/**
+ * Creates a layout for a new room with one empty section
+ * @param {string} name - The room name
+ * @returns {Object} - { name, sections }
+ */
+function createEmptyLayout(name) {
+  return { name, sections: [createEmptySection()] };
+}
+
+/**
+ * Gets the manifest geometry a layout needs, if its sections aren't all the default 2x48
+ * @param {Object} layout - The layout
+ * @returns {Array|null} - One { jacks, gaps } per section, or null when the default fits
+ */
+function getLayoutGeometry(layout) {
+  const defaultGeometry = JSON.stringify(getSectionGeometry(null, 0));
+  const geometry = layout.sections.map(section => section.geometry);
+  return geometry.every(sectionGeometry => JSON.stringify(sectionGeometry) === defaultGeometry) ? null : geometry;
+}
+
+/**
+ * Lists the groups of a label row the way parseRoomCSV will read them
+ * @param {Array} labels - The label cells
+ * @returns {Array} - [{ label, startIndex, endIndex }]
+ */
+function getLabelSpans(labels) {
+  // END is written by layoutToCSV, so a typed END is just a blank cell
+  const cells = labels.map(cell => (cell.toLowerCase() === 'end' ? '' : cell));
+  return parseGroupLabels(cells).map(({ label, startIndex, endIndex }) => ({ label, startIndex, endIndex }));
+}
+
+/**
+ * Writes a label row with END in the last column of every group that spans several columns
+ * @param {Array} labels - The label cells
+ * @returns {Array} - The CSV cells
+ */
+function labelsToCSVCells(labels) {
+  const cells = createEmptyCells(labels.length);
+  getLabelSpans(labels).forEach(span => {
+    cells[span.startIndex] = span.label;
+    if (span.endIndex > span.startIndex) {
+      cells[span.endIndex] = 'END';
+    }
+  });
+  return cells;
+}
+
+/**
+ * Writes a layout in the six-row room CSV format
+ * @param {Object} layout - The layout
+ * @returns {string} - The CSV text
+ */
+function layoutToCSV(layout) {
+  const rows = [];
+
+  layout.sections.forEach(section => {
+    sectionRows.forEach(([rowName, field]) => {
+      const cells = section[rowName][field];
+      rows.push(field === 'labels' ? labelsToCSVCells(cells) : toCells(cells, cells.length));
+    });
+  });
+
+  // Papa is expected to be available globally from the script included in index.html
+  return Papa.unparse(rows, { newline: '\n' });
+}
+
+/**
+ * Reads CSV text back with parseRoomCSV and lists every cell it reads differently from the layout
+ * @param {Object} layout - The layout the CSV was written from
+ * @param {string} csvText - The CSV text from layoutToCSV
+ * @returns {Array} - Problem descriptions (empty when the CSV round-trips exactly)
+ */
+function checkLayoutRoundTrip(layout, csvText) {
+  const problems = [];
+  const room = parseRoomCSV(csvText, layout.name);
+
+  if (room.sections.length !== layout.sections.length) {
+    problems.push(`Expected ${layout.sections.length} sections but the CSV reads as ${room.sections.length}`);
+    return problems;
+  }
+
+  layout.sections.forEach((section, sectionIndex) => {
+    const parsedSection = room.sections[sectionIndex];
+
+    ['topRow', 'bottomRow'].forEach(rowName => {
+      const rowLabel = `Section ${sectionIndex + 1} ${rowName === 'topRow' ? 'top' : 'bottom'} row`;
+      const parsedRow = parsedSection[rowName];
+
+      ['portIds', 'channelNumbers'].forEach(field => {
+        const parsedCells = toCells(parsedRow[field], section[rowName][field].length);
+        section[rowName][field].forEach((cell, index) => {
+          if (cell.trim() !== parsedCells[index]) {
+            problems.push(`${rowLabel} column ${index + 1}: '${cell}' reads back as '${parsedCells[index]}'`);
+          }
+        });
+      });
+
+      const spans = getLabelSpans(section[rowName].labels);
+      const parsedSpans = parsedRow.groupLabels.map(({ label, startIndex, endIndex }) => ({ label, startIndex, endIndex }));
+      if (JSON.stringify(spans) !== JSON.stringify(parsedSpans)) {
+        problems.push(`${rowLabel}: group labels read back differently`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+// Export the functions
+export {
+  createEmptySection,
+  createLayoutFromRoom,
+  createEmptyLayout,
+  getLayoutGeometry,
+  getLabelSpans,
+  layoutToCSV,
+  checkLayoutRoundTrip
+};
@@ -0,0 +1,108 @@
+/**
+ * Room Panels Module
+ * Splits a room's sections into named panels, such as the bays in different racks
+ *
+ * A room's manifest entry can list its panels in CSV order, e.g.
+ * "panels": [{ "name": "Rack A", "sections": 3 }, { "name": "Rack B", "sections": 2 }] (see rooms/README.md).
+ * Sections the list doesn't cover go on one more panel, and rooms without panels are a single panel.
+ */
+
+/**
+ * Checks one panel from the manifest
+ * @param {Object} value - { name, sections }
+ * @returns {string|null} - The problem, or null if the panel is valid
+ */
+function getPanelProblem(value) {
+  if (!value || typeof value !== 'object') {
+    return 'each panel must be an object like { "name": "Rack A", "sections": 3 }';
+  }
+  if (typeof value.name !== 'string' || value.name.trim() === '') {
+    return 'each panel needs a "name"';
+  }
+  if (!Number.isInteger(value.sections) || value.sections < 1) {
+    return `panel '${value.name}' needs a whole number of "sections" (at least 1)`;
+  }
+  return null;
+}
+
+/**
+ * Reads a room's panels from its manifest entry, ignoring them when they are invalid
+ * @param {Array|undefined} value - The manifest's "panels" value
+ * @param {string} roomFile - The room's CSV file (for warnings)
+ * @returns {Array|null} - [{ name, sections }] in CSV order, or null for a single panel
+ */
+function parseRoomPanels(value, roomFile) {
+  if (value === undefined || value === null) return null;
+
+  const problem = !Array.isArray(value) || value.length === 0 ?
+    '"panels" must be a list of { "name", "sections" }' :
+    value.map(getPanelProblem).find(Boolean);
+
+  if (problem) {
+    console.warn(`Room ${roomFile} panels ignored: ${problem}`);
+    return null;
+  }
+
+  return value.map(panel => ({ name: panel.name.trim(), sections: panel.sections }));
+}
+
+/**
+ * Lists the panels of a loaded room with the sections each one holds
+ * @param {Object} room - A room from parseRoomCSV, with its manifest panels
+ * @returns {Array} - [{ name, firstSection, sectionCount }], always at least one panel
+ */
+function getRoomPanels(room) {
+  const sectionTotal = room && room.sections ? room.sections.length : 0;
+  const panels = [];
+  let firstSection = 0;
+
+  ((room && room.panels) || []).forEach(panel => {
+    if (firstSection >= sectionTotal) return;
+
+    const sectionCount = Math.min(panel.sections, sectionTotal - firstSection);
+    panels.push({ name: panel.name, firstSection, sectionCount });
+    firstSection += sectionCount;
+  });
+
+  // Sections no panel claims (or every section, when the room has no panels)
+  if (firstSection < sectionTotal || panels.length === 0) {
+    const name = panels.length === 0 ?
+      (room ? room.displayName || room.name : '') :
+      `Panel ${panels.length + 1}`;
+    panels.push({ name, firstSection, sectionCount: sectionTotal - firstSection });
+  }
+
+  return panels;
+}
+
+/**
+ * Finds the panel holding a section
+ * @param {Object} room - The room
+ * @param {number} sectionIndex - The section's index in the room's CSV
+ * @returns {number} - The panel's index (0 if the section is out of range)
+ */
+function getPanelIndexForSection(room, sectionIndex) {
+  const panelIndex = getRoomPanels(room).findIndex(panel =>
+    sectionIndex >= panel.firstSection && sectionIndex < panel.firstSection + panel.sectionCount
+  );
+  return Math.max(panelIndex, 0);
+}
+
+/**
+ * Gets a room's panel by index, falling back to the first panel
+ * @param {Object} room - The room
+ * @param {number} panelIndex - The panel's index
+ * @returns {Object} - { name, firstSection, sectionCount }
+ */
+function getRoomPanel(room, panelIndex) {
+  const panels = getRoomPanels(room);
+  return panels[panelIndex] || panels[0];
+}
+
+// Export the functions
+export {
+  parseRoomPanels,
+  getRoomPanels,
+  getRoomPanel,
+  getPanelIndexForSection
+};
@@ -0,0 +1,121 @@
+/**
+ * Signal Conflicts Module
+ * Finds signal paths that are driven by more than one source jack
+ */
+
+// Import room utilities
+import { findPortInRoom } from './Room.js';
+
+// Import signal tracer
+import { traceSignalPath } from './SignalTracer.js';
+
+/**
+ * Builds a unique key for a port in a room
+ * @param {string} portId - The port ID
+ * @param {string} roomId - The room ID
+ * @returns {string} - The node key
+ */
+function getNodeKey(portId, roomId) {
+  return `${roomId}::${portId}`;
+}
+
+/**
+ * Lists the output jacks among the nodes of a signal path
+ * The same port ID in several rooms is one tie line, so it counts as a single source
+ * @param {Array} nodes - [{ portId, roomId }] from traceSignalPath
+ * @param {Array} rooms - All loaded rooms
+ * @returns {Array} - [{ portId, roomId }] one node per distinct source port ID
+ */
+function getSignalSources(nodes, rooms) {
+  const sources = [];
+
+  nodes.forEach(node => {
+    if (sources.some(source => source.portId === node.portId)) return;
+
+    const room = rooms.find(r => r.name === node.roomId);
+    const portInfo = findPortInRoom(room, node.portId);
+    if (portInfo && portInfo.direction === 'output') {
+      sources.push(node);
+    }
+  });
+
+  return sources;
+}
+
+/**
+ * Finds every signal path that two or more distinct sources drive
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @param {Array} rooms - All loaded rooms
+ * @returns {Array} - [{ sources: [{ portId, roomId }], nodes: [{ portId, roomId }] }]
+ */
+function findSignalConflicts(connectionsByRoom, rooms) {
+  const conflicts = [];
+  const visited = new Set();
+
+  Object.keys(connectionsByRoom).forEach(roomId => {
+    (connectionsByRoom[roomId] || []).forEach(connection => {
+      [connection.from, connection.to].forEach(portId => {
+        if (!portId || visited.has(getNodeKey(portId, roomId))) return;
+
+        // Every jack on this path is checked once, whichever cable end reaches it first
+        const trace = traceSignalPath(portId, roomId, connectionsByRoom);
+        trace.nodes.forEach(node => visited.add(getNodeKey(node.portId, node.roomId)));
+
+        const sources = getSignalSources(trace.nodes, rooms);
+        if (sources.length > 1) {
+          conflicts.push({ sources, nodes: trace.nodes });
+        }
+      });
+    });
+  });
+
+  return conflicts;
+}
+
+/**
+ * Checks if a new cable would bring together sources that don't already share a path
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays (without the new cable)
+ * @param {Array} rooms - All loaded rooms
+ * @param {string} roomId - The room the cable is patched in
+ * @param {string} fromPortId - The port the cable comes from
+ * @param {string} toPortId - The port the cable goes to
+ * @returns {Array|null} - The sources the cable would join, or null if it adds no conflict
+ */
+function findPatchConflict(connectionsByRoom, rooms, roomId, fromPortId, toPortId) {
+  const fromTrace = traceSignalPath(fromPortId, roomId, connectionsByRoom);
+  if (fromTrace.nodes.some(node => node.portId === toPortId && node.roomId === roomId)) {
+    return null; // Already on the same path
+  }
+
+  const fromSources = getSignalSources(fromTrace.nodes, rooms);
+  const toSources = getSignalSources(traceSignalPath(toPortId, roomId, connectionsByRoom).nodes, rooms);
+  const joinedSources = getSignalSources([...fromSources, ...toSources], rooms);
+
+  // A conflict already on one side isn't new unless the other side brings another source
+  if (joinedSources.length > Math.max(fromSources.length, toSources.length, 1)) {
+    return joinedSources;
+  }
+  return null;
+}
+
+/**
+ * Finds the conflict a jack is one of the sources of
+ * A source tied to other rooms is flagged in each of them
+ * @param {Array} conflicts - The conflicts from findSignalConflicts
+ * @param {string} portId - The port ID
+ * @param {string} roomId - The room ID
+ * @returns {Object|null} - The conflict, or null if the jack isn't a conflicting source
+ */
+function getSourceConflict(conflicts, portId, roomId) {
+  return (conflicts || []).find(conflict =>
+    conflict.sources.some(source => source.portId === portId) &&
+    conflict.nodes.some(node => node.portId === portId && node.roomId === roomId)
+  ) || null;
+}
+
+// Export the functions
+export {
+  findSignalConflicts,
+  findPatchConflict,
+  getSourceConflict
+};
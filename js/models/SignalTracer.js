@@ -0,0 +1,171 @@
+/**
+ * Signal Tracer Module
+ * Walks cables, normals, mult buses and cross-room tie lines to build the full signal chain of a port
+ */
+
+// Import cross-room registry functions
+import { getRoomsWithPort } from './CrossRoomRegistry.js';
+
+// Import normalization model
+import { getRoomNormalizations, isNormalizationActive } from './Normalization.js';
+
+// Import mult buses
+import { getRoomMultBuses } from './MultBus.js';
+
+/**
+ * Builds a unique key for a port in a room
+ * @param {string} portId - The port ID
+ * @param {string} roomId - The room ID
+ * @returns {string} - The node key
+ */
+function getNodeKey(portId, roomId) {
+  return `${roomId}::${portId}`;
+}
+
+/**
+ * Gets the port IDs at both ends of a connection
+ * @param {Object} connection - The connection
+ * @returns {Array} - [portAId, portBId]
+ */
+function getConnectionPortIds(connection) {
+  const portAId = connection.from || (connection.portA && connection.portA.id);
+  const portBId = connection.to || (connection.portB && connection.portB.id);
+  return [portAId, portBId];
+}
+
+/**
+ * Traces every hop reachable from a port
+ * Hops are listed in the order they are discovered (nearest first)
+ * @param {string} portId - The port ID to start from
+ * @param {string} roomId - The room ID of the starting port
+ * @param {Object} connectionsByRoom - Object mapping room IDs to their connection arrays
+ * @returns {Object} - { origin, nodes: [{ portId, roomId }], hops: [{ from, to, via, connection, normalization }] }
+ */
+function traceSignalPath(portId, roomId, connectionsByRoom) {
+  const trace = {
+    origin: { portId, roomId },
+    nodes: [],
+    hops: []
+  };
+
+  if (!portId || portId === 'null' || !roomId) return trace;
+
+  const visited = new Set();
+  const queue = [{ portId, roomId }];
+  visited.add(getNodeKey(portId, roomId));
+  trace.nodes.push({ portId, roomId });
+
+  // Adds a hop and queues the far end if it hasn't been reached yet
+  const visit = (from, to, via, details = {}) => {
+    const key = getNodeKey(to.portId, to.roomId);
+    if (visited.has(key)) return;
+
+    visited.add(key);
+    trace.nodes.push(to);
+    trace.hops.push({ from, to, via, ...details });
+    queue.push(to);
+  };
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    const connections = connectionsByRoom[node.roomId] || [];
+
+    // Cables patched on this jack
+    connections.forEach(connection => {
+      const [portAId, portBId] = getConnectionPortIds(connection);
+      if (portAId === node.portId && portBId) {
+        visit(node, { portId: portBId, roomId: node.roomId }, 'cable', { connection });
+      } else if (portBId === node.portId && portAId) {
+        visit(node, { portId: portAId, roomId: node.roomId }, 'cable', { connection });
+      }
+    });
+
+    // Normals currently passing signal through this jack
+    getRoomNormalizations(node.roomId).forEach(normalization => {
+      if (!isNormalizationActive(normalization, connections)) return;
+
+      if (normalization.sourcePort === node.portId) {
+        visit(node, { portId: normalization.normalizedPort, roomId: node.roomId }, 'normal', { normalization });
+      } else if (normalization.normalizedPort === node.portId) {
+        visit(node, { portId: normalization.sourcePort, roomId: node.roomId }, 'normal', { normalization });
+      }
+    });
+
+    // The other jacks of this jack's mult are wired to it
+    getRoomMultBuses(node.roomId).forEach(portIds => {
+      if (!portIds.includes(node.portId)) return;
+
+      portIds.forEach(otherPortId => {
+        if (otherPortId !== node.portId) {
+          visit(node, { portId: otherPortId, roomId: node.roomId }, 'mult');
+        }
+      });
+    });
+
+    // The same port ID in other rooms is the other end of a tie line
+    getRoomsWithPort(node.portId).forEach(otherRoomId => {
+      if (otherRoomId !== node.roomId) {
+        visit(node, { portId: node.portId, roomId: otherRoomId }, 'tie line');
+      }
+    });
+  }
+
+  return trace;
+}
+
+/**
+ * Checks if a port in a room is part of a trace
+ * @param {Object} trace - The trace returned by traceSignalPath
+ * @param {string} portId - The port ID
+ * @param {string} roomId - The room ID
+ * @returns {boolean} - True if the port is on the traced path
+ */
+function isPortInTrace(trace, portId, roomId) {
+  if (!trace || !trace.nodes) return false;
+  return trace.nodes.some(node => node.portId === portId && node.roomId === roomId);
+}
+
+/**
+ * Checks if a connection is one of the traced hops
+ * @param {Object} trace - The trace returned by traceSignalPath
+ * @param {Object} connection - The connection to check
+ * @returns {boolean} - True if the cable is on the traced path
+ */
+function isConnectionInTrace(trace, connection) {
+  if (!trace || !trace.hops || !connection) return false;
+  return trace.hops.some(hop => hop.connection === connection);
+}
+
+/**
+ * Gets the hops leading from a trace's origin to one of its ports
+ * @param {Object} trace - The trace returned by traceSignalPath
+ * @param {string} portId - The port ID at the end of the path
+ * @param {string} roomId - The room ID of that port
+ * @returns {Array|null} - The hops in order from the origin, or null if the port isn't on the trace
+ */
+function getTracePathTo(trace, portId, roomId) {
+  if (!isPortInTrace(trace, portId, roomId)) return null;
+
+  // Each node is reached by exactly one hop, so walk those hops back to the origin
+  const path = [];
+  let key = getNodeKey(portId, roomId);
+  const originKey = getNodeKey(trace.origin.portId, trace.origin.roomId);
+
+  while (key !== originKey) {
+    const hop = trace.hops.find(h => getNodeKey(h.to.portId, h.to.roomId) === key);
+    if (!hop) return null;
+
+    path.unshift(hop);
+    key = getNodeKey(hop.from.portId, hop.from.roomId);
+  }
+
+  return path;
+}
+
+// Export the functions
+export {
+  traceSignalPath,
+  isPortInTrace,
+  isConnectionInTrace,
+  getTracePathTo
+};
@@ -0,0 +1,306 @@
+/**
+ * Challenge Panel Module
+ * Runs a timed challenge: lists the routing requests, shows the clock and offers the report for download
+ */
+
+// Import challenge model
+import {
+  startChallenge,
+  getElapsedSeconds,
+  recordRejection,
+  updateChallengeProgress,
+  finishChallenge,
+  reportToCSV
+} from '../models/Challenge.js';
+
+// Import exercise panel helpers
+import { getConnectionsToCheck } from './exercisePanel.js';
+
+// Import panel shell
+import { createFloatingPanel, createPanelHeader, createPanelButton } from './panelShell.js';
+
+// Import download utilities
+import { toFileNameStem, downloadTextFile } from '../utils/download.js';
+
+// Panel element (created on first use)
+let challengePanel = null;
+
+// Interval that ticks the clock while a challenge runs
+let clockInterval = null;
+
+/**
+ * Creates the challenge panel element and its event listeners if they don't exist yet
+ * @param {Object} state - The application state
+ * @returns {HTMLElement} - The panel element
+ */
+function getChallengePanel(state) {
+  if (challengePanel) return challengePanel;
+
+  challengePanel = createFloatingPanel('challenge-panel', { corner: 'bottom-left', width: 380 });
+
+  // Re-check the requests whenever the patch changes
+  window.addEventListener('patchChanged', () => {
+    const challenge = state.challenge;
+    if (!challenge || challenge.finishedAt) return;
+
+    if (updateChallengeProgress(challenge, getConnectionsToCheck(state))) {
+      endChallenge(state);
+    } else {
+      renderRunningChallenge(state);
+    }
+  });
+
+  // Count patches the app refused
+  window.addEventListener('patchRejected', (event) => {
+    if (state.challenge) {
+      recordRejection(state.challenge, event.detail.reason);
+    }
+  });
+
+  return challengePanel;
+}
+
+/**
+ * Formats seconds as m:ss
+ * @param {number} seconds - The number of seconds
+ * @returns {string} - The formatted time
+ */
+function formatClock(seconds) {
+  const clamped = Math.max(0, seconds);
+  return `${Math.floor(clamped / 60)}:${String(clamped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Clears the panel and adds its header with a close button
+ * @param {Object} state - The application state
+ * @param {string} heading - The header text
+ * @returns {HTMLElement} - The panel element
+ */
+function resetPanel(state, heading) {
+  const panel = getChallengePanel(state);
+  panel.innerHTML = '';
+
+  const closePanel = () => {
+    const isRunning = state.challenge && !state.challenge.report;
+    if (isRunning && !window.confirm('Abandon the running challenge? No report will be produced.')) return;
+    hideChallengePanel(state);
+  };
+  panel.appendChild(createPanelHeader(heading, closePanel, { closeLabel: 'Close challenge' }));
+  panel.style.display = 'block';
+  return panel;
+}
+
+/**
+ * Shows the challenge picker with a name field and a Start button
+ * @param {Object} state - The application state
+ * @param {Array} lessons - Lessons with a challenge block
+ * @param {Function} loadStartPatch - async (lesson) => connections patched by the preset
+ */
+function renderChallengePicker(state, lessons, loadStartPatch) {
+  const panel = resetPanel(state, 'Challenge');
+
+  const fieldStyle = `
+    width: 100%;
+    background: rgba(255, 255, 255, 0.04);
+    border: 1px solid rgba(255, 255, 255, 0.12);
+    color: #f9fafb;
+    border-radius: 8px;
+    padding: 6px 8px;
+    margin-bottom: 12px;
+  `;
+
+  const picker = document.createElement('select');
+  picker.style.cssText = fieldStyle;
+  lessons.forEach((lesson, index) => {
+    const option = document.createElement('option');
+    option.value = String(index);
+    option.textContent = `${lesson.title} (${formatClock(lesson.challenge.timeLimit)})`;
+    picker.appendChild(option);
+  });
+  panel.appendChild(picker);
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = 'Your name';
+  nameInput.style.cssText = fieldStyle;
+  panel.appendChild(nameInput);
+
+  const note = document.createElement('p');
+  note.textContent = 'Starting replaces the current patch with the challenge\'s preset patch. The clock starts immediately.';
+  note.style.cssText = 'color: #9ca3af; font-size: 12px; margin-bottom: 12px; line-height: 1.5;';
+  panel.appendChild(note);
+
+  const startButton = createPanelButton('Start', async () => {
+    const lesson = lessons[Number(picker.value)];
+    startButton.disabled = true;
+
+    try {
+      const startingConnections = await loadStartPatch(lesson);
+      state.challenge = startChallenge(lesson, nameInput.value.trim(), startingConnections);
+      console.log(`Started challenge '${lesson.title}' for ${state.challenge.student || 'unnamed student'}`);
+
+      // Tick the clock and stop when time runs out
+      clockInterval = setInterval(() => {
+        const challenge = state.challenge;
+        if (!challenge) return;
+
+        if (getElapsedSeconds(challenge) >= challenge.timeLimit) {
+          endChallenge(state);
+        } else {
+          renderRunningChallenge(state);
+        }
+      }, 1000);
+
+      renderRunningChallenge(state);
+    } catch (error) {
+      console.error('Error starting challenge:', error);
+      startButton.disabled = false;
+      note.textContent = `Could not start: ${error.message}`;
+      note.style.color = '#ef4444';
+    }
+  }, true);
+  panel.appendChild(startButton);
+}
+
+/**
+ * Shows the clock and the requests of the running challenge
+ * @param {Object} state - The application state
+ */
+function renderRunningChallenge(state) {
+  const challenge = state.challenge;
+  const panel = resetPanel(state, challenge.lesson.title);
+
+  const remaining = challenge.timeLimit - getElapsedSeconds(challenge);
+  const clock = document.createElement('div');
+  clock.textContent = formatClock(remaining);
+  clock.style.cssText = `
+    font-size: 28px;
+    font-weight: 700;
+    color: ${remaining <= 30 ? '#ef4444' : '#f9fafb'};
+    margin-bottom: 12px;
+  `;
+  panel.appendChild(clock);
+
+  challenge.lesson.tasks.forEach((task, index) => {
+    const line = document.createElement('div');
+    line.style.cssText = `
+      padding: 6px 0;
+      border-top: 1px solid rgba(255, 255, 255, 0.05);
+      line-height: 1.5;
+    `;
+
+    const completedAt = challenge.completedAt[index];
+    const mark = document.createElement('span');
+    mark.textContent = completedAt !== null ? `✓ ${formatClock(Math.round(completedAt / 1000))} ` : `${index + 1}. `;
+    mark.style.color = completedAt !== null ? '#10b981' : '#6b7280';
+    line.appendChild(mark);
+    line.appendChild(document.createTextNode(task.instruction));
+
+    panel.appendChild(line);
+  });
+
+  const finishButton = createPanelButton('Finish', () => endChallenge(state));
+  finishButton.style.marginTop = '12px';
+  panel.appendChild(finishButton);
+}
+
+/**
+ * Stops the clock, builds the report and shows the summary
+ * @param {Object} state - The application state
+ */
+function endChallenge(state) {
+  const challenge = state.challenge;
+  if (!challenge) return;
+
+  clearInterval(clockInterval);
+  clockInterval = null;
+
+  const report = finishChallenge(challenge, getConnectionsToCheck(state), state.activeCable !== null);
+  console.log('Challenge finished:', report);
+
+  renderReport(state, report);
+}
+
+/**
+ * Shows a finished challenge's summary with download buttons
+ * @param {Object} state - The application state
+ * @param {Object} report - The report returned by finishChallenge
+ */
+function renderReport(state, report) {
+  const panel = resetPanel(state, `${report.challenge} - Results`);
+
+  const rows = [
+    ['Requests completed', `${report.completedRequests}/${report.totalRequests}`],
+    ['Time', `${formatClock(report.elapsedSeconds)}${report.timedOut ? ' (time ran out)' : ''}`],
+    ['Wrong patches', report.wrongPatches],
+    ['Cables left dangling', report.danglingCables],
+    ['Color mismatch rejections', report.colorMismatchRejections],
+    ['Direction rejections', report.directionRejections],
+    ['Signal conflict rejections', report.signalConflictRejections]
+  ];
+
+  rows.forEach(([label, value]) => {
+    const line = document.createElement('div');
+    line.style.cssText = 'display: flex; justify-content: space-between; padding: 4px 0;';
+
+    const name = document.createElement('span');
+    name.textContent = label;
+    name.style.color = '#9ca3af';
+    line.appendChild(name);
+
+    const amount = document.createElement('span');
+    amount.textContent = String(value);
+    amount.style.color = '#f9fafb';
+    line.appendChild(amount);
+
+    panel.appendChild(line);
+  });
+
+  const fileStem = `${toFileNameStem(report.challenge, 'challenge')}-${toFileNameStem(report.student, 'student')}`;
+
+  const buttons = document.createElement('div');
+  buttons.style.cssText = 'display: flex; gap: 8px; margin-top: 12px;';
+  buttons.appendChild(createPanelButton('Download JSON', () => {
+    downloadTextFile(`${fileStem}.report.json`, JSON.stringify(report, null, 2), 'application/json');
+  }, true));
+  buttons.appendChild(createPanelButton('Download CSV', () => {
+    downloadTextFile(`${fileStem}.report.csv`, reportToCSV(report), 'text/csv');
+  }));
+  panel.appendChild(buttons);
+}
+
+/**
+ * Shows the challenge panel: the running challenge if there is one, otherwise the picker
+ * @param {Object} state - The application state
+ * @param {Array} lessons - Lessons with a challenge block
+ * @param {Function} loadStartPatch - async (lesson) => connections patched by the preset
+ */
+function showChallengePanel(state, lessons, loadStartPatch) {
+  if (state.challenge && state.challenge.report) {
+    renderReport(state, state.challenge.report);
+  } else if (state.challenge) {
+    renderRunningChallenge(state);
+  } else {
+    renderChallengePicker(state, lessons, loadStartPatch);
+  }
+}
+
+/**
+ * Hides the challenge panel, abandoning a running challenge
+ * @param {Object} state - The application state
+ */
+function hideChallengePanel(state) {
+  clearInterval(clockInterval);
+  clockInterval = null;
+  state.challenge = null;
+
+  if (challengePanel) {
+    challengePanel.style.display = 'none';
+  }
+}
+
+// Export the functions
+export {
+  showChallengePanel,
+  hideChallengePanel
+};
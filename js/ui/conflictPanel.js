@@ -0,0 +1,169 @@
+/**
+ * Conflict Panel Module
+ * Lists signal paths driven by more than one source and holds the strict patching setting
+ */
+
+// Import constants
+import { strictPatchingStorageKey } from '../config/constants.js';
+
+// Import navigation
+import { jumpToPort, getRoomLabel } from './navigation.js';
+
+// Import panel shell
+import { createFloatingPanel, createPanelHeader } from './panelShell.js';
+
+// Panel element (created on first use)
+let conflictPanel = null;
+
+// Conflicts last listed, so the panel is only rebuilt (and reopened) when they change
+let listedConflictsKey = '';
+
+/**
+ * Creates the conflict panel element if it doesn't exist yet
+ * @returns {HTMLElement} - The panel element
+ */
+function getConflictPanel() {
+  if (conflictPanel) return conflictPanel;
+
+  conflictPanel = createFloatingPanel('conflict-panel', { corner: 'top-left', width: 340, borderColor: 'rgba(239, 68, 68, 0.3)' });
+  return conflictPanel;
+}
+
+/**
+ * Builds a key identifying a list of conflicts by their sources
+ * @param {Array} conflicts - The conflicts from findSignalConflicts
+ * @returns {string} - The key
+ */
+function getConflictsKey(conflicts) {
+  return conflicts
+    .map(conflict => conflict.sources.map(source => `${source.roomId}::${source.portId}`).join('+'))
+    .join('|');
+}
+
+/**
+ * Lists one conflict's sources, each with a button that jumps to it
+ * @param {Object} state - The application state
+ * @param {Object} conflict - A conflict from findSignalConflicts
+ * @returns {HTMLElement} - The conflict's entry
+ */
+function createConflictEntry(state, conflict) {
+  const entry = document.createElement('div');
+  entry.style.cssText = `
+    padding: 8px 0;
+    border-top: 1px solid rgba(255, 255, 255, 0.05);
+    line-height: 1.5;
+  `;
+
+  const summary = document.createElement('div');
+  const rooms = [...new Set(conflict.nodes.map(node => node.roomId))].map(roomId => getRoomLabel(state, roomId));
+  summary.textContent = `${conflict.sources.length} sources drive ${conflict.nodes.length} jacks in ${rooms.join(', ')}`;
+  summary.style.cssText = 'color: #f9fafb; margin-bottom: 4px;';
+  entry.appendChild(summary);
+
+  conflict.sources.forEach(source => {
+    const line = document.createElement('div');
+    line.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 8px;';
+    line.textContent = `${source.portId} (${getRoomLabel(state, source.roomId)})`;
+
+    const showButton = document.createElement('button');
+    showButton.textContent = 'Show';
+    showButton.style.cssText = `
+      background: rgba(255, 255, 255, 0.04);
+      border: 1px solid rgba(255, 255, 255, 0.12);
+      color: #d1d5db;
+      padding: 2px 10px;
+      border-radius: 6px;
+      font-size: 12px;
+      cursor: pointer;
+    `;
+    showButton.addEventListener('click', () => jumpToPort(state, source.roomId, source.portId));
+    line.appendChild(showButton);
+
+    entry.appendChild(line);
+  });
+
+  return entry;
+}
+
+/**
+ * Lists the current signal conflicts, hiding the panel when there are none
+ * The panel reopens whenever the set of conflicts changes
+ * @param {Object} state - The application state (signalConflicts from findSignalConflicts)
+ */
+function updateConflictPanel(state) {
+  const conflicts = state.signalConflicts || [];
+  const conflictsKey = getConflictsKey(conflicts);
+  if (conflictsKey === listedConflictsKey) return;
+  listedConflictsKey = conflictsKey;
+
+  const panel = getConflictPanel();
+  panel.innerHTML = '';
+
+  if (conflicts.length === 0) {
+    panel.style.display = 'none';
+    return;
+  }
+
+  const closePanel = () => {
+    panel.style.display = 'none';
+  };
+  panel.appendChild(createPanelHeader(`Signal Conflicts (${conflicts.length})`, closePanel, {
+    color: '#ef4444',
+    closeLabel: 'Close signal conflicts',
+    marginBottom: 8
+  }));
+
+  conflicts.forEach(conflict => panel.appendChild(createConflictEntry(state, conflict)));
+
+  const hint = document.createElement('p');
+  hint.textContent = state.strictPatching ?
+    'Strict patching is on: new patches that join two sources are refused.' :
+    'Turn on Strict Patching to refuse patches that join two sources.';
+  hint.style.cssText = 'color: #6b7280; font-size: 11px; margin-top: 12px;';
+  panel.appendChild(hint);
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Turns strict patching on or off and remembers the choice
+ * @param {Object} state - The application state
+ * @param {boolean} enabled - True to refuse patches that create signal conflicts
+ */
+function setStrictPatching(state, enabled) {
+  state.strictPatching = enabled;
+
+  try {
+    window.localStorage.setItem(strictPatchingStorageKey, enabled ? 'true' : 'false');
+  } catch (error) {
+    console.error('Error saving strict patching setting:', error);
+  }
+
+  // Rebuild the panel so its hint matches
+  listedConflictsKey = null;
+  updateConflictPanel(state);
+
+  window.dispatchEvent(new CustomEvent('strictPatchingChanged', { detail: { enabled } }));
+}
+
+/**
+ * Restores the strict patching setting saved by setStrictPatching
+ * @param {Object} state - The application state
+ */
+function loadStrictPatching(state) {
+  try {
+    state.strictPatching = window.localStorage.getItem(strictPatchingStorageKey) === 'true';
+  } catch (error) {
+    console.error('Error loading strict patching setting:', error);
+    state.strictPatching = false;
+  }
+
+  window.dispatchEvent(new CustomEvent('strictPatchingChanged', { detail: { enabled: state.strictPatching } }));
+}
+
+// Export the functions
+export {
+  updateConflictPanel,
+  setStrictPatching,
+  loadStrictPatching
+};
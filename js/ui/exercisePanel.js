@@ -0,0 +1,197 @@
+/**
+ * Exercise Panel Module
+ * Shows the current training task, checks it on request and lists per-goal results
+ */
+
+// Import exercise model
+import { startExercise, checkCurrentTask, getExerciseScore } from '../models/Exercise.js';
+
+// Import connection utilities
+import { findConnectionsForRoom } from '../models/Connection.js';
+
+// Import panel shell
+import { createFloatingPanel, createPanelHeader, createPanelButton } from './panelShell.js';
+
+// Panel element (created on first use)
+let exercisePanel = null;
+
+/**
+ * Creates the exercise panel element if it doesn't exist yet
+ * @returns {HTMLElement} - The panel element
+ */
+function getExercisePanel() {
+  if (exercisePanel) return exercisePanel;
+
+  exercisePanel = createFloatingPanel('exercise-panel', { corner: 'bottom-left', width: 360 });
+  return exercisePanel;
+}
+
+/**
+ * Gets the saved connections of every room, grouped by room
+ * @param {Object} state - The application state
+ * @returns {Object} - Object mapping room IDs to their connection arrays
+ */
+function getConnectionsToCheck(state) {
+  const connectionsByRoom = {};
+
+  Object.keys(state.roomStates).forEach(roomId => {
+    connectionsByRoom[roomId] = findConnectionsForRoom(state.allConnections, roomId);
+  });
+
+  return connectionsByRoom;
+}
+
+/**
+ * Redraws the panel from the exercise in the application state
+ * @param {Object} state - The application state
+ * @param {Array} lessons - All loaded lessons
+ */
+function renderExercisePanel(state, lessons) {
+  const panel = getExercisePanel();
+  const exercise = state.exercise;
+  panel.innerHTML = '';
+
+  panel.appendChild(createPanelHeader('Exercise', () => hideExercisePanel(state), { closeLabel: 'Close exercise' }));
+
+  // Lesson picker
+  const picker = document.createElement('select');
+  picker.style.cssText = `
+    width: 100%;
+    background: rgba(255, 255, 255, 0.04);
+    border: 1px solid rgba(255, 255, 255, 0.12);
+    color: #f9fafb;
+    border-radius: 8px;
+    padding: 6px 8px;
+    margin-bottom: 12px;
+  `;
+  lessons.forEach((lesson, index) => {
+    const option = document.createElement('option');
+    option.value = String(index);
+    option.textContent = lesson.title;
+    option.selected = exercise && exercise.lesson === lesson;
+    picker.appendChild(option);
+  });
+  picker.addEventListener('change', () => {
+    state.exercise = startExercise(lessons[Number(picker.value)]);
+    renderExercisePanel(state, lessons);
+  });
+  panel.appendChild(picker);
+
+  const lesson = exercise.lesson;
+  if (lesson.description) {
+    const description = document.createElement('p');
+    description.textContent = lesson.description;
+    description.style.cssText = 'color: #9ca3af; margin-bottom: 12px; line-height: 1.5;';
+    panel.appendChild(description);
+  }
+
+  // Current task
+  const task = lesson.tasks[exercise.taskIndex];
+  const taskHeading = document.createElement('div');
+  taskHeading.textContent = `Task ${exercise.taskIndex + 1} of ${lesson.tasks.length}`;
+  taskHeading.style.cssText = 'color: #6b7280; font-size: 11px; margin-bottom: 4px;';
+  panel.appendChild(taskHeading);
+
+  const instruction = document.createElement('div');
+  instruction.textContent = task.instruction;
+  instruction.style.cssText = 'color: #f9fafb; font-weight: 600; line-height: 1.5; margin-bottom: 12px;';
+  panel.appendChild(instruction);
+
+  // Navigation and Check
+  const buttons = document.createElement('div');
+  buttons.style.cssText = 'display: flex; gap: 8px; margin-bottom: 12px;';
+
+  const previousButton = createPanelButton('Previous', () => {
+    exercise.taskIndex--;
+    renderExercisePanel(state, lessons);
+  });
+  previousButton.disabled = exercise.taskIndex === 0;
+
+  const checkButton = createPanelButton('Check', () => {
+    const results = checkCurrentTask(exercise, getConnectionsToCheck(state));
+    console.log(`Checked task ${exercise.taskIndex + 1}: ${results.filter(r => r.passed).length}/${results.length} goals passed`);
+    renderExercisePanel(state, lessons);
+  }, true);
+
+  const nextButton = createPanelButton('Next', () => {
+    exercise.taskIndex++;
+    renderExercisePanel(state, lessons);
+  });
+  nextButton.disabled = exercise.taskIndex === lesson.tasks.length - 1;
+
+  [previousButton, checkButton, nextButton].forEach(button => {
+    if (button.disabled) button.style.opacity = '0.4';
+    buttons.appendChild(button);
+  });
+  panel.appendChild(buttons);
+
+  // Results of the latest check of this task
+  const results = exercise.results[exercise.taskIndex];
+  if (results) {
+    results.forEach(result => {
+      const line = document.createElement('div');
+      line.style.cssText = `
+        padding: 6px 0;
+        border-top: 1px solid rgba(255, 255, 255, 0.05);
+        line-height: 1.5;
+      `;
+
+      const mark = document.createElement('span');
+      mark.textContent = result.passed ? '✓ ' : '✗ ';
+      mark.style.color = result.passed ? '#10b981' : '#ef4444';
+      line.appendChild(mark);
+      line.appendChild(document.createTextNode(result.description));
+
+      if (result.hint) {
+        const hint = document.createElement('div');
+        hint.textContent = `Hint: ${result.hint}`;
+        hint.style.cssText = 'color: #f59e0b; font-size: 12px;';
+        line.appendChild(hint);
+      }
+
+      panel.appendChild(line);
+    });
+  }
+
+  // Running score
+  const score = getExerciseScore(exercise);
+  const scoreLine = document.createElement('div');
+  scoreLine.textContent = `Score: ${score.passedGoals}/${score.totalGoals} goals · ${score.completedTasks}/${score.totalTasks} tasks complete`;
+  scoreLine.style.cssText = 'color: #9ca3af; font-size: 12px; margin-top: 12px;';
+  panel.appendChild(scoreLine);
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Shows the exercise panel, starting the first lesson if no exercise is running
+ * @param {Object} state - The application state
+ * @param {Array} lessons - All loaded lessons
+ */
+function showExercisePanel(state, lessons) {
+  if (!lessons || lessons.length === 0) return;
+
+  if (!state.exercise) {
+    state.exercise = startExercise(lessons[0]);
+  }
+
+  renderExercisePanel(state, lessons);
+}
+
+/**
+ * Hides the exercise panel and ends the running exercise
+ * @param {Object} state - The application state
+ */
+function hideExercisePanel(state) {
+  state.exercise = null;
+  if (exercisePanel) {
+    exercisePanel.style.display = 'none';
+  }
+}
+
+// Export the functions
+export {
+  showExercisePanel,
+  hideExercisePanel,
+  getConnectionsToCheck
+};
@@ -0,0 +1,316 @@
+/**
+ * Inspector Module
+ * Tooltip describing the jack or cable under the mouse
+ */
+
+// Import constants
+import { portRadius, cableDeleteThreshold } from '../config/constants.js';
+
+// Import port and connection utilities
+import { getPortAt } from '../models/Port.js';
+import { findConnectionsWithPort } from '../models/Connection.js';
+
+// Import room panels
+import { findPortPanelIndex } from '../models/Room.js';
+import { getRoomPanels, getRoomPanel, getPanelIndexForSection } from '../models/RoomPanels.js';
+
+// Import port metadata
+import { SIGNAL_TYPES, getSignalTypeConflict } from '../models/PortMetadata.js';
+
+// Import cross-room registry functions
+import { getPortType, getPortSignalSourceRoom, getPortNormalledSignal, getPortBussedSignal, getPortConflict } from '../models/CrossRoomRegistry.js';
+
+// Import signal conflicts
+import { getSourceConflict } from '../models/SignalConflicts.js';
+
+// Import feedback loops
+import { getConnectionLoop, describeFeedbackLoop } from '../models/FeedbackLoops.js';
+
+// Import renderer hit testing
+import { isMouseNearBezierSegments } from './renderer.js';
+
+// Import navigation
+import { getRoomLabel } from './navigation.js';
+
+// How each kind of cross-room conflict is described
+const conflictReasons = {
+  'several-drivers': 'driven from several rooms',
+  'different-signals': 'different signals patched'
+};
+
+// Distance between the pointer and the tooltip's top-left corner
+const tooltipOffset = 16;
+
+// Tooltip element (created on first use)
+let inspectorTooltip = null;
+
+// What the tooltip currently describes, so it is only rebuilt when that changes
+let inspectedTarget = null;
+let lastMouseX = null;
+let lastMouseY = null;
+
+// Set when the patch changes so the tooltip is refreshed without the mouse moving
+let inspectorStale = true;
+
+/**
+ * Creates the tooltip element if it doesn't exist yet
+ * @returns {HTMLElement} - The tooltip element
+ */
+function getInspectorTooltip() {
+  if (inspectorTooltip) return inspectorTooltip;
+
+  inspectorTooltip = document.createElement('div');
+  inspectorTooltip.id = 'inspector-tooltip';
+  inspectorTooltip.style.cssText = `
+    position: fixed;
+    max-width: 300px;
+    background: rgba(15, 15, 17, 0.94);
+    border: 1px solid rgba(255, 255, 255, 0.1);
+    border-radius: 10px;
+    padding: 10px 12px;
+    z-index: 80;
+    display: none;
+    pointer-events: none;
+    font-size: 12px;
+    line-height: 1.5;
+    color: #d1d5db;
+  `;
+  document.body.appendChild(inspectorTooltip);
+
+  // The partner, role and source lines change with the patch, and the jacks change with the room
+  ['patchChanged', 'showRoom'].forEach(eventName => {
+    window.addEventListener(eventName, () => {
+      inspectedTarget = null;
+      inspectorStale = true;
+    });
+  });
+
+  return inspectorTooltip;
+}
+
+/**
+ * Formats a jack as "portId (group ch)" for the partner and cable end lines
+ * @param {Object} state - The application state
+ * @param {string} portId - The port ID
+ * @returns {string} - The formatted jack
+ */
+function formatJack(state, portId) {
+  const port = state.ports.find(p => p.id === portId);
+  if (!port) {
+    // Jacks on the room's other panels aren't on screen
+    const room = state.rooms.find(r => r.name === state.activeRoomId);
+    const panelIndex = findPortPanelIndex(room, portId);
+    return panelIndex > -1 ? `${portId} (${getRoomPanel(room, panelIndex).name})` : portId;
+  }
+
+  const details = [port.groupLabel, port.channelNumber].filter(Boolean).join(' ');
+  return details ? `${portId} (${details})` : portId;
+}
+
+/**
+ * Lists the tooltip lines for the details a room's ports file gives a jack
+ * @param {Object} port - A port from generatePortsFromRoom
+ * @returns {Array} - [[label, value]] for the details that are set
+ */
+function describePortMetadata(port) {
+  return [
+    ['Device', port.device],
+    ['Connector', port.connector],
+    ['Signal type', port.signalType ? SIGNAL_TYPES[port.signalType] : ''],
+    ['Notes', port.notes]
+  ].filter(([, value]) => value);
+}
+
+/**
+ * Lists the tooltip lines for a jack
+ * @param {Object} state - The application state
+ * @param {Object} port - A port from generatePortsFromRoom
+ * @returns {Object} - { title, rows: [[label, value]] }
+ */
+function describePort(state, port) {
+  const roomId = state.activeRoomId;
+  const partners = findConnectionsWithPort(port, state.connections, roomId)
+    .map(conn => formatJack(state, conn.from === port.id ? conn.to : conn.from));
+  const sourceRoom = getPortSignalSourceRoom(port.id, roomId);
+  const normalled = getPortNormalledSignal(port.id, roomId);
+  const bussed = getPortBussedSignal(port.id, roomId);
+
+  // Rooms split into panels name the jack's panel
+  const room = state.rooms.find(r => r.name === roomId);
+  const position = `Section ${port.section + 1}, ${port.row} row`;
+  const panelName = room && getRoomPanels(room).length > 1 ?
+    getRoomPanel(room, getPanelIndexForSection(room, port.section)).name :
+    null;
+
+  const rows = [
+    ['Group', port.groupLabel || '-'],
+    ['Channel', port.channelNumber || '-'],
+    ['Position', panelName ? `${panelName}, ${position}` : position],
+    ['Direction', port.direction],
+    ...describePortMetadata(port),
+    ['Patched to', partners.length > 0 ? partners.join(', ') : '-'],
+    ['Cross-room role', getPortType(port.id, roomId)],
+    ['Signal from', sourceRoom ? `${getRoomLabel(state, sourceRoom)} (Alt-click to go there)` : '-']
+  ];
+
+  if (port.isMult) {
+    rows.splice(3, 0, ['Type', 'Mult']);
+  }
+  if (normalled) {
+    rows.push(['Normalled from', formatJack(state, normalled.sourcePort)]);
+  }
+  if (bussed) {
+    rows.push(['Mult from', formatJack(state, bussed.sourcePort)]);
+  }
+
+  const conflict = getPortConflict(port.id);
+  if (conflict) {
+    const rooms = conflict.rooms.map(roomId => getRoomLabel(state, roomId)).join(', ');
+    rows.push(['Conflict', `${conflictReasons[conflict.reason] || conflict.reason} (${rooms})`]);
+  }
+
+  const signalConflict = getSourceConflict(state.signalConflicts, port.id, roomId);
+  if (signalConflict) {
+    const otherSources = signalConflict.sources.filter(source => source.portId !== port.id).map(source => source.portId);
+    rows.push(['Signal conflict', `shares its path with ${otherSources.join(', ')}`]);
+  }
+
+  return { title: port.id, rows };
+}
+
+/**
+ * Lists the tooltip lines for a cable
+ * @param {Object} state - The application state
+ * @param {Object} connection - The hovered connection
+ * @returns {Object} - { title, rows: [[label, value]] }
+ */
+function describeCable(state, connection) {
+  const rows = [
+    ['End A', formatJack(state, connection.from)],
+    ['End B', formatJack(state, connection.to)],
+    ['Room', getRoomLabel(state, connection.roomId || state.activeRoomId)]
+  ];
+
+  const signalTypeConflict = getSignalTypeConflict(
+    state.ports.find(p => p.id === connection.from),
+    state.ports.find(p => p.id === connection.to)
+  );
+  if (signalTypeConflict) {
+    rows.push(['Signal type', signalTypeConflict]);
+  }
+
+  const loop = getConnectionLoop(state.feedbackLoops, connection);
+  if (loop) {
+    rows.push(['Feedback loop', describeFeedbackLoop(loop)]);
+  }
+
+  return { title: 'Cable', rows };
+}
+
+/**
+ * Finds the jack or cable under the mouse, preferring jacks
+ * @param {Object} p5 - The p5 instance
+ * @param {Object} state - The application state
+ * @returns {Object|null} - { port } or { connection }, or null if nothing is under the mouse
+ */
+function findInspectedTarget(p5, state) {
+  const port = getPortAt(state.mouseX, state.mouseY, state.ports, portRadius * 1.5);
+  if (port && !port.isDead) {
+    return { port };
+  }
+
+  const connection = state.connections.find(conn => {
+    const a = state.ports.find(p => p.id === conn.from);
+    const b = state.ports.find(p => p.id === conn.to);
+    return a && b && isMouseNearBezierSegments(a, b, 0, 0, cableDeleteThreshold, p5, state);
+  });
+
+  return connection ? { connection } : null;
+}
+
+/**
+ * Fills the tooltip with a title and label/value rows
+ * @param {HTMLElement} tooltip - The tooltip element
+ * @param {Object} description - { title, rows }
+ */
+function renderTooltip(tooltip, description) {
+  tooltip.innerHTML = '';
+
+  const title = document.createElement('div');
+  title.textContent = description.title;
+  title.style.cssText = 'color: #f9fafb; font-weight: 600; margin-bottom: 4px;';
+  tooltip.appendChild(title);
+
+  description.rows.forEach(([label, value]) => {
+    const line = document.createElement('div');
+
+    const name = document.createElement('span');
+    name.textContent = `${label}: `;
+    name.style.color = '#6b7280';
+    line.appendChild(name);
+    line.appendChild(document.createTextNode(value));
+
+    tooltip.appendChild(line);
+  });
+}
+
+/**
+ * Hides the tooltip
+ */
+function hideInspector() {
+  inspectedTarget = null;
+  inspectorStale = true;
+
+  if (inspectorTooltip) {
+    inspectorTooltip.style.display = 'none';
+  }
+}
+
+/**
+ * Updates the tooltip for the jack or cable under the mouse
+ * Called every frame; hit testing only runs when the mouse has moved
+ * @param {Object} p5 - The p5 instance
+ * @param {Object} state - The application state (mouseX/Y in room coordinates)
+ * @param {Object|null} pointer - { x, y } page position of the mouse, or null when it is off the canvas
+ */
+function updateInspector(p5, state, pointer) {
+  if (!pointer || !state.activeRoomId) {
+    hideInspector();
+    return;
+  }
+
+  const tooltip = getInspectorTooltip();
+
+  if (state.mouseX !== lastMouseX || state.mouseY !== lastMouseY || inspectorStale) {
+    lastMouseX = state.mouseX;
+    lastMouseY = state.mouseY;
+    inspectorStale = false;
+
+    const target = findInspectedTarget(p5, state);
+    const isSameTarget = target && inspectedTarget &&
+      target.port === inspectedTarget.port && target.connection === inspectedTarget.connection;
+
+    if (target && !isSameTarget) {
+      renderTooltip(tooltip, target.port ? describePort(state, target.port) : describeCable(state, target.connection));
+    }
+    inspectedTarget = target;
+  }
+
+  if (!inspectedTarget) {
+    tooltip.style.display = 'none';
+    return;
+  }
+
+  // Keep the tooltip inside the window
+  tooltip.style.display = 'block';
+  const left = Math.min(pointer.x + tooltipOffset, window.innerWidth - tooltip.offsetWidth - 8);
+  const top = Math.min(pointer.y + tooltipOffset, window.innerHeight - tooltip.offsetHeight - 8);
+  tooltip.style.left = `${left}px`;
+  tooltip.style.top = `${top}px`;
+}
+
+// Export the functions
+export {
+  updateInspector,
+  hideInspector
+};
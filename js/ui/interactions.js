@@ -8,16 +8,40 @@
 import { portRadius, cableDeleteThreshold, LAYERS } from '../config/constants.js';
 
 // Import port utilities
-import { getPortAt, isPortConnected } from '../models/Port.js';
+import { getPortAt, isPortConnected, isMultPort, getPortDirection, getDirectionConflict } from '../models/Port.js';
+
+// Import room utilities
+import { findPortInRoom } from '../models/Room.js';
+
+// Import port metadata
+import { getSignalTypeConflict } from '../models/PortMetadata.js';
 
 // Import connection utilities
-import { findConnectionWithPort, createConnection } from '../models/Connection.js';
+import { findConnectionWithPort, findConnectionsWithPort, createConnection } from '../models/Connection.js';
 
 // Import cross-room registry functions
-import { getPortSignalColor, hasPortCrossRoomSignal, getPortCrossRoomSignalColor } from '../models/CrossRoomRegistry.js';
+import { getPortSignalColor, hasPortCrossRoomSignal, getPortCrossRoomSignalColor, shouldPortShowRing } from '../models/CrossRoomRegistry.js';
+
+// Import signal tracer
+import { traceSignalPath } from '../models/SignalTracer.js';
+
+// Import signal conflicts
+import { findPatchConflict } from '../models/SignalConflicts.js';
+
+// Import patching history
+import { createOperation, recordOperation, takeUndoOperation, takeRedoOperation } from '../models/History.js';
 
 // Import layer manager
-import { getLayerContext, markLayerAsDirty, markAllLayersAsDirty } from './layerManager.js';
+import { getLayerContext, markLayerAsDirty, markAllLayersAsDirty, resetViewTransform } from './layerManager.js';
+
+// Import trace panel
+import { showTracePanel, hideTracePanel } from './tracePanel.js';
+
+// Import notices
+import { showNotice } from './notice.js';
+
+// Import navigation
+import { followSignalToSource } from './navigation.js';
 
 /**
  * Handles mouse press events
@@ -39,6 +63,21 @@ function mousePressed(p5, state) {
   
   // Check if we're clicking on a port first (ports take priority over cable deletion)
   const port = getPortAt(mouseX, mouseY, state.ports, portRadius * 1.5);
+  
+  // Alt-click on a ringed jack follows its signal to the room it comes from
+  if (port !== null && !port.isDead && isFollowModifierDown(p5) && shouldPortShowRing(port.id, state.activeRoomId)) {
+    followSignalToSource(state, port);
+    return;
+  }
+  
+  // In trace mode clicking a jack traces it instead of patching
+  if (state.traceMode) {
+    if (port !== null && !port.isDead) {
+      traceFromPort(state, port.id, state.activeRoomId);
+    }
+    return;
+  }
+  
   if (port !== null && !port.isDead) {
     // If we have an active cable, try to connect it
     if (state.activeCable !== null) {
@@ -49,13 +88,46 @@ function mousePressed(p5, state) {
       }
       
       // Check if the port is already connected
-      const isPortConnected = state.connections.some(conn => 
-        conn.from === port.id || conn.to === port.id
-      );
+      const portConnections = findConnectionsWithPort(port.id, state.connections);
+      const isPortConnected = portConnections.length > 0;
+      
+      // Mults take several cables, and Shift-click adds a Y-split to any other jack
+      const acceptsAnotherCable = isMultPort(port) || isSplitModifierDown(p5);
 
-      if (!isPortConnected) {
+      if (!isPortConnected || acceptsAnotherCable) {
+        // Only one cable between the same two jacks
+        const isAlreadyLinked = portConnections.some(conn => 
+          conn.from === state.activeCable || conn.to === state.activeCable
+        );
+        if (isAlreadyLinked) {
+          console.log('Cannot connect cable: these jacks are already patched together');
+          return;
+        }
+        
+        // Refuse patches that join two outputs or two inputs
+        // (a cable picked up on another panel of the room starts at a jack that isn't on screen)
+        const originPort = state.ports.find(p => p.id === state.activeCable) ||
+          findPortInRoom(state.rooms.find(r => r.name === state.activeRoomId), state.activeCable);
+        const directionConflict = getDirectionConflict(getPortDirection(originPort), getPortDirection(port));
+        if (directionConflict) {
+          console.log(`Cannot connect cable: ${directionConflict}`);
+          showNotice('Patch not made', [`${state.activeCable} → ${port.id}: ${directionConflict}`], 'warning');
+          reportRejectedPatch('direction', state.activeCable, port.id);
+          return;
+        }
+        
+        // A jack already carrying a cable gives a new cable its signal color
+        const portCableColor = isPortConnected ? portConnections[0].color : null;
+        
         // Get the cable color we want to use
-        const cableColor = state.activeCableColor || state.cableColors[state.currentColorIndex];
+        const cableColor = state.activeCableColor || portCableColor || state.cableColors[state.currentColorIndex];
+        
+        // Every cable on a shared jack carries the same signal
+        if (portCableColor && !colorsMatchExactly(cableColor, portCableColor)) {
+          console.log('Cannot connect cable: color mismatch with the signal already on this jack');
+          reportRejectedPatch('color-mismatch', state.activeCable, port.id);
+          return;
+        }
         
         // Check if the port has a cross-room signal with a different color
         const currentRoomId = state.activeRoomId;
@@ -72,8 +144,28 @@ function mousePressed(p5, state) {
           if (!colorsMatch) {
             // Prevent connection - colors don't match
             console.log('Cannot connect cable: color mismatch with cross-room signal');
+            reportRejectedPatch('color-mismatch', state.activeCable, port.id);
+            return;
+          }
+        }
+        
+        // Joining two sources on one path is refused in strict mode and flagged otherwise
+        const patchConflict = findPatchConflict(getConnectionsByRoom(state), state.rooms, state.activeRoomId, state.activeCable, port.id);
+        if (patchConflict) {
+          const sources = patchConflict.map(source => source.portId).join(' and ');
+          if (state.strictPatching) {
+            console.log(`Cannot connect cable: ${sources} would drive the same path`);
+            showNotice('Patch not made', [`${state.activeCable} → ${port.id} would join ${sources} on the same path`], 'warning');
+            reportRejectedPatch('signal-conflict', state.activeCable, port.id);
             return;
           }
+          showNotice('Signal conflict', [`${sources} now drive the same path`, 'Turn on Strict Patching to refuse patches like this.'], 'warning');
+        }
+        
+        // Signal types from the room's ports file, such as AES into a mic input, are flagged but patched
+        const signalTypeConflict = getSignalTypeConflict(originPort, port);
+        if (signalTypeConflict) {
+          showNotice('Signal type mismatch', [`${state.activeCable} → ${port.id}: ${signalTypeConflict}`], 'warning');
         }
         
         // Connect the cable
@@ -88,13 +180,15 @@ function mousePressed(p5, state) {
           state.connections.push(connection);
         }
         
+        recordOperation(createOperation('connect', state.activeRoomId, [connection]));
+        
         // Save connections for the active room
         if (state.activeRoomId && window.saveConnectionsForRoom) {
           window.saveConnectionsForRoom(state.activeRoomId);
         }
         
-        // Only cycle to the next cable color if we used a new color (not a picked up cable)
-        if (!state.activeCableColor) {
+        // Only cycle to the next cable color if we used a new color (not a picked up cable or a shared jack's color)
+        if (!state.activeCableColor && !portCableColor) {
           state.currentColorIndex = (state.currentColorIndex + 1) % state.cableColors.length;
         }
         
@@ -107,13 +201,19 @@ function mousePressed(p5, state) {
         markLayerAsDirty(LAYERS.PORT);
       }
     } else {
-      // Check if the port is already connected
-      const existingConnection = state.connections.find(conn => 
-        conn.from === port.id || conn.to === port.id
-      );
+      // Check if the port is already connected (mults and Y-splits can hold several cables)
+      const portConnections = findConnectionsWithPort(port.id, state.connections);
+      const existingConnection = portConnections[portConnections.length - 1];
 
-      if (existingConnection) {
-        // If the port is already connected, pick up the cable
+      if (existingConnection && isSplitModifierDown(p5)) {
+        // Shift-click on a patched jack starts another cable carrying the same signal
+        state.activeCable = port.id;
+        state.activeCableColor = existingConnection.color;
+        
+        // Mark cable layer as dirty since we're starting a new cable
+        markLayerAsDirty(LAYERS.CABLE);
+      } else if (existingConnection) {
+        // If the port is already connected, pick up its most recently patched cable
         // Use the new removeConnection function to handle cross-room signals
         if (window.removeConnection) {
           window.removeConnection(existingConnection);
@@ -123,6 +223,8 @@ function mousePressed(p5, state) {
           state.connections.splice(index, 1);
         }
         
+        recordOperation(createOperation('pick up', state.activeRoomId, [], [existingConnection]));
+        
         // Save connections for the active room
         if (state.activeRoomId && window.saveConnectionsForRoom) {
           window.saveConnectionsForRoom(state.activeRoomId);
@@ -185,6 +287,8 @@ function mousePressed(p5, state) {
           state.connections.splice(i, 1);
         }
         
+        recordOperation(createOperation('delete', state.activeRoomId, [], [conn]));
+        
         // Save connections for the active room
         if (state.activeRoomId && window.saveConnectionsForRoom) {
           window.saveConnectionsForRoom(state.activeRoomId);
@@ -199,6 +303,69 @@ function mousePressed(p5, state) {
   }
 }
 
+/**
+ * Handles double-click events
+ * Double-clicking an unpatched ringed jack follows its signal to the room it comes from
+ * @param {Object} p5 - The p5 instance
+ * @param {Object} state - The application state
+ */
+function doubleClicked(p5, state) {
+  const port = getPortAt(state.mouseX, state.mouseY, state.ports, portRadius * 1.5);
+  if (port === null || port.isDead || !shouldPortShowRing(port.id, state.activeRoomId)) return;
+  
+  // Both clicks have already been handled as patching clicks. Only a jack that was idle is left as it was
+  // (the first click started a cable from it and the second was ignored); on a patched jack they picked up
+  // and re-patched its cable, so following there is left to Alt-click
+  if (state.activeCable !== port.id) return;
+  
+  // Drop the cable the first click started
+  state.activeCable = null;
+  state.activeCableColor = null;
+  markLayerAsDirty(LAYERS.CABLE);
+  
+  followSignalToSource(state, port);
+}
+
+/**
+ * Announces a patch that was refused so other modules (e.g. challenge scoring) can count it
+ * @param {string} reason - 'color-mismatch', 'direction' or 'signal-conflict'
+ * @param {string} fromPortId - The port the cable came from
+ * @param {string} toPortId - The port it was refused at
+ */
+function reportRejectedPatch(reason, fromPortId, toPortId) {
+  window.dispatchEvent(new CustomEvent('patchRejected', {
+    detail: { reason, from: fromPortId, to: toPortId }
+  }));
+}
+
+/**
+ * Checks if the Y-split modifier (Shift) is held
+ * @param {Object} p5 - The p5 instance
+ * @returns {boolean} - True if a click should add another cable to a patched jack
+ */
+function isSplitModifierDown(p5) {
+  return typeof p5.keyIsDown === 'function' && p5.keyIsDown(16); // 16 is the keyCode for Shift
+}
+
+/**
+ * Checks if the follow-signal modifier (Alt/Option) is held
+ * @param {Object} p5 - The p5 instance
+ * @returns {boolean} - True if a click on a ringed jack should jump to its source room
+ */
+function isFollowModifierDown(p5) {
+  return typeof p5.keyIsDown === 'function' && p5.keyIsDown(18); // 18 is the keyCode for Alt
+}
+
+/**
+ * Checks if two cable colors are identical
+ * @param {Array} colorA - The first color [r, g, b]
+ * @param {Array} colorB - The second color [r, g, b]
+ * @returns {boolean} - True if all three channels match
+ */
+function colorsMatchExactly(colorA, colorB) {
+  return colorA[0] === colorB[0] && colorA[1] === colorB[1] && colorA[2] === colorB[2];
+}
+
 /**
  * Handles mouse movement events
  * @param {Object} p5 - The p5 instance
@@ -358,6 +525,8 @@ function clearAllPatches(state) {
       state.connections = [];
     }
     
+    recordOperation(createOperation('clear', state.activeRoomId, [], connectionsToRemove));
+    
     // Save connections for the active room
     if (state.activeRoomId && window.saveConnectionsForRoom) {
       window.saveConnectionsForRoom(state.activeRoomId);
@@ -366,15 +535,138 @@ function clearAllPatches(state) {
     // Mark cable and port layers as dirty since we cleared all connections
     markLayerAsDirty(LAYERS.CABLE);
     markLayerAsDirty(LAYERS.PORT);
+    
+    // Keep an open trace in step with the cleared patches
+    if (state.trace) {
+      traceFromPort(state, state.trace.origin.portId, state.trace.origin.roomId);
+    }
   }
 }
 
+/**
+ * Gets the connections of every room, using the live array for the active room
+ * @param {Object} state - The application state
+ * @returns {Object} - Object mapping room IDs to their connection arrays
+ */
+function getConnectionsByRoom(state) {
+  const connectionsByRoom = {};
+  
+  Object.keys(state.roomStates).forEach(roomId => {
+    connectionsByRoom[roomId] = roomId === state.activeRoomId ?
+      state.connections :
+      state.roomStates[roomId].connections;
+  });
+  
+  return connectionsByRoom;
+}
+
+/**
+ * Traces the signal chain of a port and shows it on the canvas and in the trace panel
+ * @param {Object} state - The application state
+ * @param {string} portId - The port ID to trace
+ * @param {string} roomId - The room ID of the port
+ */
+function traceFromPort(state, portId, roomId) {
+  state.trace = traceSignalPath(portId, roomId, getConnectionsByRoom(state));
+  showTracePanel(state.trace, state.rooms);
+  
+  console.log(`Traced ${state.trace.hops.length} hops from ${portId} in ${roomId}`);
+  
+  // Mark cable and port layers as dirty to show the highlighted path
+  markLayerAsDirty(LAYERS.CABLE);
+  markLayerAsDirty(LAYERS.PORT);
+}
+
+/**
+ * Turns trace mode on or off
+ * @param {Object} state - The application state
+ */
+function toggleTraceMode(state) {
+  state.traceMode = !state.traceMode;
+  
+  if (state.traceMode) {
+    // Drop any cable in hand so clicks only select jacks
+    state.activeCable = null;
+    state.activeCableColor = null;
+  } else {
+    state.trace = null;
+    hideTracePanel();
+  }
+  
+  window.dispatchEvent(new CustomEvent('traceModeChanged', {
+    detail: { enabled: state.traceMode }
+  }));
+  
+  // Mark cable and port layers as dirty to add or remove the highlights
+  markLayerAsDirty(LAYERS.CABLE);
+  markLayerAsDirty(LAYERS.PORT);
+  
+  console.log(`Trace mode ${state.traceMode ? 'enabled' : 'disabled'}`);
+}
+
+/**
+ * Reverts or reapplies a recorded operation, switching to its room first
+ * @param {Object} state - The application state
+ * @param {Object} operation - The history operation
+ * @param {boolean} reverse - True to undo the operation, false to redo it
+ */
+function replayOperation(state, operation, reverse) {
+  // A cable in hand would no longer match the restored patch
+  state.activeCable = null;
+  state.activeCableColor = null;
+  
+  const changes = reverse ?
+    { add: operation.removed, remove: operation.added } :
+    { add: operation.added, remove: operation.removed };
+  
+  if (window.applyConnectionChanges) {
+    window.applyConnectionChanges(operation.roomId, changes);
+  }
+  
+  // Keep an open trace in step with the restored patch
+  if (state.trace) {
+    traceFromPort(state, state.trace.origin.portId, state.trace.origin.roomId);
+  }
+  
+  console.log(`${reverse ? 'Undid' : 'Redid'} ${operation.label} in ${operation.roomId}`);
+}
+
+/**
+ * Undoes the most recent patching operation
+ * @param {Object} state - The application state
+ */
+function undoLastOperation(state) {
+  const operation = takeUndoOperation();
+  if (!operation) {
+    console.log('Nothing to undo');
+    return;
+  }
+  
+  replayOperation(state, operation, true);
+}
+
+/**
+ * Redoes the most recently undone patching operation
+ * @param {Object} state - The application state
+ */
+function redoLastOperation(state) {
+  const operation = takeRedoOperation();
+  if (!operation) {
+    console.log('Nothing to redo');
+    return;
+  }
+  
+  replayOperation(state, operation, false);
+}
+
 /**
  * Handles keyboard press events
  * @param {Object} p5 - The p5 instance
  * @param {Object} state - The application state
+ * @param {KeyboardEvent} event - The keyboard event (used for modifier keys)
+ * @returns {boolean|undefined} - False to stop the browser's default action
  */
-function keyPressed(p5, state) {
+function keyPressed(p5, state, event) {
   try {
     // Check if the Escape key was pressed
     if (p5.keyCode === 27) { // 27 is the keyCode for Escape
@@ -390,7 +682,40 @@ function keyPressed(p5, state) {
         markLayerAsDirty(LAYERS.CABLE);
         
         console.log('Cable deleted with Escape key');
+      } else if (state.traceMode) {
+        toggleTraceMode(state);
+      }
+    }
+    
+    // Ignore letter shortcuts while typing in a form field
+    const activeTag = document.activeElement ? document.activeElement.tagName : '';
+    if (activeTag === 'INPUT' || activeTag === 'TEXTAREA') {
+      return;
+    }
+    
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes
+    const commandKey = event && (event.ctrlKey || event.metaKey);
+    if (commandKey && (p5.key === 'z' || p5.key === 'Z')) {
+      if (event.shiftKey) {
+        redoLastOperation(state);
+      } else {
+        undoLastOperation(state);
       }
+      return false;
+    }
+    if (commandKey && (p5.key === 'y' || p5.key === 'Y')) {
+      redoLastOperation(state);
+      return false;
+    }
+    
+    // T toggles signal trace mode
+    if (!commandKey && (p5.key === 't' || p5.key === 'T')) {
+      toggleTraceMode(state);
+    }
+    
+    // F fits the room back into view after zooming
+    if (!commandKey && (p5.key === 'f' || p5.key === 'F')) {
+      resetViewTransform();
     }
   } catch (error) {
     console.error('Error in keyPressed function:', error);
@@ -400,10 +725,14 @@ function keyPressed(p5, state) {
 // Export the functions
 export {
   mousePressed,
+  doubleClicked,
   mouseMoved,
   isMouseNearBezierSegments,
   distToSegment,
   bezierPoint,
   clearAllPatches,
+  toggleTraceMode,
+  undoLastOperation,
+  redoLastOperation,
   keyPressed
 };
\ No newline at end of file
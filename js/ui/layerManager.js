@@ -4,7 +4,7 @@
  */
 
 // Import constants
-import { canvasWidth, canvasHeight, layerIds, LAYERS } from '../config/constants.js';
+import { canvasWidth, canvasHeight, layerIds, LAYERS, minViewZoom, maxViewZoom } from '../config/constants.js';
 
 // Canvas contexts for each layer
 let canvasContexts = {};
@@ -15,6 +15,14 @@ let layersInitialized = false;
 // Dirty flags to track which layers need redrawing
 let dirtyLayers = {};
 
+// Zoom and pan shared by every layer (screen = room * zoom + pan)
+let viewTransform = { zoom: 1, panX: 0, panY: 0 };
+
+// Sets of layer canvases by name: 'main' is the patch bay on the page, others back extra views (split view)
+// The variables above always hold the current set, which is 'main' except inside withLayerSurface
+const layerSurfaces = {};
+let currentSurfaceName = 'main';
+
 // Initialize all layers as dirty by default
 function initializeDirtyFlags() {
   layerIds.forEach(layerId => {
@@ -48,8 +56,8 @@ export function initializeLayers() {
     // Set the canvas dimensions accounting for device pixel ratio
     canvas.width = canvasWidth * dpr;
     canvas.height = canvasHeight * dpr;
-    // Scale the context to counter the increased canvas size
-    context.scale(dpr, dpr);
+    // Scale the context to counter the increased canvas size and apply the view zoom and pan
+    applyViewTransform(context);
     // Set CSS size to maintain physical dimensions
     canvas.style.width = `${canvasWidth}px`;
     canvas.style.height = `${canvasHeight}px`;
@@ -62,6 +70,8 @@ export function initializeLayers() {
   // Initialize dirty flags for all layers
   initializeDirtyFlags();
   
+  layerSurfaces.main = { contexts: canvasContexts, dirty: dirtyLayers, viewTransform };
+  
   // Set initialization flag
   layersInitialized = allLayersFound;
   
@@ -130,12 +140,13 @@ export function clearLayer(layerId) {
   
   if (context) {
     // Get the actual canvas element to use its current dimensions
-    const canvas = document.getElementById(layerId);
+    const canvas = context.canvas;
     if (canvas) {
-      // Use actual canvas dimensions instead of static constants
-      const actualWidth = canvas.width / (window.devicePixelRatio || 1);
-      const actualHeight = canvas.height / (window.devicePixelRatio || 1);
-      context.clearRect(0, 0, actualWidth, actualHeight);
+      // Clear every device pixel, whatever the view zoom and pan
+      context.save();
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      context.restore();
     } else {
       // Fallback to constants if canvas not found
       context.clearRect(0, 0, canvasWidth, canvasHeight);
@@ -271,7 +282,7 @@ export function resizeAllLayers(width, height) {
   let allLayersResized = true;
   
   for (const layerId of layerIds) {
-    const canvas = document.getElementById(layerId);
+    const canvas = canvasContexts[layerId] ? canvasContexts[layerId].canvas : null;
     
     if (!canvas) {
       console.error(`Canvas element with ID ${layerId} not found during resize`);
@@ -291,9 +302,8 @@ export function resizeAllLayers(width, height) {
     // Clear the canvas after resize
     const context = canvasContexts[layerId];
     if (context) {
-      // Reset the context with proper DPI scaling
-      context.setTransform(1, 0, 0, 1, 0, 0); // Reset transform
-      context.scale(dpr, dpr); // Apply DPI scaling
+      // Reset the context with proper DPI scaling and the view zoom and pan
+      applyViewTransform(context);
       context.clearRect(0, 0, width, height); // Clear using logical dimensions
       // Mark layer as dirty after resize
       markLayerAsDirty(layerId);
@@ -306,7 +316,7 @@ export function resizeAllLayers(width, height) {
 }
 
 /**
- * Mark a layer as dirty (needs redrawing)
+ * Mark a layer as dirty (needs redrawing) in every layer set
  * @param {string} layerId - The ID of the layer to mark as dirty
  */
 export function markLayerAsDirty(layerId) {
@@ -316,14 +326,16 @@ export function markLayerAsDirty(layerId) {
   }
   
   if (layerIds.includes(layerId)) {
-    dirtyLayers[layerId] = true;
+    Object.values(layerSurfaces).forEach(surface => {
+      surface.dirty[layerId] = true;
+    });
   } else {
     console.warn(`Unknown layer ID: ${layerId}`);
   }
 }
 
 /**
- * Mark all layers as dirty (need redrawing)
+ * Mark all layers as dirty (need redrawing) in every layer set
  */
 export function markAllLayersAsDirty() {
   if (!layersInitialized) {
@@ -331,8 +343,10 @@ export function markAllLayersAsDirty() {
     return;
   }
   
-  layerIds.forEach(layerId => {
-    dirtyLayers[layerId] = true;
+  Object.values(layerSurfaces).forEach(surface => {
+    layerIds.forEach(layerId => {
+      surface.dirty[layerId] = true;
+    });
   });
 }
 
@@ -378,4 +392,194 @@ export function markLayerAsClean(layerId) {
  */
 export function getDirtyLayersStatus() {
   return { ...dirtyLayers };
-}
\ No newline at end of file
+}
+
+/**
+ * Set a context's transform to the device pixel ratio combined with the view zoom and pan
+ * @param {CanvasRenderingContext2D} context - The context to transform
+ */
+function applyViewTransform(context) {
+  const dpr = window.devicePixelRatio || 1;
+  const { zoom, panX, panY } = viewTransform;
+  context.setTransform(dpr * zoom, 0, 0, dpr * zoom, dpr * panX, dpr * panY);
+}
+
+/**
+ * Get the logical size of the layered canvases
+ * @returns {Object} - { width, height } in CSS pixels
+ */
+function getViewportSize() {
+  const canvas = canvasContexts[LAYERS.BACKGROUND] ? canvasContexts[LAYERS.BACKGROUND].canvas : null;
+  if (!canvas) {
+    return { width: canvasWidth, height: canvasHeight };
+  }
+  
+  const dpr = window.devicePixelRatio || 1;
+  return { width: canvas.width / dpr, height: canvas.height / dpr };
+}
+
+/**
+ * Get the current view zoom and pan
+ * @returns {Object} - { zoom, panX, panY }
+ */
+export function getViewTransform() {
+  return { ...viewTransform };
+}
+
+/**
+ * Set the view zoom and pan for every layer
+ * The zoom is clamped to the configured limits and the pan keeps the room covering the canvas
+ * @param {number} zoom - The zoom factor (1 shows the whole room)
+ * @param {number} panX - Horizontal offset in CSS pixels
+ * @param {number} panY - Vertical offset in CSS pixels
+ */
+export function setViewTransform(zoom, panX, panY) {
+  const { width, height } = getViewportSize();
+  const clampedZoom = Math.min(maxViewZoom, Math.max(minViewZoom, zoom));
+  
+  viewTransform = {
+    zoom: clampedZoom,
+    panX: Math.min(0, Math.max(width - width * clampedZoom, panX)),
+    panY: Math.min(0, Math.max(height - height * clampedZoom, panY))
+  };
+  
+  Object.values(canvasContexts).forEach(context => applyViewTransform(context));
+  
+  if (layersInitialized) {
+    markAllLayersAsDirty();
+  }
+}
+
+/**
+ * Zoom the view by a factor, keeping the room point under the given screen position still
+ * @param {number} factor - Multiplier for the current zoom
+ * @param {number} screenX - X position on the canvas in CSS pixels
+ * @param {number} screenY - Y position on the canvas in CSS pixels
+ */
+export function zoomViewAt(factor, screenX, screenY) {
+  const anchor = screenToRoom(screenX, screenY);
+  const zoom = Math.min(maxViewZoom, Math.max(minViewZoom, viewTransform.zoom * factor));
+  setViewTransform(zoom, screenX - anchor.x * zoom, screenY - anchor.y * zoom);
+}
+
+/**
+ * Move the view by a screen distance
+ * @param {number} dx - Horizontal distance in CSS pixels
+ * @param {number} dy - Vertical distance in CSS pixels
+ */
+export function panView(dx, dy) {
+  setViewTransform(viewTransform.zoom, viewTransform.panX + dx, viewTransform.panY + dy);
+}
+
+/**
+ * Move the view so a room point sits in the middle of the canvas, keeping the zoom
+ * @param {number} x - X position in room coordinates
+ * @param {number} y - Y position in room coordinates
+ */
+export function centerViewOn(x, y) {
+  const { width, height } = getViewportSize();
+  const { zoom } = viewTransform;
+  setViewTransform(zoom, width / 2 - x * zoom, height / 2 - y * zoom);
+}
+
+/**
+ * Reset the view so the whole room fits the canvas
+ */
+export function resetViewTransform() {
+  setViewTransform(minViewZoom, 0, 0);
+}
+
+/**
+ * Convert a position on the canvas to room coordinates, for hit testing
+ * @param {number} screenX - X position on the canvas in CSS pixels
+ * @param {number} screenY - Y position on the canvas in CSS pixels
+ * @returns {Object} - { x, y } in the coordinates ports and cables are drawn in
+ */
+export function screenToRoom(screenX, screenY) {
+  return {
+    x: (screenX - viewTransform.panX) / viewTransform.zoom,
+    y: (screenY - viewTransform.panY) / viewTransform.zoom
+  };
+}
+
+/**
+ * Make a layer set the current one, keeping the outgoing set's zoom and pan
+ * @param {string} name - The layer set name
+ */
+function useLayerSurface(name) {
+  layerSurfaces[currentSurfaceName].viewTransform = viewTransform;
+  
+  const surface = layerSurfaces[name];
+  canvasContexts = surface.contexts;
+  dirtyLayers = surface.dirty;
+  viewTransform = surface.viewTransform;
+  currentSurfaceName = name;
+}
+
+/**
+ * Create an extra set of layer canvases, e.g. for the split view's second room
+ * @param {string} name - The layer set name (not 'main')
+ * @param {Object} canvases - Object mapping each layer ID to its canvas element
+ * @param {number} width - Logical width in CSS pixels
+ * @param {number} height - Logical height in CSS pixels
+ * @returns {boolean} - Whether every layer had a canvas
+ */
+export function createLayerSurface(name, canvases, width, height) {
+  if (!layersInitialized || name === 'main') {
+    console.error(`Cannot create layer set '${name}' before the main layers are initialized`);
+    return false;
+  }
+  
+  const contexts = {};
+  const dirty = {};
+  const dpr = window.devicePixelRatio || 1;
+  
+  for (const layerId of layerIds) {
+    const canvas = canvases[layerId];
+    if (!canvas) {
+      console.error(`Canvas for layer ${layerId} missing from layer set '${name}'`);
+      return false;
+    }
+    
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    
+    contexts[layerId] = canvas.getContext('2d');
+    contexts[layerId].setTransform(dpr, 0, 0, dpr, 0, 0);
+    dirty[layerId] = true;
+  }
+  
+  layerSurfaces[name] = { contexts, dirty, viewTransform: { zoom: 1, panX: 0, panY: 0 } };
+  return true;
+}
+
+/**
+ * Remove a layer set made by createLayerSurface
+ * @param {string} name - The layer set name
+ */
+export function removeLayerSurface(name) {
+  if (name !== 'main' && name !== currentSurfaceName) {
+    delete layerSurfaces[name];
+  }
+}
+
+/**
+ * Run a function with another layer set as the current one
+ * Every layer function (contexts, clearing, dirty checks, zoom and pan) acts on that set meanwhile
+ * @param {string} name - The layer set name
+ * @param {Function} callback - The function to run
+ * @returns {*} - The callback's result, or undefined if the layer set doesn't exist
+ */
+export function withLayerSurface(name, callback) {
+  if (!layerSurfaces[name]) return undefined;
+  
+  const previousName = currentSurfaceName;
+  useLayerSurface(name);
+  try {
+    return callback();
+  } finally {
+    useLayerSurface(previousName);
+  }
+}
@@ -0,0 +1,357 @@
+/**
+ * Layout Editor Module
+ * Full-page editor for a room's jack IDs, channel numbers and group labels that exports the room CSV
+ */
+
+// Import room layout model
+import {
+  createEmptySection,
+  createLayoutFromRoom,
+  createEmptyLayout,
+  getLayoutGeometry,
+  getLabelSpans,
+  layoutToCSV,
+  checkLayoutRoundTrip
+} from '../models/RoomLayout.js';
+
+// Import download helper
+import { downloadTextFile } from '../utils/download.js';
+
+// Import notices
+import { showNotice } from './notice.js';
+
+// Import panel shell
+import { createPanelButton } from './panelShell.js';
+
+// Editor rows in CSV order: [row, field, label]
+const editorRows = [
+  ['topRow', 'labels', 'Top groups'],
+  ['topRow', 'channelNumbers', 'Top channels'],
+  ['topRow', 'portIds', 'Top jacks'],
+  ['bottomRow', 'portIds', 'Bottom jacks'],
+  ['bottomRow', 'channelNumbers', 'Bottom channels'],
+  ['bottomRow', 'labels', 'Bottom groups']
+];
+
+// Background tints for alternating group spans
+const spanTints = ['rgba(59, 130, 246, 0.18)', 'rgba(16, 185, 129, 0.18)'];
+
+// Editor elements (created on first open)
+let editorOverlay = null;
+let editorSections = null;
+let roomNameInput = null;
+
+// The layout being edited
+let layout = null;
+
+/**
+ * Creates the editor overlay if it doesn't exist yet
+ * @returns {HTMLElement} - The overlay element
+ */
+function getEditorOverlay() {
+  if (editorOverlay) return editorOverlay;
+
+  editorOverlay = document.createElement('div');
+  editorOverlay.id = 'layout-editor';
+  editorOverlay.style.cssText = `
+    position: fixed;
+    inset: 0;
+    overflow: auto;
+    background: rgba(10, 10, 12, 0.97);
+    padding: 24px;
+    z-index: 90;
+    display: none;
+    font-size: 13px;
+    color: #d1d5db;
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = 'display: flex; align-items: center; gap: 12px; margin-bottom: 8px; position: sticky; left: 0;';
+
+  const title = document.createElement('h3');
+  title.textContent = 'Layout Editor';
+  title.style.cssText = `
+    color: #10b981;
+    font-size: 11px;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 1px;
+  `;
+  header.appendChild(title);
+
+  roomNameInput = document.createElement('input');
+  roomNameInput.type = 'text';
+  roomNameInput.placeholder = 'Room name';
+  roomNameInput.title = 'The room name, used as the CSV file name';
+  roomNameInput.style.cssText = `
+    background: rgba(255, 255, 255, 0.04);
+    border: 1px solid rgba(255, 255, 255, 0.12);
+    color: #f9fafb;
+    padding: 6px 10px;
+    border-radius: 8px;
+    font-size: 13px;
+    width: 240px;
+  `;
+  roomNameInput.addEventListener('input', () => {
+    layout.name = roomNameInput.value.trim();
+  });
+  header.appendChild(roomNameInput);
+
+  header.appendChild(createPanelButton('New Room', () => {
+    if (!window.confirm('Start a new room? Changes to this layout that haven\'t been exported will be lost.')) return;
+    editLayout(createEmptyLayout('New Room'));
+  }));
+  header.appendChild(createPanelButton('Add Section', () => insertSection(layout.sections.length)));
+  header.appendChild(createPanelButton('Export CSV', exportLayout, true));
+  header.appendChild(createPanelButton('Close', closeLayoutEditor));
+  editorOverlay.appendChild(header);
+
+  const hint = document.createElement('p');
+  hint.textContent = 'Type a group label in the column where the group starts; it runs until the next label. ' +
+    'Leave a jack blank for an unused position. END markers are added when the CSV is exported.';
+  hint.style.cssText = 'color: #6b7280; font-size: 11px; margin-bottom: 16px; position: sticky; left: 0;';
+  editorOverlay.appendChild(hint);
+
+  editorSections = document.createElement('div');
+  editorOverlay.appendChild(editorSections);
+
+  document.body.appendChild(editorOverlay);
+  return editorOverlay;
+}
+
+/**
+ * Shades a label row's cells by group so each span is visible
+ * @param {Array} inputs - The row's input elements
+ * @param {Array} labels - The row's label cells
+ */
+function paintLabelRow(inputs, labels) {
+  inputs.forEach(input => {
+    input.style.background = 'transparent';
+    input.title = 'No group';
+  });
+
+  getLabelSpans(labels).forEach((span, spanIndex) => {
+    for (let column = span.startIndex; column <= span.endIndex; column++) {
+      inputs[column].style.background = spanTints[spanIndex % spanTints.length];
+      inputs[column].title = `${span.label}: columns ${span.startIndex + 1}-${span.endIndex + 1}`;
+    }
+  });
+}
+
+/**
+ * Creates the input for one cell
+ * @param {Array} cells - The row's cells
+ * @param {number} column - The cell's column
+ * @param {Function} onChange - Called after the cell changes
+ * @returns {HTMLInputElement} - The input element
+ */
+function createCellInput(cells, column, onChange) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = cells[column];
+  input.style.cssText = `
+    width: 76px;
+    background: transparent;
+    border: 1px solid rgba(255, 255, 255, 0.08);
+    color: #f9fafb;
+    padding: 3px 4px;
+    border-radius: 4px;
+    font-size: 11px;
+  `;
+  input.addEventListener('input', () => {
+    cells[column] = input.value.trim();
+    onChange();
+  });
+  return input;
+}
+
+/**
+ * Builds one section's grid with a column per jack and a spacer at each of the section's gaps
+ * @param {Object} section - The layout section
+ * @param {number} sectionIndex - The section's index
+ * @returns {HTMLElement} - The section element
+ */
+function createSectionEditor(section, sectionIndex) {
+  const container = document.createElement('div');
+  container.style.cssText = 'margin-bottom: 24px;';
+
+  const header = document.createElement('div');
+  header.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 6px; position: sticky; left: 0;';
+
+  const title = document.createElement('span');
+  title.textContent = `Section ${sectionIndex + 1} (2x${section.geometry.jacks})`;
+  title.style.cssText = 'color: #f9fafb; font-weight: 600; margin-right: 8px;';
+  header.appendChild(title);
+
+  header.appendChild(createPanelButton('Insert Above', () => insertSection(sectionIndex)));
+  const removeButton = createPanelButton('Remove', () => removeSection(sectionIndex));
+  removeButton.disabled = layout.sections.length === 1;
+  removeButton.title = removeButton.disabled ? 'A room needs at least one section' : '';
+  header.appendChild(removeButton);
+  container.appendChild(header);
+
+  const table = document.createElement('table');
+  table.style.cssText = 'border-collapse: separate; border-spacing: 2px;';
+
+  const { jacks, gaps } = section.geometry;
+
+  const numberRow = document.createElement('tr');
+  numberRow.appendChild(document.createElement('td'));
+  for (let column = 0; column < jacks; column++) {
+    if (gaps.includes(column)) {
+      numberRow.appendChild(document.createElement('td'));
+    }
+    const cell = document.createElement('td');
+    cell.textContent = column + 1;
+    cell.style.cssText = 'color: #6b7280; font-size: 10px; text-align: center;';
+    numberRow.appendChild(cell);
+  }
+  table.appendChild(numberRow);
+
+  editorRows.forEach(([rowName, field, rowLabel]) => {
+    const tableRow = document.createElement('tr');
+    const cells = section[rowName][field];
+    const inputs = [];
+
+    const nameCell = document.createElement('td');
+    nameCell.textContent = rowLabel;
+    nameCell.style.cssText = `
+      color: #9ca3af;
+      font-size: 11px;
+      white-space: nowrap;
+      padding-right: 8px;
+      position: sticky;
+      left: 0;
+      background: rgb(10, 10, 12);
+    `;
+    tableRow.appendChild(nameCell);
+
+    const onChange = field === 'labels' ? () => paintLabelRow(inputs, cells) : () => {};
+
+    for (let column = 0; column < jacks; column++) {
+      if (gaps.includes(column)) {
+        const gap = document.createElement('td');
+        gap.style.width = '16px';
+        tableRow.appendChild(gap);
+      }
+      const cell = document.createElement('td');
+      const input = createCellInput(cells, column, onChange);
+      inputs.push(input);
+      cell.appendChild(input);
+      tableRow.appendChild(cell);
+    }
+
+    if (field === 'labels') {
+      paintLabelRow(inputs, cells);
+    }
+    table.appendChild(tableRow);
+  });
+
+  container.appendChild(table);
+  return container;
+}
+
+/**
+ * Rebuilds every section's grid from the layout
+ */
+function renderSections() {
+  editorSections.innerHTML = '';
+  layout.sections.forEach((section, sectionIndex) => {
+    editorSections.appendChild(createSectionEditor(section, sectionIndex));
+  });
+}
+
+/**
+ * Adds an empty section shaped like the section it is inserted next to
+ * @param {number} index - Where to insert it
+ */
+function insertSection(index) {
+  const neighbour = layout.sections[Math.min(index, layout.sections.length - 1)];
+  layout.sections.splice(index, 0, createEmptySection(neighbour ? neighbour.geometry : undefined));
+  renderSections();
+}
+
+/**
+ * Removes a section after confirming
+ * @param {number} index - The section's index
+ */
+function removeSection(index) {
+  if (layout.sections.length === 1) return;
+  if (!window.confirm(`Remove section ${index + 1} and all of its jacks?`)) return;
+
+  layout.sections.splice(index, 1);
+  renderSections();
+}
+
+/**
+ * Shows a layout in the editor
+ * @param {Object} newLayout - The layout to edit
+ */
+function editLayout(newLayout) {
+  layout = newLayout;
+  roomNameInput.value = layout.name;
+  renderSections();
+}
+
+/**
+ * Writes the layout as CSV and downloads it, refusing if it wouldn't read back the same
+ */
+function exportLayout() {
+  const roomName = layout.name || 'New Room';
+  const csvText = layoutToCSV(layout);
+  const problems = checkLayoutRoundTrip(layout, csvText);
+
+  if (problems.length > 0) {
+    showNotice('Layout not exported', problems, 'error');
+    return;
+  }
+
+  // Room names come from the file name, so only characters that files can't contain are dropped
+  const fileName = `${roomName.replace(/[\\/:*?"<>|]/g, '')}.csv`;
+  downloadTextFile(fileName, csvText, 'text/csv');
+
+  // Bays other than 2x48 need their geometry in the manifest
+  const geometry = getLayoutGeometry(layout);
+  const lines = ['Put it in the rooms folder and add it to rooms/manifest.json to load it.'];
+  if (geometry) {
+    lines.push(`Its manifest entry needs "geometry": ${JSON.stringify(geometry)}`);
+  }
+  showNotice(`Exported ${fileName}`, lines, 'info');
+  console.log(`Exported room layout '${fileName}' with ${layout.sections.length} sections`);
+}
+
+/**
+ * Opens the editor on the active room's layout, or on a new room when none is shown
+ * @param {Object} state - The application state
+ */
+function openLayoutEditor(state) {
+  getEditorOverlay();
+
+  const room = state.rooms.find(r => r.name === state.activeRoomId);
+  editLayout(room ? createLayoutFromRoom(room) : createEmptyLayout('New Room'));
+  editorOverlay.style.display = 'block';
+}
+
+/**
+ * Closes the editor
+ */
+function closeLayoutEditor() {
+  if (editorOverlay) {
+    editorOverlay.style.display = 'none';
+  }
+}
+
+/**
+ * Checks if the editor is open (it covers the patch bay, so clicks shouldn't patch)
+ * @returns {boolean} - True while the editor is shown
+ */
+function isLayoutEditorOpen() {
+  return !!editorOverlay && editorOverlay.style.display !== 'none';
+}
+
+// Export the functions
+export {
+  openLayoutEditor,
+  closeLayoutEditor,
+  isLayoutEditorOpen
+};
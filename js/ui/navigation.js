@@ -0,0 +1,199 @@
+/**
+ * Navigation Module
+ * Jumps to a jack in any room and follows cross-room signals back to their source, with a Back button
+ */
+
+// Import constants
+import { LAYERS } from '../config/constants.js';
+
+// Import cross-room registry functions
+import { getPortSignalSourceRoom } from '../models/CrossRoomRegistry.js';
+
+// Import layer manager functions
+import { markLayerAsDirty, getViewTransform, centerViewOn } from './layerManager.js';
+
+// Import split view
+import { getPaneContainer } from './splitView.js';
+
+// Import notices
+import { showNotice } from './notice.js';
+
+// Shows a room through the showRoom event (set by initializeNavigation)
+let showPortRoom = null;
+
+// Shows the panel of the active room that holds a jack (set by initializeNavigation)
+let showPortPanel = null;
+
+// Jacks to return to, most recent last
+const backStack = [];
+
+// Back button element (created on first use)
+let backButton = null;
+
+/**
+ * Gets a room's display name
+ * @param {Object} state - The application state
+ * @param {string} roomId - The room ID
+ * @returns {string} - The display name, or the ID if the room isn't loaded
+ */
+function getRoomLabel(state, roomId) {
+  const room = state.rooms.find(r => r.name === roomId);
+  return room ? (room.displayName || room.name) : roomId;
+}
+
+/**
+ * Switches to a jack's room, brings the jack into view and pulses it
+ * @param {Object} state - The application state
+ * @param {string} roomId - The room the jack is in
+ * @param {string} portId - The jack's port ID
+ * @returns {boolean} - True if the jack was found on screen
+ */
+function jumpToPort(state, roomId, portId) {
+  if (state.activeRoomId !== roomId && showPortRoom) {
+    // A cable in hand can't be carried to another room
+    state.activeCable = null;
+    state.activeCableColor = null;
+    showPortRoom(roomId);
+  }
+
+  // Rooms split into panels show the one the jack is on
+  if (showPortPanel) {
+    showPortPanel(roomId, portId);
+  }
+
+  const port = state.ports.find(p => p.id === portId && !p.isDead);
+  if (!port) {
+    console.warn(`Port ${portId} is not on screen in room '${roomId}'`);
+    return false;
+  }
+
+  // Zoom and pan only apply to the main canvas, not the split view's second room
+  const container = getPaneContainer(state, roomId);
+  const isMainCanvas = container && container.id === 'canvas-container';
+
+  // Keep any zoom but move the jack to the middle of the canvas
+  if (isMainCanvas && getViewTransform().zoom > 1) {
+    centerViewOn(port.x, port.y);
+  }
+
+  // Scroll the page so the jack is in the middle of the window
+  if (container) {
+    const { zoom, panY } = isMainCanvas ? getViewTransform() : { zoom: 1, panY: 0 };
+    const rect = container.getBoundingClientRect();
+    const scale = container.offsetHeight ? rect.height / container.offsetHeight : 1;
+    const portScreenY = rect.top + (port.y * zoom + panY) * scale;
+    window.scrollBy({ top: portScreenY - window.innerHeight / 2, behavior: 'smooth' });
+  }
+
+  state.portPulse = {
+    portId: portId,
+    roomId: roomId,
+    startedAt: performance.now()
+  };
+  markLayerAsDirty(LAYERS.PORT);
+
+  console.log(`Jumped to ${portId} in room '${roomId}'`);
+  return true;
+}
+
+/**
+ * Creates the Back button if it doesn't exist yet
+ * @param {Object} state - The application state
+ * @returns {HTMLButtonElement} - The button element
+ */
+function getBackButton(state) {
+  if (backButton) return backButton;
+
+  backButton = document.createElement('button');
+  backButton.id = 'navigation-back-button';
+  backButton.style.cssText = `
+    position: fixed;
+    top: 20px;
+    left: 50%;
+    transform: translateX(-50%);
+    background: rgba(15, 15, 17, 0.92);
+    backdrop-filter: blur(10px);
+    border: 1px solid rgba(16, 185, 129, 0.4);
+    color: #10b981;
+    padding: 8px 16px;
+    border-radius: 8px;
+    font-size: 13px;
+    font-weight: 500;
+    cursor: pointer;
+    z-index: 70;
+    display: none;
+  `;
+  backButton.addEventListener('click', () => goBack(state));
+  document.body.appendChild(backButton);
+
+  return backButton;
+}
+
+/**
+ * Shows the Back button for the most recent jump, or hides it when there is nowhere to return to
+ * @param {Object} state - The application state
+ */
+function updateBackButton(state) {
+  const button = getBackButton(state);
+  const previous = backStack[backStack.length - 1];
+
+  if (previous) {
+    button.textContent = `← Back to ${previous.portId} in ${getRoomLabel(state, previous.roomId)}`;
+    button.style.display = 'block';
+  } else {
+    button.style.display = 'none';
+  }
+}
+
+/**
+ * Follows a jack's cross-room signal to the room it comes from and pulses the source jack there
+ * @param {Object} state - The application state
+ * @param {Object} port - A ringed port in the active room
+ * @returns {boolean} - True if the view moved to the source room
+ */
+function followSignalToSource(state, port) {
+  const fromRoomId = state.activeRoomId;
+  const sourceRoomId = getPortSignalSourceRoom(port.id, fromRoomId);
+
+  if (!sourceRoomId || sourceRoomId === fromRoomId) {
+    showNotice('No source room', [`${port.id} isn't fed from another room`], 'info');
+    return false;
+  }
+
+  if (!jumpToPort(state, sourceRoomId, port.id)) return false;
+
+  backStack.push({ roomId: fromRoomId, portId: port.id });
+  updateBackButton(state);
+  return true;
+}
+
+/**
+ * Returns to the jack the last followed signal started from
+ * @param {Object} state - The application state
+ */
+function goBack(state) {
+  const previous = backStack.pop();
+  if (previous) {
+    jumpToPort(state, previous.roomId, previous.portId);
+  }
+  updateBackButton(state);
+}
+
+/**
+ * Sets how navigation shows a room and the panel a jack is on
+ * @param {Function} showRoomById - (roomId) => void, shows a room through the showRoom event
+ * @param {Function} showPanelForPort - (roomId, portId) => void, shows the panel holding a jack in the active room
+ */
+function initializeNavigation(showRoomById, showPanelForPort = null) {
+  showPortRoom = showRoomById;
+  showPortPanel = showPanelForPort;
+}
+
+// Export the functions
+export {
+  initializeNavigation,
+  jumpToPort,
+  followSignalToSource,
+  getRoomLabel,
+  goBack
+};
@@ -0,0 +1,110 @@
+/**
+ * Notice Module
+ * Shows dismissible notices (warnings and confirmations) over the page
+ */
+
+// Container holding the stacked notices (created on first use)
+let noticeContainer = null;
+
+// Accent colors for each notice tone
+const noticeTones = {
+  warning: { accent: '#f59e0b', background: 'rgba(245, 158, 11, 0.12)', border: 'rgba(245, 158, 11, 0.35)' },
+  error: { accent: '#ef4444', background: 'rgba(239, 68, 68, 0.12)', border: 'rgba(239, 68, 68, 0.35)' },
+  info: { accent: '#10b981', background: 'rgba(16, 185, 129, 0.12)', border: 'rgba(16, 185, 129, 0.35)' }
+};
+
+/**
+ * Creates the notice container if it doesn't exist yet
+ * @returns {HTMLElement} - The container element
+ */
+function getNoticeContainer() {
+  if (noticeContainer) return noticeContainer;
+
+  noticeContainer = document.createElement('div');
+  noticeContainer.id = 'notice-container';
+  noticeContainer.style.cssText = `
+    position: fixed;
+    bottom: 20px;
+    right: 20px;
+    width: 380px;
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+    z-index: 200;
+  `;
+  document.body.appendChild(noticeContainer);
+
+  return noticeContainer;
+}
+
+/**
+ * Shows a notice with an optional list of detail lines
+ * @param {string} title - The notice title
+ * @param {Array} lines - Detail lines listed under the title
+ * @param {string} tone - 'warning', 'error' or 'info'
+ * @returns {HTMLElement} - The notice element
+ */
+function showNotice(title, lines = [], tone = 'warning') {
+  const colors = noticeTones[tone] || noticeTones.warning;
+  const notice = document.createElement('div');
+  notice.style.cssText = `
+    background: rgba(15, 15, 17, 0.95);
+    border: 1px solid ${colors.border};
+    border-left: 3px solid ${colors.accent};
+    border-radius: 12px;
+    padding: 14px 16px;
+    font-size: 13px;
+    color: #d1d5db;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = 'display: flex; justify-content: space-between; align-items: flex-start; gap: 12px;';
+
+  const heading = document.createElement('strong');
+  heading.textContent = title;
+  heading.style.color = colors.accent;
+  header.appendChild(heading);
+
+  const closeButton = document.createElement('button');
+  closeButton.textContent = '×';
+  closeButton.setAttribute('aria-label', 'Dismiss');
+  closeButton.style.cssText = `
+    background: none;
+    border: none;
+    color: #9ca3af;
+    font-size: 18px;
+    line-height: 1;
+    cursor: pointer;
+  `;
+  closeButton.addEventListener('click', () => notice.remove());
+  header.appendChild(closeButton);
+
+  notice.appendChild(header);
+
+  if (lines.length > 0) {
+    const list = document.createElement('ul');
+    list.style.cssText = `
+      margin: 8px 0 0 18px;
+      max-height: 200px;
+      overflow-y: auto;
+      background: ${colors.background};
+      border-radius: 6px;
+      padding: 6px 8px 6px 20px;
+    `;
+    lines.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+    notice.appendChild(list);
+  }
+
+  getNoticeContainer().appendChild(notice);
+  return notice;
+}
+
+// Export the functions
+export {
+  showNotice
+};
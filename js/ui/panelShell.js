@@ -0,0 +1,114 @@
+/**
+ * Panel Shell Module
+ * Builds the floating panels beside the patch bay, their headers and their buttons
+ */
+
+// Screen position of the panels in each corner
+const panelCorners = {
+  'top-left': 'top: 110px; left: 20px;',
+  'top-right': 'top: 110px; right: 20px;',
+  'bottom-left': 'bottom: 20px; left: 20px;'
+};
+
+/**
+ * Creates a hidden floating panel and adds it to the page
+ * @param {string} id - The panel's element ID
+ * @param {Object} options - { corner: 'top-left', 'top-right' or 'bottom-left', width in pixels, borderColor }
+ * @returns {HTMLElement} - The panel element
+ */
+function createFloatingPanel(id, { corner = 'top-right', width = 340, borderColor = 'rgba(255, 255, 255, 0.08)' } = {}) {
+  const panel = document.createElement('div');
+  panel.id = id;
+  panel.style.cssText = `
+    position: fixed;
+    ${panelCorners[corner]}
+    width: ${width}px;
+    max-height: calc(100vh - 140px);
+    overflow-y: auto;
+    background: rgba(15, 15, 17, 0.92);
+    backdrop-filter: blur(10px);
+    border: 1px solid ${borderColor};
+    border-radius: 16px;
+    padding: 20px;
+    z-index: 60;
+    display: none;
+    font-size: 13px;
+    color: #d1d5db;
+  `;
+  document.body.appendChild(panel);
+
+  return panel;
+}
+
+/**
+ * Creates a panel's small uppercase title
+ * @param {string} text - The title text
+ * @param {string} color - The text color
+ * @returns {HTMLElement} - The title element
+ */
+function createPanelTitle(text, color = '#6b7280') {
+  const title = document.createElement('h3');
+  title.textContent = text;
+  title.style.cssText = `
+    color: ${color};
+    font-size: 11px;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 1px;
+  `;
+  return title;
+}
+
+/**
+ * Creates a panel header with a title and a close button
+ * @param {string} heading - The title text
+ * @param {Function} onClose - Click handler for the close button
+ * @param {Object} options - { color of the title, closeLabel for screen readers, marginBottom in pixels }
+ * @returns {HTMLElement} - The header element
+ */
+function createPanelHeader(heading, onClose, { color = '#6b7280', closeLabel = 'Close', marginBottom = 12 } = {}) {
+  const header = document.createElement('div');
+  header.style.cssText = `display: flex; justify-content: space-between; align-items: center; margin-bottom: ${marginBottom}px;`;
+  header.appendChild(createPanelTitle(heading, color));
+
+  const closeButton = document.createElement('button');
+  closeButton.textContent = '×';
+  closeButton.setAttribute('aria-label', closeLabel);
+  closeButton.style.cssText = 'background: none; border: none; color: #9ca3af; font-size: 18px; line-height: 1; cursor: pointer;';
+  closeButton.addEventListener('click', onClose);
+  header.appendChild(closeButton);
+
+  return header;
+}
+
+/**
+ * Creates a small panel button
+ * @param {string} label - The button text
+ * @param {Function} onClick - Click handler
+ * @param {boolean} primary - True for the highlighted style
+ * @returns {HTMLButtonElement} - The button element
+ */
+function createPanelButton(label, onClick, primary = false) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.style.cssText = `
+    background: ${primary ? 'rgba(16, 185, 129, 0.15)' : 'rgba(255, 255, 255, 0.04)'};
+    border: 1px solid ${primary ? 'rgba(16, 185, 129, 0.4)' : 'rgba(255, 255, 255, 0.12)'};
+    color: ${primary ? '#10b981' : '#d1d5db'};
+    padding: 6px 12px;
+    border-radius: 8px;
+    font-size: 12px;
+    font-weight: 500;
+    cursor: pointer;
+  `;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Export the functions
+export {
+  createFloatingPanel,
+  createPanelTitle,
+  createPanelHeader,
+  createPanelButton
+};
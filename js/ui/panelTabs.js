@@ -0,0 +1,142 @@
+/**
+ * Panel Tabs Module
+ * Tab bar above the patch bay for moving between the named panels of the active room
+ */
+
+// Import room and panel utilities
+import { findPortPanelIndex } from '../models/Room.js';
+import { getRoomPanels } from '../models/RoomPanels.js';
+
+// Shows one of the active room's panels (set by initializePanelTabs)
+let selectPanel = null;
+
+// Tab bar element (created by initializePanelTabs)
+let panelTabBar = null;
+
+/**
+ * Counts the cables running from each panel of a room to another of its panels
+ * @param {Object} room - The room
+ * @param {Array} connections - The room's connections
+ * @returns {Array} - The count for each panel, by panel index
+ */
+function countOffPanelCables(room, connections) {
+  const counts = getRoomPanels(room).map(() => 0);
+
+  connections.forEach(conn => {
+    const fromPanel = findPortPanelIndex(room, conn.from);
+    const toPanel = findPortPanelIndex(room, conn.to);
+    if (fromPanel < 0 || toPanel < 0 || fromPanel === toPanel) return;
+
+    counts[fromPanel]++;
+    counts[toPanel]++;
+  });
+
+  return counts;
+}
+
+/**
+ * Creates one tab
+ * @param {Object} panel - { name, firstSection, sectionCount }
+ * @param {number} panelIndex - The panel's index
+ * @param {boolean} isActive - True for the panel on screen
+ * @param {number} offPanelCount - Cables from this panel to the room's other panels
+ * @returns {HTMLButtonElement} - The tab element
+ */
+function createPanelTab(panel, panelIndex, isActive, offPanelCount) {
+  const tab = document.createElement('button');
+  tab.textContent = offPanelCount > 0 ? `${panel.name} (${offPanelCount} off-panel)` : panel.name;
+
+  const lastSection = panel.firstSection + panel.sectionCount;
+  tab.title = panel.sectionCount === 1 ?
+    `Section ${lastSection}` :
+    `Sections ${panel.firstSection + 1}-${lastSection}`;
+
+  tab.style.cssText = `
+    background: ${isActive ? 'rgba(16, 185, 129, 0.15)' : 'rgba(255, 255, 255, 0.04)'};
+    border: 1px solid ${isActive ? 'rgba(16, 185, 129, 0.4)' : 'rgba(255, 255, 255, 0.12)'};
+    color: ${isActive ? '#10b981' : '#d1d5db'};
+    padding: 6px 14px;
+    border-radius: 8px;
+    font-size: 12px;
+    font-weight: 500;
+    cursor: pointer;
+  `;
+  tab.setAttribute('aria-pressed', String(isActive));
+  tab.addEventListener('click', () => {
+    if (selectPanel) {
+      selectPanel(panelIndex);
+    }
+  });
+
+  return tab;
+}
+
+/**
+ * Rebuilds the tabs for the active room, hiding the bar for rooms with a single panel
+ * @param {Object} state - The application state
+ */
+function updatePanelTabs(state) {
+  if (!panelTabBar) return;
+
+  const room = state.rooms.find(r => r.name === state.activeRoomId);
+  const panels = room ? getRoomPanels(room) : [];
+
+  panelTabBar.innerHTML = '';
+  if (panels.length <= 1) {
+    panelTabBar.style.display = 'none';
+    return;
+  }
+
+  const label = document.createElement('span');
+  label.textContent = `${room.displayName || room.name}:`;
+  label.style.cssText = 'color: #9ca3af; margin-right: 4px;';
+  panelTabBar.appendChild(label);
+
+  const activePanelIndex = state.roomStates[room.name].panelIndex || 0;
+  const offPanelCounts = countOffPanelCables(room, state.connections);
+
+  panels.forEach((panel, panelIndex) => {
+    panelTabBar.appendChild(createPanelTab(panel, panelIndex, panelIndex === activePanelIndex, offPanelCounts[panelIndex]));
+  });
+
+  panelTabBar.style.display = 'flex';
+}
+
+/**
+ * Creates the tab bar above the canvas and sets how a panel is shown
+ * @param {Object} state - The application state
+ * @param {Function} selectPanelByIndex - (panelIndex) => void, shows a panel of the active room
+ */
+function initializePanelTabs(state, selectPanelByIndex) {
+  selectPanel = selectPanelByIndex;
+  if (panelTabBar) return;
+
+  const canvasContainer = document.getElementById('canvas-container');
+  if (!canvasContainer) {
+    console.error('Canvas container not found, panel tabs disabled');
+    return;
+  }
+
+  panelTabBar = document.createElement('div');
+  panelTabBar.id = 'panel-tabs';
+  panelTabBar.setAttribute('role', 'toolbar');
+  panelTabBar.setAttribute('aria-label', 'Room panels');
+  panelTabBar.style.cssText = `
+    display: none;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 6px;
+    padding: 16px 20px 0;
+    font-size: 12px;
+  `;
+  canvasContainer.parentNode.insertBefore(panelTabBar, canvasContainer);
+
+  // Off-panel counts change with every patch
+  window.addEventListener('patchChanged', () => updatePanelTabs(state));
+}
+
+// Export the functions
+export {
+  initializePanelTabs,
+  updatePanelTabs
+};
@@ -0,0 +1,194 @@
+/**
+ * Port Search Module
+ * Search box that finds a jack in any room, switches to that room and pulses the jack
+ */
+
+// Import port search model
+import { buildPortIndex, searchPorts } from '../models/PortSearch.js';
+
+// Import navigation
+import { jumpToPort } from './navigation.js';
+
+// Search elements (created once)
+let searchInput = null;
+let resultsList = null;
+
+// Index of the jacks in state.rooms, rebuilt when the rooms are reloaded
+let portIndex = [];
+let indexedRooms = null;
+
+// Results currently listed and the one picked with the arrow keys
+let currentResults = [];
+let selectedResult = -1;
+
+/**
+ * Gets the port index, rebuilding it if the rooms have been reloaded
+ * @param {Object} state - The application state
+ * @returns {Array} - The port index
+ */
+function getPortIndex(state) {
+  if (indexedRooms !== state.rooms) {
+    portIndex = buildPortIndex(state.rooms);
+    indexedRooms = state.rooms;
+  }
+  return portIndex;
+}
+
+/**
+ * Redraws the results list
+ * @param {Object} state - The application state
+ */
+function renderResults(state) {
+  resultsList.innerHTML = '';
+
+  if (searchInput.value.trim() === '') {
+    resultsList.style.display = 'none';
+    return;
+  }
+
+  if (currentResults.length === 0) {
+    const empty = document.createElement('div');
+    empty.textContent = 'No matching jacks';
+    empty.style.cssText = 'padding: 8px 12px; color: #6b7280;';
+    resultsList.appendChild(empty);
+  }
+
+  currentResults.forEach((entry, index) => {
+    const item = document.createElement('div');
+    item.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      gap: 12px;
+      padding: 8px 12px;
+      cursor: pointer;
+      background: ${index === selectedResult ? 'rgba(16, 185, 129, 0.15)' : 'transparent'};
+    `;
+
+    const label = document.createElement('span');
+    const portId = document.createElement('strong');
+    portId.textContent = entry.portId;
+    portId.style.color = '#f9fafb';
+    label.appendChild(portId);
+
+    const details = [entry.groupLabel, entry.channelNumber ? `ch ${entry.channelNumber}` : '', entry.device].filter(Boolean).join(' · ');
+    if (details) {
+      label.appendChild(document.createTextNode(`  ${details}`));
+    }
+    item.appendChild(label);
+
+    const room = document.createElement('span');
+    room.textContent = entry.roomLabel;
+    room.style.color = '#6b7280';
+    item.appendChild(room);
+
+    // mousedown rather than click so the input doesn't blur and close the list first
+    item.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      pickResult(state, index);
+    });
+
+    resultsList.appendChild(item);
+  });
+
+  resultsList.style.display = 'block';
+}
+
+/**
+ * Jumps to a listed result and closes the list
+ * @param {Object} state - The application state
+ * @param {number} index - The result's position in the list
+ */
+function pickResult(state, index) {
+  const entry = currentResults[index];
+  if (!entry) return;
+
+  resultsList.style.display = 'none';
+  searchInput.blur();
+  jumpToPort(state, entry.roomId, entry.portId);
+}
+
+/**
+ * Adds the jack search box above the patch bay
+ * @param {Object} state - The application state
+ */
+function initializePortSearch(state) {
+  if (searchInput) return;
+
+  const roomSelector = document.querySelector('.room-selector');
+  if (!roomSelector) {
+    console.error('Room selector not found, port search disabled');
+    return;
+  }
+
+  const wrapper = document.createElement('div');
+  wrapper.style.cssText = 'position: relative; margin-top: 16px; max-width: 480px;';
+
+  searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.placeholder = 'Find a jack - port ID, group, channel or device (e.g. 1847A 29)';
+  searchInput.setAttribute('aria-label', 'Find a jack');
+  searchInput.style.cssText = `
+    width: 100%;
+    background: rgba(255, 255, 255, 0.04);
+    border: 1px solid rgba(255, 255, 255, 0.12);
+    color: #f9fafb;
+    border-radius: 8px;
+    padding: 8px 12px;
+    font-size: 13px;
+  `;
+  wrapper.appendChild(searchInput);
+
+  resultsList = document.createElement('div');
+  resultsList.setAttribute('role', 'listbox');
+  resultsList.style.cssText = `
+    position: absolute;
+    top: calc(100% + 4px);
+    left: 0;
+    right: 0;
+    max-height: 320px;
+    overflow-y: auto;
+    background: rgba(15, 15, 17, 0.96);
+    border: 1px solid rgba(255, 255, 255, 0.08);
+    border-radius: 8px;
+    z-index: 70;
+    display: none;
+    font-size: 13px;
+    color: #d1d5db;
+  `;
+  wrapper.appendChild(resultsList);
+
+  searchInput.addEventListener('input', () => {
+    currentResults = searchPorts(getPortIndex(state), searchInput.value);
+    selectedResult = currentResults.length > 0 ? 0 : -1;
+    renderResults(state);
+  });
+
+  // Arrow keys move through the results, Enter jumps, Escape closes the list
+  searchInput.addEventListener('keydown', (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (currentResults.length === 0) return;
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      selectedResult = (selectedResult + step + currentResults.length) % currentResults.length;
+      renderResults(state);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      pickResult(state, selectedResult);
+    } else if (event.key === 'Escape') {
+      resultsList.style.display = 'none';
+      searchInput.blur();
+    }
+  });
+
+  searchInput.addEventListener('focus', () => renderResults(state));
+  searchInput.addEventListener('blur', () => {
+    resultsList.style.display = 'none';
+  });
+
+  roomSelector.appendChild(wrapper);
+}
+
+// Export the functions
+export {
+  initializePortSearch
+};
@@ -30,16 +30,35 @@ import {
   groupBoxHorizontalPadding,
   groupBoxVerticalPadding,
   canvasWidth,
-  canvasHeight,
   margin,
   fontFamily,
   LAYERS,
   gridOrigin,
   gridBounds,
-  portSpacing,
-  midGapWidth,
   ringLineWidth,
-  ringGap
+  ringGap,
+  normalBarWidth,
+  normalLinkColor,
+  normalIntactColor,
+  normalTappedColor,
+  normalBrokenColor,
+  traceHighlightColor,
+  traceHighlightWidth,
+  searchPulseColor,
+  searchPulseDuration,
+  searchPulseCount,
+  searchPulseSpread,
+  multMarkerColor,
+  multMarkerWidth,
+  conflictMarkerColor,
+  conflictMarkerRadius,
+  linkedPortColor,
+  feedbackLoopColor,
+  feedbackLoopWidth,
+  feedbackLoopDash,
+  panelStubLength,
+  panelStubDrop,
+  panelStubLabelColor
 } from '../config/constants.js';
 
 // Import grid system
@@ -48,10 +67,29 @@ import {
 } from '../config/constants.js';
 
 // Import port utilities
-import { isPortConnected, getPortAt } from '../models/Port.js';
+import { isPortConnected, isMultPort, getPortAt } from '../models/Port.js';
 
 // Import cross-room registry functions
-import { getPortSignalColor, hasPortCrossRoomSignal, getPortCrossRoomSignalColor, shouldPortShowRing } from '../models/CrossRoomRegistry.js';
+import { getPortSignalColor, hasPortCrossRoomSignal, getPortCrossRoomSignalColor, shouldPortShowRing, getPortNormalledSignal, getPortBussedSignal } from '../models/CrossRoomRegistry.js';
+
+// Import normalization model
+import { getRoomNormalizations, getNormalizationState } from '../models/Normalization.js';
+
+// Import signal tracer
+import { isPortInTrace, isConnectionInTrace } from '../models/SignalTracer.js';
+
+// Import signal conflicts
+import { getSourceConflict } from '../models/SignalConflicts.js';
+
+// Import feedback loops
+import { getConnectionLoop } from '../models/FeedbackLoops.js';
+
+// Import bay geometry
+import { getRoomLayoutWidth } from '../models/BayGeometry.js';
+
+// Import room panels
+import { findPortPanelIndex } from '../models/Room.js';
+import { getRoomPanels, getRoomPanel } from '../models/RoomPanels.js';
 
 // Import layer manager
 import {
@@ -142,6 +180,14 @@ function draw(p5, state) {
     // Frame rate independent momentum calculations
     const dampingFactor = 0.2 * deltaFactor;
     
+    // Keep animating the search pulse until it has run its course
+    if (state.portPulse) {
+      if (performance.now() - state.portPulse.startedAt > searchPulseDuration) {
+        state.portPulse = null;
+      }
+      markLayerAsDirty(LAYERS.PORT);
+    }
+    
     // Determine if we need to redraw based on cursor movement
     const significantMovement = Math.abs(dx) > 0.1 || Math.abs(dy) > 0.1;
     
@@ -224,9 +270,8 @@ function drawBackground(p5, state) {
   
   // Fill the background
   ctx.fillStyle = `rgb(${backgroundColor}, ${backgroundColor}, ${backgroundColor})`;
-  // Account for device pixel ratio when filling the background
-  const dpr = window.devicePixelRatio || 1;
-  ctx.fillRect(0, 0, canvasWidth * dpr, canvasHeight * dpr);
+  // Fill the whole canvas, which is resized to each room (already in device pixels)
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
 }
 
 /**
@@ -241,12 +286,21 @@ function drawCables(p5, state) {
   // Set common cable properties
   ctx.lineWidth = cableStrokeWeight;
   
+  // The room being drawn, for cables to its other panels
+  const room = state.rooms ? state.rooms.find(r => r.name === state.activeRoomId) : null;
+  
   // Draw existing connections
   state.connections.forEach(conn => {
     // Find the port objects by their IDs instead of using array indexing
     const portA = state.ports.find(port => port.id === conn.from);
     const portB = state.ports.find(port => port.id === conn.to);
     
+    // A cable with one end on another panel is drawn as a stub from the end on screen
+    if (!portA !== !portB) {
+      drawOffPanelStub(ctx, state, room, portA || portB, portA ? conn.to : conn.from, conn.color);
+      return;
+    }
+    
     // Skip if ports don't exist
     if (!portA || !portB) return;
     
@@ -271,6 +325,14 @@ function drawCables(p5, state) {
     // Get the cable's color
     const cableColor = conn.color || state.cableColors[0]; // Default to first color if none stored
     
+    // Outline cables on a traced signal path
+    if (isConnectionInTrace(state.trace, conn)) {
+      ctx.strokeStyle = `rgb(${traceHighlightColor[0]}, ${traceHighlightColor[1]}, ${traceHighlightColor[2]})`;
+      ctx.lineWidth = cableStrokeWeight + traceHighlightWidth * 2;
+      drawCableOnContext(ctx, portA, portB);
+      ctx.lineWidth = cableStrokeWeight;
+    }
+    
     if (isHovering && !inSafeZone && !state.activeCable) {
       // Use a darker shade of the cable's color for deletion hover
       // Only set hover connection if we're not holding a cable
@@ -282,6 +344,16 @@ function drawCables(p5, state) {
     }
     
     drawCableOnContext(ctx, portA, portB);
+    
+    // Dash cables that close a feedback loop over their own color
+    if (getConnectionLoop(state.feedbackLoops, conn)) {
+      ctx.save();
+      ctx.strokeStyle = `rgb(${feedbackLoopColor[0]}, ${feedbackLoopColor[1]}, ${feedbackLoopColor[2]})`;
+      ctx.lineWidth = feedbackLoopWidth;
+      ctx.setLineDash([feedbackLoopDash, feedbackLoopDash]);
+      drawCableOnContext(ctx, portA, portB);
+      ctx.restore();
+    }
   });
   
   // Draw active cable if one exists
@@ -289,12 +361,16 @@ function drawCables(p5, state) {
     // Find the port object by its ID instead of using array indexing
     const activePort = state.ports.find(port => port.id === state.activeCable);
     
-    // Skip if port doesn't exist
-    if (!activePort) return;
-    
     // Use the stored cable color if available (from picking up an existing cable)
     // Otherwise use the next color in the sequence for new cables
     const cableColor = state.activeCableColor || state.cableColors[state.currentColorIndex];
+    
+    // A cable carried over from another panel is labeled at the cursor with the jack it comes from
+    if (!activePort) {
+      drawOffPanelCursorLabel(ctx, state, room, cableColor);
+      return;
+    }
+    
     ctx.strokeStyle = `rgb(${cableColor[0]}, ${cableColor[1]}, ${cableColor[2]})`;
     
     drawCableOnContext(
@@ -307,6 +383,87 @@ function drawCables(p5, state) {
   }
 }
 
+/**
+ * Gets the text naming a jack on another panel of a room
+ * @param {Object} room - The room
+ * @param {string} portId - The port ID
+ * @returns {string|null} - e.g. "p1860-05 (Rack B MADI)", or null if the jack isn't in the room
+ */
+function describeOffPanelPort(room, portId) {
+  const panelIndex = findPortPanelIndex(room, portId);
+  if (panelIndex < 0) return null;
+  
+  return `${portId} (${getRoomPanel(room, panelIndex).name})`;
+}
+
+/**
+ * Draws a cable whose far end is on another panel as a short stub hanging from its jack,
+ * labeled with the jack it goes to
+ * @param {CanvasRenderingContext2D} ctx - The cable layer context
+ * @param {Object} state - The application state
+ * @param {Object} room - The room being drawn
+ * @param {Object} port - The end of the cable on screen
+ * @param {string} farPortId - The port ID of the other end
+ * @param {Array} color - The cable's color
+ */
+function drawOffPanelStub(ctx, state, room, port, farPortId, color) {
+  const label = describeOffPanelPort(room, farPortId);
+  if (!label) return;
+  
+  const cableColor = color || state.cableColors[0];
+  const end = { x: port.x + panelStubLength, y: port.y + panelStubDrop };
+  
+  ctx.save();
+  ctx.strokeStyle = `rgb(${cableColor[0]}, ${cableColor[1]}, ${cableColor[2]})`;
+  ctx.fillStyle = ctx.strokeStyle;
+  ctx.lineWidth = cableStrokeWeight;
+  ctx.lineCap = 'round';
+  
+  ctx.beginPath();
+  ctx.moveTo(port.x, port.y);
+  ctx.quadraticCurveTo(port.x, end.y, end.x, end.y);
+  ctx.stroke();
+  
+  // Plug at the cut end
+  ctx.beginPath();
+  ctx.arc(end.x, end.y, cableStrokeWeight, 0, Math.PI * 2);
+  ctx.fill();
+  
+  // Slanted so the labels of neighbouring jacks don't run into each other
+  ctx.translate(end.x + cableStrokeWeight * 2, end.y);
+  ctx.rotate(Math.PI / 4);
+  ctx.font = `${channelNumberTextSize}px ${fontFamily}`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = `rgb(${panelStubLabelColor[0]}, ${panelStubLabelColor[1]}, ${panelStubLabelColor[2]})`;
+  ctx.fillText(`→ ${label}`, 0, 0);
+  ctx.restore();
+}
+
+/**
+ * Labels the cursor with the jack a cable in hand comes from when that jack is on another panel
+ * @param {CanvasRenderingContext2D} ctx - The cable layer context
+ * @param {Object} state - The application state
+ * @param {Object} room - The room being drawn
+ * @param {Array} cableColor - The cable's color
+ */
+function drawOffPanelCursorLabel(ctx, state, room, cableColor) {
+  const label = describeOffPanelPort(room, state.activeCable);
+  if (!label) return;
+  
+  ctx.save();
+  ctx.fillStyle = `rgb(${cableColor[0]}, ${cableColor[1]}, ${cableColor[2]})`;
+  ctx.beginPath();
+  ctx.arc(state.cursorX, state.cursorY, cableStrokeWeight, 0, Math.PI * 2);
+  ctx.fill();
+  
+  ctx.font = `${channelNumberTextSize}px ${fontFamily}`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`from ${label}`, state.cursorX + cableStrokeWeight * 2, state.cursorY);
+  ctx.restore();
+}
+
 /**
  * Draws all ports on the port layer
  * @param {Object} p5 - The p5 instance
@@ -335,6 +492,11 @@ function drawPorts(p5, state, closestAvailablePort, onlyDeadPorts = false) {
     // console.log(`Port radius: ${portRadius}`);
   }
   
+  // Draw the live state of each normal underneath the jacks
+  if (!onlyDeadPorts) {
+    drawNormalStates(ctx, state);
+  }
+  
   state.ports.forEach(p => {
     // Filter ports based on the onlyDeadPorts parameter
     if (onlyDeadPorts && !p.isDead) return;
@@ -354,7 +516,8 @@ function drawPorts(p5, state, closestAvailablePort, onlyDeadPorts = false) {
     }
     
     // Draw cross-room signal ring if present and port should show ring
-    if (hasCrossRoomSignal && crossRoomSignalColor && shouldPortShowRing(p.id, currentRoomId)) {
+    const showCrossRoomRing = hasCrossRoomSignal && crossRoomSignalColor && shouldPortShowRing(p.id, currentRoomId);
+    if (showCrossRoomRing) {
       ctx.beginPath();
       ctx.strokeStyle = `rgb(${crossRoomSignalColor[0]}, ${crossRoomSignalColor[1]}, ${crossRoomSignalColor[2]})`;
       ctx.lineWidth = ringLineWidth;
@@ -362,6 +525,35 @@ function drawPorts(p5, state, closestAvailablePort, onlyDeadPorts = false) {
       ctx.stroke();
     }
     
+    // Draw normalled signal ring if an intact normal (or the jack's mult bus) is feeding this port
+    const fedSignal = getPortNormalledSignal(p.id, currentRoomId) || getPortBussedSignal(p.id, currentRoomId);
+    if (!showCrossRoomRing && fedSignal) {
+      const normalledColor = fedSignal.color;
+      ctx.beginPath();
+      ctx.strokeStyle = `rgb(${normalledColor[0]}, ${normalledColor[1]}, ${normalledColor[2]})`;
+      ctx.lineWidth = ringLineWidth;
+      ctx.arc(p.x, p.y, portRadius + ringGap, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
+    // Outline ports on a traced signal path
+    if (isPortInTrace(state.trace, p.id, currentRoomId)) {
+      ctx.beginPath();
+      ctx.strokeStyle = `rgb(${traceHighlightColor[0]}, ${traceHighlightColor[1]}, ${traceHighlightColor[2]})`;
+      ctx.lineWidth = traceHighlightWidth;
+      ctx.arc(p.x, p.y, portRadius + ringGap + ringLineWidth + traceHighlightWidth, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
+    // In split view, ring the jacks sharing the port ID hovered in either room
+    if (state.linkedPortId === p.id) {
+      ctx.beginPath();
+      ctx.strokeStyle = `rgb(${linkedPortColor[0]}, ${linkedPortColor[1]}, ${linkedPortColor[2]})`;
+      ctx.lineWidth = traceHighlightWidth;
+      ctx.arc(p.x, p.y, portRadius + ringGap + ringLineWidth + traceHighlightWidth, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
     // Begin a new path for the port circle
     ctx.beginPath();
     
@@ -411,7 +603,164 @@ function drawPorts(p5, state, closestAvailablePort, onlyDeadPorts = false) {
     // Draw the port circle
     ctx.arc(p.x, p.y, portRadius, 0, Math.PI * 2);
     ctx.fill();
+    
+    // Mark mult jacks with an inner ring so they stand out from single jacks
+    if (isMultPort(p)) {
+      ctx.beginPath();
+      ctx.strokeStyle = `rgb(${multMarkerColor[0]}, ${multMarkerColor[1]}, ${multMarkerColor[2]})`;
+      ctx.lineWidth = multMarkerWidth;
+      ctx.arc(p.x, p.y, portRadius * 0.5, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    
+    // Badge source jacks that drive the same path as another source
+    if (!p.isDead && getSourceConflict(state.signalConflicts, p.id, currentRoomId)) {
+      ctx.beginPath();
+      ctx.fillStyle = `rgb(${conflictMarkerColor[0]}, ${conflictMarkerColor[1]}, ${conflictMarkerColor[2]})`;
+      ctx.arc(p.x + portRadius * 0.75, p.y - portRadius * 0.75, conflictMarkerRadius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  });
+  
+  // Pulse the jack a search jumped to on top of everything else
+  if (!onlyDeadPorts) {
+    drawPortPulse(ctx, state);
+  }
+}
+
+/**
+ * Draws expanding rings around the jack a port search jumped to
+ * @param {CanvasRenderingContext2D} ctx - The port layer context
+ * @param {Object} state - The application state
+ */
+function drawPortPulse(ctx, state) {
+  const pulse = state.portPulse;
+  if (!pulse || pulse.roomId !== state.activeRoomId) return;
+  
+  const port = state.ports.find(p => p.id === pulse.portId && !p.isDead);
+  if (!port) return;
+  
+  // Each ring grows outward and fades; the next one starts as it disappears
+  const progress = Math.min(1, (performance.now() - pulse.startedAt) / searchPulseDuration);
+  const phase = (progress * searchPulseCount) % 1;
+  
+  ctx.beginPath();
+  ctx.strokeStyle = `rgba(${searchPulseColor[0]}, ${searchPulseColor[1]}, ${searchPulseColor[2]}, ${1 - phase})`;
+  ctx.lineWidth = traceHighlightWidth;
+  ctx.arc(port.x, port.y, portRadius + ringGap + phase * searchPulseSpread, 0, Math.PI * 2);
+  ctx.stroke();
+}
+
+/**
+ * Finds the port objects for each normalization in the active room
+ * @param {Object} state - The application state
+ * @returns {Array} - Array of { normalization, sourcePort, normalizedPort } for normals with both jacks on screen
+ */
+function getVisibleNormalPairs(state) {
+  const pairs = [];
+  
+  getRoomNormalizations(state.activeRoomId).forEach(normalization => {
+    const sourcePort = state.ports.find(port => port.id === normalization.sourcePort);
+    const normalizedPort = state.ports.find(port => port.id === normalization.normalizedPort);
+    
+    if (sourcePort && normalizedPort) {
+      pairs.push({ normalization, sourcePort, normalizedPort });
+    }
+  });
+  
+  return pairs;
+}
+
+/**
+ * Gets the end points of the bar joining two normalled jacks, trimmed to clear the port rings
+ * @param {Object} a - The first port
+ * @param {Object} b - The second port
+ * @returns {Object|null} - { start, end } points or null if the jacks overlap
+ */
+function getNormalBarEndpoints(a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = Math.sqrt(dx * dx + dy * dy);
+  const inset = portRadius + ringGap + ringLineWidth;
+  
+  if (length <= inset * 2) return null;
+  
+  const ux = dx / length;
+  const uy = dy / length;
+  
+  return {
+    start: { x: a.x + ux * inset, y: a.y + uy * inset },
+    end: { x: b.x - ux * inset, y: b.y - uy * inset }
+  };
+}
+
+/**
+ * Draws the faint links showing which jacks are normalled (group box layer)
+ * @param {CanvasRenderingContext2D} ctx - The group box layer context
+ * @param {Object} state - The application state
+ */
+function drawNormalLinks(ctx, state) {
+  ctx.save();
+  ctx.strokeStyle = `rgb(${normalLinkColor[0]}, ${normalLinkColor[1]}, ${normalLinkColor[2]})`;
+  ctx.lineWidth = normalBarWidth;
+  ctx.setLineDash([normalBarWidth, normalBarWidth]);
+  
+  getVisibleNormalPairs(state).forEach(({ sourcePort, normalizedPort }) => {
+    const bar = getNormalBarEndpoints(sourcePort, normalizedPort);
+    if (!bar) return;
+    
+    ctx.beginPath();
+    ctx.moveTo(bar.start.x, bar.start.y);
+    ctx.lineTo(bar.end.x, bar.end.y);
+    ctx.stroke();
   });
+  
+  ctx.restore();
+}
+
+/**
+ * Draws the live state of each normal over its link (port layer)
+ * Intact normals draw a solid bar, tapped half-normals an amber bar,
+ * and broken normals a red bar split at the middle
+ * @param {CanvasRenderingContext2D} ctx - The port layer context
+ * @param {Object} state - The application state
+ */
+function drawNormalStates(ctx, state) {
+  ctx.save();
+  ctx.lineWidth = normalBarWidth;
+  ctx.lineCap = 'round';
+  
+  getVisibleNormalPairs(state).forEach(({ normalization, sourcePort, normalizedPort }) => {
+    const normalState = getNormalizationState(normalization, state.connections);
+    if (normalState === 'disabled') return;
+    
+    const bar = getNormalBarEndpoints(sourcePort, normalizedPort);
+    if (!bar) return;
+    
+    let barColor = normalIntactColor;
+    if (normalState === 'tapped') barColor = normalTappedColor;
+    if (normalState === 'broken') barColor = normalBrokenColor;
+    ctx.strokeStyle = `rgb(${barColor[0]}, ${barColor[1]}, ${barColor[2]})`;
+    
+    ctx.beginPath();
+    if (normalState === 'broken') {
+      // Leave a gap in the middle third to show the contacts have opened
+      const third = {
+        x: (bar.end.x - bar.start.x) / 3,
+        y: (bar.end.y - bar.start.y) / 3
+      };
+      ctx.moveTo(bar.start.x, bar.start.y);
+      ctx.lineTo(bar.start.x + third.x, bar.start.y + third.y);
+      ctx.moveTo(bar.end.x - third.x, bar.end.y - third.y);
+      ctx.lineTo(bar.end.x, bar.end.y);
+    } else {
+      ctx.moveTo(bar.start.x, bar.start.y);
+      ctx.lineTo(bar.end.x, bar.end.y);
+    }
+    ctx.stroke();
+  });
+  
+  ctx.restore();
 }
 
 /**
@@ -453,8 +802,8 @@ function findClosestAvailablePort(state) {
   state.ports.forEach(p => {
     // Skip the active cable port if it exists, and skip dead ports
     if (((state.activeCable !== null && p.id !== state.activeCable) || state.activeCable === null) && !p.isDead) {
-      // Only consider unconnected ports
-      if (!isPortConnected(p, state.connections)) {
+      // Only consider unconnected ports and mults, which take several cables
+      if (!isPortConnected(p, state.connections) || isMultPort(p)) {
         const distance = Math.sqrt(
           Math.pow(p.x - state.mouseX, 2) + 
           Math.pow(p.y - state.mouseY, 2)
@@ -685,6 +1034,9 @@ function drawGroupBoxes(p5, state) {
         });
       }
     });
+    
+    // Link normalled jacks so the pairing is visible even when the normal is idle
+    drawNormalLinks(ctx, state);
   } catch (error) {
     console.error('Error drawing group boxes:', error);
   }
@@ -712,25 +1064,22 @@ function drawText(p5, state) {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
     
-    // Draw room title with shadow - centered over the actual port layout
-    // Port layout starts at gridBounds.padding.left + 40 and spans 48 ports with gap
-    const portLayoutStartX = gridBounds.padding.left + 40;
-    const portLayoutWidth = 24 * portSpacing + midGapWidth + 24 * portSpacing;
-    const portLayoutCenterX = gridOrigin.x + portLayoutStartX + (portLayoutWidth / 2);
-    
-    // Draw titles for all visible rooms
-    if (state.roomStates) {
-      Object.entries(state.roomStates).forEach(([roomName, roomState]) => {
-        if (roomState.visible) {
-          // Find the room object from the main rooms array
-          const room = state.rooms ? state.rooms.find(r => r.name === roomName) : null;
-          if (room) {
-            // Position room title at the top of the active room (no yOffset needed for single room display)
-            const roomTitleY = gridOrigin.y + gridBounds.padding.top + 15;
-            drawTextWithShadowOnContext(ctx, room.name, portLayoutCenterX, roomTitleY);
-          }
-        }
-      });
+    // Draw the title of the room being drawn (the split view draws its second room separately)
+    const room = state.rooms ? state.rooms.find(r => r.name === state.activeRoomId) : null;
+    if (room) {
+      // Center the title over the room's widest section of jacks
+      // Port layout starts at gridBounds.padding.left + 40
+      const portLayoutStartX = gridBounds.padding.left + 40;
+      const portLayoutCenterX = gridOrigin.x + portLayoutStartX + (getRoomLayoutWidth(room) / 2);
+      
+      // Position room title at the top of the active room (no yOffset needed for single room display)
+      const roomTitleY = gridOrigin.y + gridBounds.padding.top + 15;
+      
+      // Rooms split into panels name the panel on screen
+      const roomTitle = room.displayName || room.name;
+      const panelIndex = state.roomStates[room.name] ? state.roomStates[room.name].panelIndex || 0 : 0;
+      const title = getRoomPanels(room).length > 1 ? `${roomTitle} · ${getRoomPanel(room, panelIndex).name}` : roomTitle;
+      drawTextWithShadowOnContext(ctx, title, portLayoutCenterX, roomTitleY);
     }
     
     // Set text properties for labels and numbers
@@ -1019,6 +1368,7 @@ function drawCable(p5, a, b, offsetY = 0, offsetX = 0) {
 
 /**
  * Checks if the mouse is near a bezier curve
+ * state.mouseX/Y are in room space (mapped through the view zoom and pan), like the port positions
  * @param {Object} a - The starting point
  * @param {Object} b - The ending point
  * @param {number} offsetY - Vertical offset for control points
@@ -0,0 +1,234 @@
+/**
+ * Room Check Panel Module
+ * Lists the room CSV linter's findings for the loaded rooms and for any CSV file the user picks,
+ * along with problems in the rooms' ports files
+ */
+
+// Import room linter
+import { lintRoomCSV, formatLintIssue } from '../utils/roomLinter.js';
+
+// Import notices
+import { showNotice } from './notice.js';
+
+// Import panel shell
+import { createFloatingPanel, createPanelHeader, createPanelButton } from './panelShell.js';
+
+// Text colors for each severity
+const severityColors = {
+  error: '#ef4444',
+  warning: '#f59e0b'
+};
+
+// Panel element (created on first use)
+let roomCheckPanel = null;
+
+// Findings for the last file checked from disk: { fileName, issues }
+let checkedFile = null;
+
+/**
+ * Creates the room check panel element if it doesn't exist yet
+ * @returns {HTMLElement} - The panel element
+ */
+function getRoomCheckPanel() {
+  if (roomCheckPanel) return roomCheckPanel;
+
+  roomCheckPanel = createFloatingPanel('room-check-panel', { corner: 'top-right', width: 400 });
+  return roomCheckPanel;
+}
+
+/**
+ * Counts a list of issues by severity
+ * @param {Array} issues - Issues from lintRoomCSV
+ * @returns {string} - e.g. "2 errors, 5 warnings" or "No problems found"
+ */
+function describeIssueCounts(issues) {
+  if (issues.length === 0) return 'No problems found';
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  const warnings = issues.length - errors;
+  return `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`;
+}
+
+/**
+ * Gets the problems found in a room's normals file as issues
+ * Every problem is an error, since the normal it describes isn't loaded
+ * @param {Object} room - A loaded room
+ * @returns {Array} - Issues located by column (normals files have one normal per column)
+ */
+function getNormalsIssues(room) {
+  return (room.normalizationErrors || []).map(error => ({
+    row: null,
+    column: error.column,
+    severity: 'error',
+    message: error.message
+  }));
+}
+
+/**
+ * Gets every issue found in a room's files
+ * @param {Object} room - A loaded room
+ * @returns {Array} - The room CSV's issues followed by its normals and ports files' issues
+ */
+function getRoomIssues(room) {
+  return [...(room.lintIssues || []), ...getNormalsIssues(room), ...(room.portMetadataIssues || [])];
+}
+
+/**
+ * Lists one file's issues under a heading
+ * @param {string} heading - The room or file name
+ * @param {Array} issues - Issues from lintRoomCSV
+ * @returns {HTMLElement} - The file's entry
+ */
+function createIssueList(heading, issues) {
+  const entry = document.createElement('div');
+  entry.style.cssText = `
+    padding: 8px 0;
+    border-top: 1px solid rgba(255, 255, 255, 0.05);
+    line-height: 1.5;
+  `;
+
+  const summary = document.createElement('div');
+  summary.textContent = `${heading}: ${describeIssueCounts(issues)}`;
+  summary.style.cssText = 'color: #f9fafb; margin-bottom: 4px;';
+  entry.appendChild(summary);
+
+  issues.forEach(issue => {
+    const line = document.createElement('div');
+    line.style.cssText = 'font-size: 12px;';
+
+    const severity = document.createElement('span');
+    severity.textContent = issue.severity === 'error' ? 'Error ' : 'Warning ';
+    severity.style.color = severityColors[issue.severity];
+    line.appendChild(severity);
+    line.appendChild(document.createTextNode(formatLintIssue(issue)));
+
+    entry.appendChild(line);
+  });
+
+  return entry;
+}
+
+/**
+ * Lints a CSV file chosen by the user and lists it at the top of the panel
+ * @param {Object} state - The application state
+ * @param {File} file - The selected file
+ */
+async function checkFile(state, file) {
+  try {
+    const csvText = await file.text();
+    const roomName = file.name.replace(/\.csv$/i, '');
+
+    // A new copy of a loaded room is checked against that room's bay geometry
+    const room = state.rooms.find(r => r.name === roomName);
+    checkedFile = { fileName: file.name, issues: lintRoomCSV(csvText, roomName, room ? room.geometry : null) };
+  } catch (error) {
+    console.error('Error checking room file:', error);
+    checkedFile = { fileName: file.name, issues: [{ row: null, column: null, severity: 'error', message: error.message }] };
+  }
+
+  renderRoomCheckPanel(state);
+}
+
+/**
+ * Rebuilds the panel from the loaded rooms and the last checked file
+ * @param {Object} state - The application state
+ */
+function renderRoomCheckPanel(state) {
+  const panel = getRoomCheckPanel();
+  panel.innerHTML = '';
+
+  panel.appendChild(createPanelHeader('Room Check', hideRoomCheckPanel, {
+    color: '#10b981',
+    closeLabel: 'Close room check',
+    marginBottom: 8
+  }));
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.csv,text/csv';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    if (file) {
+      checkFile(state, file);
+    }
+  });
+  panel.appendChild(fileInput);
+
+  const checkFileButton = createPanelButton('Check a File...', () => fileInput.click());
+  checkFileButton.title = 'Check a room CSV before adding it to the rooms folder';
+  checkFileButton.style.marginBottom = '8px';
+  panel.appendChild(checkFileButton);
+
+  if (checkedFile) {
+    panel.appendChild(createIssueList(checkedFile.fileName, checkedFile.issues));
+  }
+
+  state.rooms.forEach(room => {
+    panel.appendChild(createIssueList(room.displayName || room.name, room.lintIssues || []));
+
+    // Normals and ports files are only listed when they have problems
+    const normalsIssues = getNormalsIssues(room);
+    if (normalsIssues.length > 0) {
+      panel.appendChild(createIssueList(`${room.displayName || room.name} normals file`, normalsIssues));
+    }
+    if ((room.portMetadataIssues || []).length > 0) {
+      panel.appendChild(createIssueList(`${room.displayName || room.name} ports file`, room.portMetadataIssues));
+    }
+  });
+
+  const hint = document.createElement('p');
+  hint.textContent = 'Errors lose or misplace jacks or normals when the room loads; warnings load but are worth a look. ' +
+    'Rows and columns count from 1 as in a spreadsheet.';
+  hint.style.cssText = 'color: #6b7280; font-size: 11px; margin-top: 12px;';
+  panel.appendChild(hint);
+}
+
+/**
+ * Shows the room check panel
+ * @param {Object} state - The application state
+ */
+function showRoomCheckPanel(state) {
+  renderRoomCheckPanel(state);
+  getRoomCheckPanel().style.display = 'block';
+}
+
+/**
+ * Hides the room check panel
+ */
+function hideRoomCheckPanel() {
+  if (roomCheckPanel) {
+    roomCheckPanel.style.display = 'none';
+  }
+}
+
+/**
+ * Shows a notice when any loaded room has linter errors
+ * @param {Object} state - The application state
+ */
+function reportRoomCheckErrors(state) {
+  const roomsWithErrors = state.rooms.filter(room => getRoomIssues(room).some(issue => issue.severity === 'error'));
+  if (roomsWithErrors.length === 0) return;
+
+  // Normals that weren't loaded are listed by column, since the normals file has one normal per column
+  const normalsLines = roomsWithErrors.flatMap(room => getNormalsIssues(room).map(issue =>
+    `${room.displayName || room.name} normals: ${formatLintIssue(issue)}`
+  ));
+
+  showNotice(
+    'Some room files have problems',
+    [
+      ...roomsWithErrors.map(room => `${room.displayName || room.name}: ${describeIssueCounts(getRoomIssues(room))}`),
+      ...normalsLines,
+      'Open Check Rooms for the details.'
+    ],
+    'error'
+  );
+}
+
+// Export the functions
+export {
+  showRoomCheckPanel,
+  hideRoomCheckPanel,
+  reportRoomCheckErrors
+};
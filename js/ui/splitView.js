@@ -0,0 +1,485 @@
+/**
+ * Split View Module
+ * Shows a second room below or beside the main one, each with its own jacks and canvas layers,
+ * so tie lines can be followed and patched in both rooms at once
+ */
+
+// Import constants
+import { layerIds, LAYERS, portRadius, splitViewGap } from '../config/constants.js';
+
+// Import room and port utilities
+import { generatePortsFromRoom } from '../models/Room.js';
+import { getPortAt } from '../models/Port.js';
+
+// Import layer manager functions
+import {
+  createLayerSurface,
+  removeLayerSurface,
+  withLayerSurface,
+  screenToRoom,
+  markLayerAsDirty,
+  markAllLayersAsDirty
+} from './layerManager.js';
+
+// Import renderer
+import { draw as renderDraw } from './renderer.js';
+
+// Makes a room on screen the active room (set by initializeSplitView)
+let focusPaneRoom = null;
+
+// Split view elements (created on first open)
+let splitRow = null;
+let mainFrame = null;
+let splitPane = null;
+let splitFrame = null;
+let splitContainer = null;
+let roomPicker = null;
+let layoutButton = null;
+
+// The layout used the last time the split view was open
+let lastLayout = 'stacked';
+
+// Render state for a room drawn while another room is active, kept between frames
+const paneStates = {};
+
+/**
+ * Creates a small header button
+ * @param {string} label - The button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} - The button element
+ */
+function createHeaderButton(label, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.style.cssText = `
+    background: rgba(255, 255, 255, 0.04);
+    border: 1px solid rgba(255, 255, 255, 0.12);
+    color: #d1d5db;
+    padding: 4px 12px;
+    border-radius: 8px;
+    font-size: 12px;
+    cursor: pointer;
+  `;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Creates the split view elements and wraps the main canvas container so both rooms can be laid out together
+ * @param {Object} state - The application state
+ * @returns {boolean} - False if the main canvas container is missing
+ */
+function createSplitViewElements(state) {
+  if (splitRow) return true;
+
+  const canvasContainer = document.getElementById('canvas-container');
+  if (!canvasContainer) {
+    console.error('Canvas container not found, split view disabled');
+    return false;
+  }
+
+  splitRow = document.createElement('div');
+  splitRow.style.cssText = `display: flex; flex-direction: column; align-items: center; gap: ${splitViewGap}px;`;
+  canvasContainer.parentNode.insertBefore(splitRow, canvasContainer);
+
+  // Frames take the scaled size of their room when the rooms sit side by side
+  mainFrame = document.createElement('div');
+  mainFrame.appendChild(canvasContainer);
+  splitRow.appendChild(mainFrame);
+
+  splitPane = document.createElement('div');
+  splitPane.style.display = 'none';
+
+  const header = document.createElement('div');
+  header.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 8px; font-size: 12px; color: #9ca3af;';
+
+  const label = document.createElement('span');
+  label.textContent = 'Split view:';
+  header.appendChild(label);
+
+  roomPicker = document.createElement('select');
+  roomPicker.setAttribute('aria-label', 'Second room');
+  roomPicker.style.cssText = `
+    background: rgba(255, 255, 255, 0.04);
+    border: 1px solid rgba(255, 255, 255, 0.12);
+    color: #f9fafb;
+    border-radius: 8px;
+    padding: 4px 8px;
+    font-size: 12px;
+  `;
+  roomPicker.addEventListener('change', () => setSplitRoom(state, roomPicker.value));
+  header.appendChild(roomPicker);
+
+  layoutButton = createHeaderButton('', () => {
+    setSplitLayout(state, state.splitView && state.splitView.layout === 'stacked' ? 'side-by-side' : 'stacked');
+  });
+  header.appendChild(layoutButton);
+
+  header.appendChild(createHeaderButton('Close', () => closeSplitView(state)));
+  splitPane.appendChild(header);
+
+  splitFrame = document.createElement('div');
+  splitContainer = document.createElement('div');
+  splitContainer.id = 'split-canvas-container';
+  splitContainer.style.cssText = 'position: relative; overflow: hidden;';
+
+  // Same stacking as the main layers, which get theirs from the page's CSS
+  layerIds.forEach((layerId, index) => {
+    const canvas = document.createElement('canvas');
+    canvas.dataset.layer = layerId;
+    canvas.style.zIndex = String(index + 1);
+    if (layerId === LAYERS.BACKGROUND) {
+      canvas.style.background = '#0d0d0f';
+    }
+    splitContainer.appendChild(canvas);
+  });
+
+  splitFrame.appendChild(splitContainer);
+  splitPane.appendChild(splitFrame);
+  splitRow.appendChild(splitPane);
+
+  return true;
+}
+
+/**
+ * Lists the rooms that can go in the second pane (every room but the main one)
+ * @param {Object} state - The application state
+ */
+function updateRoomPicker(state) {
+  roomPicker.innerHTML = '';
+
+  state.rooms
+    .filter(room => room.name !== state.splitView.primaryRoomId)
+    .forEach(room => {
+      const option = document.createElement('option');
+      option.value = room.name;
+      option.textContent = room.displayName || room.name;
+      option.selected = room.name === state.splitView.roomId;
+      roomPicker.appendChild(option);
+    });
+}
+
+/**
+ * Shows a room in the second pane, sizing its canvas layers to the room
+ * @param {Object} state - The application state
+ * @param {string} roomId - The room ID
+ */
+function showPaneRoom(state, roomId) {
+  const room = state.rooms.find(r => r.name === roomId);
+  const { ports, actualRoomHeight, actualRoomWidth } = generatePortsFromRoom(room, state.roomStates[roomId].panelIndex || 0);
+
+  state.roomStates[roomId].visible = true;
+  state.roomStates[roomId].ports = ports;
+
+  const canvases = {};
+  splitContainer.querySelectorAll('canvas').forEach(canvas => {
+    canvases[canvas.dataset.layer] = canvas;
+  });
+  splitContainer.style.width = `${actualRoomWidth}px`;
+  splitContainer.style.height = `${actualRoomHeight}px`;
+  createLayerSurface('split', canvases, actualRoomWidth, actualRoomHeight);
+
+  delete paneStates[roomId];
+}
+
+/**
+ * Lays the second pane's room out again after another of its panels is picked
+ * @param {Object} state - The application state
+ * @param {string} roomId - The room ID
+ * @returns {boolean} - True if the room is in the second pane
+ */
+function refreshSplitRoom(state, roomId) {
+  if (!state.splitView || state.splitView.roomId !== roomId) return false;
+
+  showPaneRoom(state, roomId);
+  updateSplitViewLayout(state);
+  markAllLayersAsDirty();
+  return true;
+}
+
+/**
+ * Takes a room out of the second pane
+ * @param {Object} state - The application state
+ * @param {string} roomId - The room ID
+ */
+function hidePaneRoom(state, roomId) {
+  // Make the main room active first if the room being hidden is
+  if (state.activeRoomId === roomId && focusPaneRoom) {
+    focusPaneRoom(state.splitView.primaryRoomId);
+  }
+
+  if (state.roomStates[roomId]) {
+    state.roomStates[roomId].visible = false;
+    state.roomStates[roomId].ports = [];
+  }
+}
+
+/**
+ * Scales and arranges the two rooms for the current layout
+ * Side by side, both rooms shrink so they fit the patch bay's width together
+ * @param {Object} state - The application state
+ */
+function updateSplitViewLayout(state) {
+  if (!splitRow) return;
+
+  const canvasContainer = document.getElementById('canvas-container');
+  const sideBySide = !!state.splitView && state.splitView.layout === 'side-by-side';
+  const availableWidth = splitRow.parentNode ? splitRow.parentNode.clientWidth : 0;
+  const scale = sideBySide && availableWidth > 0 ?
+    Math.min(1, (availableWidth - splitViewGap * 3) / (canvasContainer.offsetWidth + splitContainer.offsetWidth)) :
+    1;
+
+  splitRow.style.flexDirection = sideBySide ? 'row' : 'column';
+  splitRow.style.alignItems = sideBySide ? 'flex-start' : 'center';
+
+  [[mainFrame, canvasContainer], [splitFrame, splitContainer]].forEach(([frame, container]) => {
+    container.style.transform = scale < 1 ? `scale(${scale})` : '';
+    container.style.transformOrigin = 'top left';
+    frame.style.width = scale < 1 ? `${container.offsetWidth * scale}px` : '';
+    frame.style.height = scale < 1 ? `${container.offsetHeight * scale}px` : '';
+    frame.style.overflow = scale < 1 ? 'hidden' : '';
+  });
+
+  if (layoutButton && state.splitView) {
+    layoutButton.textContent = sideBySide ? 'Stack' : 'Side by Side';
+  }
+}
+
+/**
+ * Opens the split view with a second room
+ * @param {Object} state - The application state
+ * @param {string|null} roomId - The room for the second pane (defaults to the first room that isn't active)
+ * @returns {boolean} - True if the split view opened
+ */
+function openSplitView(state, roomId = null) {
+  if (!state.activeRoomId || state.splitView) return false;
+
+  const secondRoomId = roomId || (state.rooms.find(room => room.name !== state.activeRoomId) || {}).name;
+  if (!secondRoomId || secondRoomId === state.activeRoomId || !state.roomStates[secondRoomId]) {
+    console.warn('Split view needs a second room');
+    return false;
+  }
+
+  if (!createSplitViewElements(state)) return false;
+
+  state.splitView = {
+    primaryRoomId: state.activeRoomId,
+    roomId: secondRoomId,
+    layout: lastLayout
+  };
+
+  showPaneRoom(state, secondRoomId);
+  updateRoomPicker(state);
+  splitPane.style.display = 'block';
+  updateSplitViewLayout(state);
+  markAllLayersAsDirty();
+
+  window.dispatchEvent(new CustomEvent('splitViewChanged', { detail: { open: true } }));
+  console.log(`Split view opened with '${secondRoomId}'`);
+  return true;
+}
+
+/**
+ * Closes the split view, leaving the main room on screen and active
+ * @param {Object} state - The application state
+ */
+function closeSplitView(state) {
+  if (!state.splitView) return;
+
+  hidePaneRoom(state, state.splitView.roomId);
+  lastLayout = state.splitView.layout;
+  state.splitView = null;
+  state.linkedPortId = null;
+
+  splitPane.style.display = 'none';
+  updateSplitViewLayout(state);
+  removeLayerSurface('split');
+  markAllLayersAsDirty();
+
+  window.dispatchEvent(new CustomEvent('splitViewChanged', { detail: { open: false } }));
+  console.log('Split view closed');
+}
+
+/**
+ * Puts another room in the second pane
+ * @param {Object} state - The application state
+ * @param {string} roomId - The room ID
+ */
+function setSplitRoom(state, roomId) {
+  if (!state.splitView || roomId === state.splitView.roomId || roomId === state.splitView.primaryRoomId) return;
+  if (!state.roomStates[roomId]) return;
+
+  hidePaneRoom(state, state.splitView.roomId);
+  state.splitView.roomId = roomId;
+  showPaneRoom(state, roomId);
+  updateSplitViewLayout(state);
+  markAllLayersAsDirty();
+}
+
+/**
+ * Switches between the rooms stacked one above the other and side by side
+ * @param {Object} state - The application state
+ * @param {string} layout - 'stacked' or 'side-by-side'
+ */
+function setSplitLayout(state, layout) {
+  if (!state.splitView) return;
+
+  state.splitView.layout = layout;
+  updateSplitViewLayout(state);
+}
+
+/**
+ * Records which room is in the main pane (called when a room card is picked while the split view is open)
+ * @param {Object} state - The application state
+ * @param {string} roomId - The room now in the main pane
+ */
+function setPrimaryRoom(state, roomId) {
+  if (!state.splitView) return;
+
+  state.splitView.primaryRoomId = roomId;
+  updateRoomPicker(state);
+}
+
+/**
+ * Checks if a room is in either pane of the split view
+ * @param {Object} state - The application state
+ * @param {string} roomId - The room ID
+ * @returns {boolean} - True while the split view is open with that room on screen
+ */
+function isRoomInSplitView(state, roomId) {
+  return !!state.splitView && (state.splitView.primaryRoomId === roomId || state.splitView.roomId === roomId);
+}
+
+/**
+ * Gets the canvas container a room is drawn in
+ * @param {Object} state - The application state
+ * @param {string} roomId - The room ID
+ * @returns {HTMLElement|null} - The second pane's container for the split room, else the main canvas container
+ */
+function getPaneContainer(state, roomId) {
+  if (state.splitView && state.splitView.roomId === roomId) {
+    return splitContainer;
+  }
+  return document.getElementById('canvas-container');
+}
+
+/**
+ * Finds the pane under a page position and converts the position to that room's coordinates
+ * @param {Object} state - The application state
+ * @param {number} clientX - Page X position of the mouse
+ * @param {number} clientY - Page Y position of the mouse
+ * @returns {Object|null} - { roomId, x, y } in room coordinates, or null if the mouse is over neither room
+ */
+function getPanePointer(state, clientX, clientY) {
+  if (!state.splitView) return null;
+
+  const panes = [
+    { roomId: state.splitView.primaryRoomId, container: document.getElementById('canvas-container'), surface: 'main' },
+    { roomId: state.splitView.roomId, container: splitContainer, surface: 'split' }
+  ];
+
+  for (const pane of panes) {
+    if (!pane.container) continue;
+
+    const rect = pane.container.getBoundingClientRect();
+    if (clientX < rect.left || clientX > rect.right || clientY < rect.top || clientY > rect.bottom) continue;
+
+    // Undo the side-by-side scaling, then the pane's own zoom and pan
+    const scale = pane.container.offsetWidth ? rect.width / pane.container.offsetWidth : 1;
+    const roomPoint = withLayerSurface(pane.surface, () =>
+      screenToRoom((clientX - rect.left) / scale, (clientY - rect.top) / scale)
+    );
+    return { roomId: pane.roomId, x: roomPoint.x, y: roomPoint.y };
+  }
+
+  return null;
+}
+
+/**
+ * Rings the jacks sharing the port ID under the mouse when both rooms have that port
+ * @param {Object} state - The application state
+ * @param {Object|null} pointer - The result of getPanePointer
+ */
+function updateLinkedPort(state, pointer) {
+  let linkedPortId = null;
+
+  if (pointer) {
+    const port = getPortAt(pointer.x, pointer.y, state.roomStates[pointer.roomId].ports, portRadius * 1.5);
+    const otherRoomId = pointer.roomId === state.splitView.roomId ? state.splitView.primaryRoomId : state.splitView.roomId;
+    const otherRoomState = state.roomStates[otherRoomId];
+
+    if (port && !port.isDead && otherRoomState && otherRoomState.ports.some(p => p.id === port.id && !p.isDead)) {
+      linkedPortId = port.id;
+    }
+  }
+
+  if (linkedPortId !== state.linkedPortId) {
+    state.linkedPortId = linkedPortId;
+    markLayerAsDirty(LAYERS.PORT);
+  }
+}
+
+/**
+ * Gets the render state for a room drawn while another room is active
+ * It shows the room's saved cables and only follows the mouse while the mouse is over it
+ * @param {Object} state - The application state
+ * @param {string} roomId - The room ID
+ * @param {Object|null} pointer - The result of getPanePointer
+ * @returns {Object} - A state object for the renderer
+ */
+function getPaneState(state, roomId, pointer) {
+  const paneState = paneStates[roomId] || (paneStates[roomId] = {});
+  const isPointerOver = pointer && pointer.roomId === roomId;
+
+  Object.assign(paneState, state, {
+    activeRoomId: roomId,
+    ports: state.roomStates[roomId].ports,
+    connections: state.roomStates[roomId].connections,
+    activeCable: null,
+    activeCableColor: null,
+    mouseX: isPointerOver ? pointer.x : -Infinity,
+    mouseY: isPointerOver ? pointer.y : -Infinity,
+    closestAvailablePort: paneState.closestAvailablePort || null
+  });
+
+  return paneState;
+}
+
+/**
+ * Draws both rooms of the split view, each into its own canvas layers
+ * @param {Object} p5 - The p5 instance
+ * @param {Object} state - The application state
+ * @param {Object|null} pointer - The result of getPanePointer
+ */
+function drawSplitView(p5, state, pointer) {
+  updateLinkedPort(state, pointer);
+
+  [[state.splitView.primaryRoomId, 'main'], [state.splitView.roomId, 'split']].forEach(([roomId, surface]) => {
+    const roomState = roomId === state.activeRoomId ? state : getPaneState(state, roomId, pointer);
+    withLayerSurface(surface, () => renderDraw(p5, roomState));
+  });
+}
+
+/**
+ * Sets how the split view makes a room active
+ * @param {Function} focusRoomById - (roomId) => void, makes a room on screen the active room without moving it
+ */
+function initializeSplitView(focusRoomById) {
+  focusPaneRoom = focusRoomById;
+}
+
+// Export the functions
+export {
+  initializeSplitView,
+  openSplitView,
+  closeSplitView,
+  setSplitRoom,
+  refreshSplitRoom,
+  setSplitLayout,
+  setPrimaryRoom,
+  updateSplitViewLayout,
+  isRoomInSplitView,
+  getPaneContainer,
+  getPanePointer,
+  drawSplitView
+};
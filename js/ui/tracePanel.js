@@ -0,0 +1,112 @@
+/**
+ * Trace Panel Module
+ * Lists the hops of a traced signal path in a side panel
+ */
+
+// Import room utilities
+import { findPortInRoom } from '../models/Room.js';
+
+// Import panel shell
+import { createFloatingPanel, createPanelTitle } from './panelShell.js';
+
+// Panel element (created on first use)
+let tracePanel = null;
+
+/**
+ * Creates the trace panel element if it doesn't exist yet
+ * @returns {HTMLElement} - The panel element
+ */
+function getTracePanel() {
+  if (tracePanel) return tracePanel;
+
+  tracePanel = createFloatingPanel('trace-panel', { corner: 'top-right', width: 340 });
+  return tracePanel;
+}
+
+/**
+ * Formats a traced node as "portId (group label)"
+ * @param {Object} node - { portId, roomId }
+ * @param {Array} rooms - All loaded rooms
+ * @returns {string} - The formatted label
+ */
+function formatNode(node, rooms) {
+  const room = rooms.find(r => r.name === node.roomId);
+  const portInfo = findPortInRoom(room, node.portId);
+
+  if (portInfo && portInfo.groupLabel) {
+    return `${node.portId} (${portInfo.groupLabel})`;
+  }
+  return node.portId;
+}
+
+/**
+ * Shows the trace panel with the hops of a traced path
+ * @param {Object} trace - The trace returned by traceSignalPath
+ * @param {Array} rooms - All loaded rooms
+ */
+function showTracePanel(trace, rooms) {
+  const panel = getTracePanel();
+  panel.innerHTML = '';
+
+  const title = createPanelTitle('Signal Trace');
+  title.style.marginBottom = '12px';
+  panel.appendChild(title);
+
+  const origin = document.createElement('div');
+  origin.textContent = `${formatNode(trace.origin, rooms)} in ${trace.origin.roomId}`;
+  origin.style.cssText = 'color: #f9fafb; font-weight: 600; margin-bottom: 12px;';
+  panel.appendChild(origin);
+
+  if (trace.hops.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'Nothing is patched, normalled or tied to this jack.';
+    empty.style.color = '#9ca3af';
+    panel.appendChild(empty);
+  }
+
+  trace.hops.forEach(hop => {
+    const line = document.createElement('div');
+    line.style.cssText = `
+      padding: 6px 0;
+      border-top: 1px solid rgba(255, 255, 255, 0.05);
+      line-height: 1.5;
+    `;
+
+    // Tie lines cross rooms, so name the room on the far end
+    const target = hop.via === 'tie line' ?
+      `${hop.to.roomId}` :
+      formatNode(hop.to, rooms);
+    line.textContent = `${formatNode(hop.from, rooms)} → ${hop.via} → ${target}`;
+
+    if (hop.from.roomId !== trace.origin.roomId && hop.via !== 'tie line') {
+      const room = document.createElement('span');
+      room.textContent = ` [${hop.from.roomId}]`;
+      room.style.color = '#6b7280';
+      line.appendChild(room);
+    }
+
+    panel.appendChild(line);
+  });
+
+  const hint = document.createElement('p');
+  hint.textContent = 'Click another jack to trace it, or press T to leave trace mode.';
+  hint.style.cssText = 'color: #6b7280; font-size: 11px; margin-top: 12px;';
+  panel.appendChild(hint);
+
+  panel.style.display = 'block';
+}
+
+/**
+ * Hides the trace panel
+ */
+function hideTracePanel() {
+  if (tracePanel) {
+    tracePanel.style.display = 'none';
+  }
+}
+
+// Export the functions
+export {
+  showTracePanel,
+  hideTracePanel
+};
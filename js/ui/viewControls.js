@@ -0,0 +1,152 @@
+/**
+ * View Controls Module
+ * Ctrl/⌘+wheel and trackpad-pinch zoom, and middle-button or Space+drag pan, for the patch bay canvas
+ */
+
+// Import constants
+import { wheelZoomSpeed } from '../config/constants.js';
+
+// Import layer manager functions
+import { zoomViewAt, panView } from './layerManager.js';
+
+// Trackpad pinches arrive as small Ctrl+wheel deltas, so they are boosted to feel like the wheel
+const pinchZoomBoost = 8;
+
+// Largest delta (in pixels) treated as a pinch rather than a Ctrl+wheel notch
+const pinchDeltaLimit = 10;
+
+// Pixels per line when the browser reports wheel movement in lines
+const wheelLineHeight = 16;
+
+// Pan drag state
+let panDrag = null;
+let spaceHeld = false;
+
+/**
+ * Checks if the keyboard focus is in a form field
+ * @returns {boolean} - True while typing in an input or text area
+ */
+function isTyping() {
+  const activeTag = document.activeElement ? document.activeElement.tagName : '';
+  return activeTag === 'INPUT' || activeTag === 'TEXTAREA';
+}
+
+/**
+ * Checks if a room is on screen to zoom and pan
+ * @param {Object} state - The application state
+ * @returns {boolean} - True if a room is visible
+ */
+function hasVisibleRoom(state) {
+  return !!state.roomStates && Object.values(state.roomStates).some(roomState => roomState.visible);
+}
+
+/**
+ * Updates the canvas cursor to show whether a drag will pan
+ * @param {HTMLElement} container - The canvas container
+ */
+function updatePanCursor(container) {
+  if (panDrag) {
+    container.style.cursor = 'grabbing';
+  } else {
+    container.style.cursor = spaceHeld ? 'grab' : '';
+  }
+}
+
+/**
+ * Checks if the mouse is currently used for panning rather than patching
+ * @returns {boolean} - True while Space is held or a pan drag is in progress
+ */
+function isViewPanning() {
+  return spaceHeld || panDrag !== null;
+}
+
+/**
+ * Gets how much the canvas container is scaled on screen (the split view shrinks it side by side)
+ * @param {HTMLElement} container - The canvas container
+ * @returns {number} - Screen pixels per canvas pixel
+ */
+function getContainerScale(container) {
+  return container.offsetWidth ? container.getBoundingClientRect().width / container.offsetWidth : 1;
+}
+
+/**
+ * Adds the zoom and pan listeners to the canvas container
+ * @param {Object} state - The application state
+ */
+function initializeViewControls(state) {
+  const container = document.getElementById('canvas-container');
+  if (!container) {
+    console.error('Canvas container not found, zoom and pan disabled');
+    return;
+  }
+
+  // Ctrl/⌘+wheel zooms around the cursor (browsers report trackpad pinches as Ctrl+wheel too);
+  // a plain wheel is left to scroll the page, which is taller than the window for big rooms
+  container.addEventListener('wheel', (event) => {
+    if (!hasVisibleRoom(state) || !(event.ctrlKey || event.metaKey)) return;
+    event.preventDefault();
+
+    const rect = container.getBoundingClientRect();
+    const scale = getContainerScale(container);
+    const pixels = event.deltaY * (event.deltaMode === 1 ? wheelLineHeight : 1);
+    const isPinch = event.ctrlKey && Math.abs(pixels) < pinchDeltaLimit;
+    const delta = pixels * (isPinch ? pinchZoomBoost : 1);
+    zoomViewAt(Math.exp(-delta * wheelZoomSpeed), (event.clientX - rect.left) / scale, (event.clientY - rect.top) / scale);
+  }, { passive: false });
+
+  // Middle button, or left button with Space held, drags the view
+  container.addEventListener('mousedown', (event) => {
+    if (!hasVisibleRoom(state)) return;
+    if (event.button !== 1 && !(event.button === 0 && spaceHeld)) return;
+    event.preventDefault();
+
+    panDrag = { x: event.clientX, y: event.clientY };
+    updatePanCursor(container);
+  });
+
+  window.addEventListener('mousemove', (event) => {
+    if (!panDrag) return;
+
+    const scale = getContainerScale(container);
+    panView((event.clientX - panDrag.x) / scale, (event.clientY - panDrag.y) / scale);
+    panDrag = { x: event.clientX, y: event.clientY };
+  });
+
+  window.addEventListener('mouseup', () => {
+    if (!panDrag) return;
+
+    panDrag = null;
+    updatePanCursor(container);
+  });
+
+  // Space switches the left button to panning (and stops the page scrolling)
+  window.addEventListener('keydown', (event) => {
+    if (event.code !== 'Space' || isTyping() || !hasVisibleRoom(state)) return;
+    event.preventDefault();
+
+    if (!spaceHeld) {
+      spaceHeld = true;
+      updatePanCursor(container);
+    }
+  });
+
+  window.addEventListener('keyup', (event) => {
+    if (event.code !== 'Space') return;
+
+    spaceHeld = false;
+    updatePanCursor(container);
+  });
+
+  // Don't leave Space stuck down if the window loses focus mid-press
+  window.addEventListener('blur', () => {
+    spaceHeld = false;
+    panDrag = null;
+    updatePanCursor(container);
+  });
+}
+
+// Export the functions
+export {
+  initializeViewControls,
+  isViewPanning
+};
@@ -3,15 +3,56 @@
  * Handles loading and parsing of room data from CSV files
  */
 
+// Import normalization model
+import { createNormalization, NORMALIZATION_TYPES } from '../models/Normalization.js';
+
+// Import room linter
+import { lintRoomCSV, formatLintIssue } from './roomLinter.js';
+
+// Import bay geometry
+import { parseBayGeometry } from '../models/BayGeometry.js';
+
+// Import room panels
+import { parseRoomPanels } from '../models/RoomPanels.js';
+
+// Import port metadata
+import { SIGNAL_TYPES, parseSignalType } from '../models/PortMetadata.js';
+
+// Location of the optional room manifest
+const roomManifestPath = 'rooms/manifest.json';
+
+// Icon used for rooms the manifest doesn't give one
+const defaultRoomIcon = '🎛️';
+
+// Columns of a room's ports file, by header name (port is required)
+const portMetadataColumns = {
+  port: 'port',
+  device: 'device',
+  connector: 'connector',
+  signal: 'signal',
+  'signal type': 'signal',
+  notes: 'notes'
+};
+
 // Function to load and parse CSV files from the rooms folder
 async function loadRooms() {
   return new Promise(async (resolve, reject) => {
     try {
-      // Get list of CSV files from the rooms directory
-      const csvFiles = await discoverCSVFiles();
-      console.log(`Found ${csvFiles.length} CSV files:`, csvFiles);
+      // Read the room list from the manifest, or probe for CSV files when there is none
+      let roomEntries = await loadRoomManifest();
+      if (!roomEntries) {
+        const csvFiles = await discoverCSVFiles();
+        console.log(`Found ${csvFiles.length} CSV files:`, csvFiles);
+        roomEntries = csvFiles.map((csvFile, index) => createRoomEntry({ file: csvFile, order: index }));
+        
+        // Without a manifest, open the server room at start as before manifests existed
+        const serverEntry = roomEntries.find(entry => entry.name.toLowerCase().includes('server'));
+        if (serverEntry) {
+          serverEntry.isDefault = true;
+        }
+      }
       
-      if (csvFiles.length === 0) {
+      if (roomEntries.length === 0) {
         console.error('No CSV files found in rooms folder');
         resolve([]);
         return;
@@ -20,8 +61,9 @@ async function loadRooms() {
       const rooms = [];
       
       // Load each CSV file
-      for (const csvFile of csvFiles) {
-        const roomName = csvFile.replace('.csv', '');
+      for (const entry of roomEntries) {
+        const csvFile = entry.file;
+        const roomName = entry.name;
         console.log(`Attempting to load room: ${roomName}`);
         
         try {
@@ -41,6 +83,12 @@ async function loadRooms() {
             continue; // Skip empty files
           }
           
+          // Check for the mistakes parseRoomCSV reads silently
+          const lintIssues = lintRoomCSV(csvText, roomName, entry.geometry);
+          lintIssues.forEach(issue => {
+            console.warn(`${csvFile} ${formatLintIssue(issue)}`);
+          });
+          
           // Parse the CSV data
           const room = parseRoomCSV(csvText, roomName);
           
@@ -49,6 +97,18 @@ async function loadRooms() {
             continue; // Skip files that don't parse correctly
           }
           
+          room.lintIssues = lintIssues;
+          
+          // Carry the manifest settings on the room
+          room.displayName = entry.displayName;
+          room.icon = entry.icon;
+          room.order = entry.order;
+          room.isDefault = entry.isDefault;
+          room.normalsFile = entry.normals;
+          room.portsFile = entry.ports;
+          room.geometry = entry.geometry;
+          room.panels = entry.panels;
+          
           rooms.push(room);
           console.log('Room loaded successfully:', roomName);
           console.log('Sections:', room.sections.length);
@@ -64,6 +124,15 @@ async function loadRooms() {
         console.log(`Successfully loaded ${rooms.length} rooms`);
       }
       
+      // Keep the manifest's sort order (ties keep their listed order)
+      rooms.sort((a, b) => a.order - b.order);
+      
+      // Attach each room's normalizations (rooms without a normals file get an empty list)
+      await loadNormalizations(rooms);
+      
+      // Attach each room's port metadata (rooms without a ports file have none)
+      await loadPortMetadata(rooms);
+      
       resolve(rooms);
     } catch (error) {
       console.error('Error in loadRooms function:', error);
@@ -72,7 +141,67 @@ async function loadRooms() {
   });
 }
 
-// Function to discover CSV files in the rooms folder
+// Function to build a room entry with defaults for anything the manifest leaves out
+function createRoomEntry(entry) {
+  const name = entry.file.replace(/\.csv$/i, '');
+  
+  return {
+    file: entry.file,
+    name: name,
+    normals: entry.normals || `${name}-normals.csv`,
+    ports: entry.ports || `${name}-ports.csv`,
+    displayName: entry.displayName || name,
+    icon: entry.icon || defaultRoomIcon,
+    order: Number.isFinite(entry.order) ? entry.order : 0,
+    isDefault: entry.default === true,
+    geometry: parseBayGeometry(entry.geometry, entry.file),
+    panels: parseRoomPanels(entry.panels, entry.file)
+  };
+}
+
+// Function to load the room manifest listing each room's CSV, normals file, display name, icon, order, bay geometry, panels and ports file
+// Returns null when there is no usable manifest so the caller can fall back to probing
+async function loadRoomManifest() {
+  let manifest;
+  
+  try {
+    // Add cache-busting parameter to force fresh load
+    const cacheBuster = Date.now();
+    const response = await fetch(`${roomManifestPath}?v=${cacheBuster}`);
+    if (!response.ok) {
+      console.log('No room manifest found, probing for room CSV files');
+      return null;
+    }
+    
+    manifest = await response.json();
+  } catch (error) {
+    console.error('Error reading room manifest, probing for room CSV files:', error);
+    return null;
+  }
+  
+  if (!manifest || !Array.isArray(manifest.rooms)) {
+    console.error(`${roomManifestPath} has no "rooms" list, probing for room CSV files`);
+    return null;
+  }
+  
+  const entries = [];
+  manifest.rooms.forEach((entry, index) => {
+    if (!entry || typeof entry.file !== 'string' || !entry.file.toLowerCase().endsWith('.csv')) {
+      console.warn(`${roomManifestPath} room ${index + 1}: "file" must name a .csv file in the rooms folder`);
+      return;
+    }
+    
+    entries.push(createRoomEntry({
+      ...entry,
+      order: Number.isFinite(entry.order) ? entry.order : index
+    }));
+  });
+  
+  console.log(`Room manifest lists ${entries.length} rooms`);
+  return entries;
+}
+
+// Function to discover CSV files in the rooms folder (used when there is no manifest)
 async function discoverCSVFiles() {
   try {
     // Since we can't directly list directory contents from the browser,
@@ -106,6 +235,301 @@ async function discoverCSVFiles() {
   }
 }
 
+// Function to load the normalization file for each room from the normals folder
+async function loadNormalizations(rooms) {
+  for (const room of rooms) {
+    room.normalizations = [];
+    room.normalizationErrors = [];
+    
+    const normalsFile = room.normalsFile || `${room.name}-normals.csv`;
+    
+    try {
+      // Add cache-busting parameter to force fresh load
+      const cacheBuster = Date.now();
+      const response = await fetch(`normals/${normalsFile}?v=${cacheBuster}`);
+      if (!response.ok) {
+        console.log(`No normalization file for room ${room.name}, continuing without normals`);
+        continue;
+      }
+      
+      const csvText = await response.text();
+      if (csvText.trim() === '') {
+        console.log(`Normalization file ${normalsFile} is empty`);
+        continue;
+      }
+      
+      const { normalizations, errors } = parseNormalizationCSV(csvText, room.name, getRoomPortIds(room));
+      room.normalizations = normalizations;
+      room.normalizationErrors = errors;
+      
+      errors.forEach(error => {
+        const location = error.column ? `column ${error.column}` : 'file';
+        console.warn(`${normalsFile} ${location}: ${error.message}`);
+      });
+      console.log(`Loaded ${normalizations.length} normalizations for room ${room.name} (${errors.length} problems)`);
+    } catch (error) {
+      console.error(`Error loading normalizations for room ${room.name}:`, error);
+    }
+  }
+  
+  return rooms;
+}
+
+// Function to load the port metadata file for each room from the ports folder
+async function loadPortMetadata(rooms) {
+  for (const room of rooms) {
+    room.portMetadata = {};
+    room.portMetadataIssues = [];
+    
+    const portsFile = room.portsFile || `${room.name}-ports.csv`;
+    
+    try {
+      // Add cache-busting parameter to force fresh load
+      const cacheBuster = Date.now();
+      const response = await fetch(`ports/${portsFile}?v=${cacheBuster}`);
+      if (!response.ok) {
+        console.log(`No ports file for room ${room.name}, continuing without port metadata`);
+        continue;
+      }
+      
+      const csvText = await response.text();
+      if (csvText.trim() === '') {
+        console.log(`Ports file ${portsFile} is empty`);
+        continue;
+      }
+      
+      const { metadata, issues } = parsePortMetadataCSV(csvText, room.name, getRoomPortIds(room));
+      room.portMetadata = metadata;
+      room.portMetadataIssues = issues;
+      
+      issues.forEach(issue => {
+        console.warn(`${portsFile} ${formatLintIssue(issue)}`);
+      });
+      console.log(`Loaded metadata for ${Object.keys(metadata).length} ports in room ${room.name} (${issues.length} problems)`);
+    } catch (error) {
+      console.error(`Error loading port metadata for room ${room.name}:`, error);
+    }
+  }
+  
+  return rooms;
+}
+
+// Function to parse a ports file (a header row, then one row per jack: port, device, connector, signal, notes)
+// Returns metadata keyed by port ID and a list of { row, column, severity, message } problems (rows are 1-based)
+function parsePortMetadataCSV(csvText, roomName, roomPortIds = null) {
+  // Blank lines are kept so row numbers match the file
+  const result = Papa.parse(csvText.trim());
+  const rows = result.data;
+  const metadata = {};
+  const issues = [];
+  
+  // Map each header cell to the field it fills
+  const header = (rows[0] || []).map(cell => portMetadataColumns[String(cell).trim().toLowerCase()] || null);
+  const portColumn = header.indexOf('port');
+  
+  if (portColumn === -1) {
+    issues.push({ row: 1, column: null, severity: 'error', message: 'Header row has no port column' });
+    return { metadata, issues };
+  }
+  
+  (rows[0] || []).forEach((cell, index) => {
+    if (!header[index] && String(cell).trim() !== '') {
+      issues.push({ row: 1, column: index + 1, severity: 'warning', message: `Unknown column '${String(cell).trim()}' ignored` });
+    }
+  });
+  
+  rows.slice(1).forEach((cells, index) => {
+    const row = index + 2;
+    
+    // Blank rows (e.g. a line of commas) are ignored
+    if (cells.every(cell => String(cell).trim() === '')) return;
+    
+    const fields = { port: '', device: '', connector: '', signal: '', notes: '' };
+    header.forEach((field, column) => {
+      if (field && cells[column] !== undefined) {
+        fields[field] = String(cells[column]).trim();
+      }
+    });
+    
+    if (fields.port === '') {
+      issues.push({ row, column: portColumn + 1, severity: 'warning', message: 'Row has no port ID and is ignored' });
+      return;
+    }
+    
+    if (roomPortIds && !roomPortIds.has(fields.port)) {
+      issues.push({ row, column: portColumn + 1, severity: 'error', message: `Port ${fields.port} does not exist in room ${roomName}` });
+      return;
+    }
+    
+    if (metadata[fields.port]) {
+      issues.push({ row, column: portColumn + 1, severity: 'error', message: `Port ${fields.port} is already described on an earlier row` });
+      return;
+    }
+    
+    // An unknown signal type is dropped but the rest of the row is kept
+    const signalType = parseSignalType(fields.signal);
+    if (fields.signal !== '' && !signalType) {
+      issues.push({
+        row,
+        column: header.indexOf('signal') + 1,
+        severity: 'warning',
+        message: `Unknown signal type '${fields.signal}' (expected ${Object.values(SIGNAL_TYPES).join(', ')})`
+      });
+    }
+    
+    metadata[fields.port] = {
+      device: fields.device,
+      connector: fields.connector,
+      signalType: signalType,
+      notes: fields.notes
+    };
+  });
+  
+  return { metadata, issues };
+}
+
+// Function to collect every live port ID defined in a parsed room
+function getRoomPortIds(room) {
+  const portIds = new Set();
+  
+  (room.sections || []).forEach(section => {
+    [section.topRow, section.bottomRow].forEach(row => {
+      (row.portIds || []).forEach(portId => {
+        if (typeof portId === 'string' && portId.trim() !== '') {
+          portIds.add(portId.trim());
+        }
+      });
+    });
+  });
+  
+  return portIds;
+}
+
+// Function to parse a horizontal normalization CSV (source, destination, type, enabled rows)
+// Returns the valid normalizations and a list of { column, message } problems (columns are 1-based)
+function parseNormalizationCSV(csvText, roomName, roomPortIds = null) {
+  const result = Papa.parse(csvText.trim(), { skipEmptyLines: true });
+  const rows = result.data;
+  const errors = [];
+  
+  if (rows.length !== 4) {
+    errors.push({
+      column: null,
+      message: `Expected 4 rows (source, destination, type, enabled) but found ${rows.length}`
+    });
+    if (rows.length < 4) {
+      return { normalizations: [], errors };
+    }
+  }
+  
+  const [sourceRow, destinationRow, typeRow, enabledRow] = rows;
+  const rowNames = ['source', 'destination', 'type', 'enabled'];
+  const rowLengths = [sourceRow, destinationRow, typeRow, enabledRow].map(row => row.length);
+  const columnCount = Math.max(...rowLengths);
+  
+  if (rowLengths.some(length => length !== columnCount)) {
+    const summary = rowNames.map((name, index) => `${name}=${rowLengths[index]}`).join(', ');
+    errors.push({ column: null, message: `Rows have mismatched column counts (${summary})` });
+  }
+  
+  // First pass: validate each column on its own
+  const candidates = [];
+  
+  for (let i = 0; i < columnCount; i++) {
+    const column = i + 1;
+    const cells = [sourceRow[i], destinationRow[i], typeRow[i], enabledRow[i]]
+      .map(cell => (cell === undefined ? undefined : String(cell).trim()));
+    
+    // Columns left completely blank (e.g. trailing commas) are ignored
+    if (cells.every(cell => !cell)) continue;
+    
+    const missing = rowNames.filter((name, index) => !cells[index]);
+    if (missing.length > 0) {
+      errors.push({ column, message: `Missing ${missing.join(', ')} value` });
+      continue;
+    }
+    
+    const [sourcePort, normalizedPort, rawType, rawEnabled] = cells;
+    const type = rawType.toLowerCase();
+    const enabled = rawEnabled.toLowerCase();
+    let columnValid = true;
+    
+    if (!NORMALIZATION_TYPES.includes(type)) {
+      errors.push({ column, message: `Unknown normalization type '${rawType}' (expected ${NORMALIZATION_TYPES.join(' or ')})` });
+      columnValid = false;
+    }
+    
+    if (enabled !== 'true' && enabled !== 'false') {
+      errors.push({ column, message: `Enabled value '${rawEnabled}' is not a boolean (expected TRUE or FALSE)` });
+      columnValid = false;
+    }
+    
+    if (sourcePort === normalizedPort) {
+      errors.push({ column, message: `Port ${sourcePort} cannot be normalled to itself` });
+      columnValid = false;
+    }
+    
+    if (roomPortIds) {
+      [sourcePort, normalizedPort].forEach(portId => {
+        if (!roomPortIds.has(portId)) {
+          errors.push({ column, message: `Port ${portId} does not exist in room ${roomName}` });
+          columnValid = false;
+        }
+      });
+    }
+    
+    if (columnValid) {
+      candidates.push({
+        column,
+        normalization: createNormalization(sourcePort, normalizedPort, type, enabled === 'true', roomName)
+      });
+    }
+  }
+  
+  // Second pass: reject circular, chained and doubled-up normals between columns
+  const rejectedColumns = new Set();
+  
+  candidates.forEach(candidate => {
+    const { sourcePort, normalizedPort } = candidate.normalization;
+    
+    candidates.forEach(other => {
+      if (other === candidate) return;
+      
+      if (other.normalization.sourcePort === normalizedPort) {
+        const circular = other.normalization.normalizedPort === sourcePort;
+        errors.push({
+          column: candidate.column,
+          message: circular ?
+            `Circular normal: ${sourcePort} -> ${normalizedPort} -> ${sourcePort} (with column ${other.column})` :
+            `Chained normal: ${normalizedPort} is also the source of column ${other.column}`
+        });
+        if (!circular) {
+          errors.push({
+            column: other.column,
+            message: `Chained normal: ${normalizedPort} is fed by the normal in column ${candidate.column}`
+          });
+        }
+        rejectedColumns.add(candidate.column);
+        rejectedColumns.add(other.column);
+      } else if (other.normalization.normalizedPort === normalizedPort && other.column > candidate.column) {
+        errors.push({
+          column: other.column,
+          message: `Port ${normalizedPort} is already normalled from column ${candidate.column}`
+        });
+        rejectedColumns.add(other.column);
+      }
+    });
+  });
+  
+  const normalizations = candidates
+    .filter(candidate => !rejectedColumns.has(candidate.column))
+    .map(candidate => candidate.normalization);
+  
+  errors.sort((a, b) => (a.column || 0) - (b.column || 0));
+  
+  return { normalizations, errors };
+}
+
 // Function to create a fallback room if loading fails
 function createFallbackRoom() {
   console.log('Creating fallback room with simple grid');
@@ -113,6 +537,10 @@ function createFallbackRoom() {
   // Create a simple 2x48 grid with basic port IDs
   const fallbackRoom = {
     name: 'Default Room',
+    displayName: 'Default Room',
+    icon: defaultRoomIcon,
+    order: 0,
+    isDefault: true,
     sections: [{
       topRow: {
         groupLabels: [{ label: 'Top Row', startIndex: 0, endIndex: 47 }],
@@ -308,6 +736,12 @@ function findGroupForPort(groupLabels, portIndex) {
 // Export the functions as an ES module
 export {
   loadRooms,
+  loadRoomManifest,
+  loadNormalizations,
+  loadPortMetadata,
+  getRoomPortIds,
+  parseNormalizationCSV,
+  parsePortMetadataCSV,
   parseRoomCSV,
   parseGroupLabels,
   findGroupForPort,
@@ -0,0 +1,30 @@
+/**
+ * Download Module
+ * Saves generated text (patches, reports) as a file in the browser
+ */
+
+// Function to turn a user-entered title into a safe file name stem
+function toFileNameStem(title, fallback) {
+  const stem = (title || '').trim().replace(/[^a-z0-9-_ ]/gi, '').replace(/\s+/g, '-');
+  return stem || fallback;
+}
+
+// Function to download text as a file
+function downloadTextFile(fileName, text, mimeType = 'text/plain') {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Export the functions as an ES module
+export {
+  toFileNameStem,
+  downloadTextFile
+};
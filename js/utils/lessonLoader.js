@@ -0,0 +1,82 @@
+/**
+ * Lesson Loader Module
+ * Loads training lessons listed in lessons/manifest.json
+ */
+
+// Import exercise model
+import { validateLesson } from '../models/Exercise.js';
+
+// Location of the lesson manifest
+const lessonManifestPath = 'lessons/manifest.json';
+
+// Function to load every lesson in the manifest, sorted by order
+// Returns { lessons, errors: [{ file, message }] } - lessons with problems are left out
+async function loadLessons(rooms) {
+  const lessons = [];
+  const errors = [];
+  let manifest;
+
+  try {
+    // Add cache-busting parameter to force fresh load
+    const cacheBuster = Date.now();
+    const response = await fetch(`${lessonManifestPath}?v=${cacheBuster}`);
+    if (!response.ok) {
+      console.log('No lesson manifest found');
+      return { lessons, errors };
+    }
+
+    manifest = await response.json();
+  } catch (error) {
+    console.error('Error reading lesson manifest:', error);
+    errors.push({ file: 'manifest.json', message: 'could not be read as JSON' });
+    return { lessons, errors };
+  }
+
+  if (!manifest || !Array.isArray(manifest.lessons)) {
+    errors.push({ file: 'manifest.json', message: 'has no "lessons" list' });
+    return { lessons, errors };
+  }
+
+  for (const [index, entry] of manifest.lessons.entries()) {
+    if (!entry || typeof entry.file !== 'string' || !entry.file.toLowerCase().endsWith('.json')) {
+      errors.push({ file: 'manifest.json', message: `lesson ${index + 1}: "file" must name a .json file in the lessons folder` });
+      continue;
+    }
+
+    try {
+      const cacheBuster = Date.now();
+      const response = await fetch(`lessons/${entry.file}?v=${cacheBuster}`);
+      if (!response.ok) {
+        errors.push({ file: entry.file, message: `failed to load (${response.status} ${response.statusText})` });
+        continue;
+      }
+
+      const lesson = await response.json();
+      const problems = validateLesson(lesson, rooms);
+      if (problems.length > 0) {
+        problems.forEach(message => errors.push({ file: entry.file, message }));
+        continue;
+      }
+
+      lesson.file = entry.file;
+      lesson.order = Number.isFinite(entry.order) ? entry.order : index;
+      lessons.push(lesson);
+    } catch (error) {
+      console.error(`Error loading lesson ${entry.file}:`, error);
+      errors.push({ file: entry.file, message: 'could not be read as JSON' });
+    }
+  }
+
+  // Keep the manifest's sort order (ties keep their listed order)
+  lessons.sort((a, b) => a.order - b.order);
+
+  errors.forEach(error => console.warn(`lessons/${error.file}: ${error.message}`));
+  console.log(`Loaded ${lessons.length} lessons (${errors.length} problems)`);
+
+  return { lessons, errors };
+}
+
+// Export the functions as an ES module
+export {
+  loadLessons
+};
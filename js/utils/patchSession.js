@@ -0,0 +1,230 @@
+/**
+ * Patch Session Module
+ * Serializes patch sessions (connections per room, active room and color index),
+ * keeps the latest session in localStorage so it survives a reload,
+ * and reads and writes shareable .patch.json files
+ */
+
+// Import constants
+import { sessionStorageKey } from '../config/constants.js';
+
+// Import room utilities
+import { getRoomPortIds } from './csvParser.js';
+
+// Current session schema version
+export const SESSION_SCHEMA_VERSION = 1;
+
+// Format marker written to exported patch files
+export const PATCH_FILE_FORMAT = 'patch-bay-simulator/patch';
+
+/**
+ * Gets the port IDs at both ends of a connection
+ * @param {Object} connection - The connection
+ * @returns {Array} - [portAId, portBId]
+ */
+function getConnectionPortIds(connection) {
+  const portAId = connection.from || (connection.portA && connection.portA.id);
+  const portBId = connection.to || (connection.portB && connection.portB.id);
+  return [portAId, portBId];
+}
+
+/**
+ * Checks a saved cable color
+ * @param {*} color - The saved color
+ * @returns {boolean} - True for an [r, g, b] array of three numbers from 0 to 255
+ */
+function isValidColor(color) {
+  return Array.isArray(color) &&
+    color.length === 3 &&
+    color.every(channel => Number.isFinite(channel) && channel >= 0 && channel <= 255);
+}
+
+/**
+ * Builds a plain session object from the application state
+ * Connections are stored by port ID only, never by port object reference
+ * @param {Object} state - The application state
+ * @returns {Object} - The serializable session
+ */
+function serializeSession(state) {
+  const rooms = {};
+
+  Object.keys(state.roomStates).forEach(roomId => {
+    // The active room's live connections may be newer than its saved copy
+    const connections = roomId === state.activeRoomId ?
+      state.connections :
+      state.roomStates[roomId].connections;
+
+    rooms[roomId] = (connections || []).map(connection => {
+      const [portA, portB] = getConnectionPortIds(connection);
+      return {
+        portA: portA,
+        portB: portB,
+        color: connection.color
+      };
+    });
+  });
+
+  return {
+    schemaVersion: SESSION_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    activeRoomId: state.activeRoomId,
+    currentColorIndex: state.currentColorIndex,
+    rooms: rooms
+  };
+}
+
+/**
+ * Checks a session against the loaded rooms and drops connections that no longer fit
+ * @param {Object} session - A session produced by serializeSession
+ * @param {Array} rooms - All loaded rooms
+ * @returns {Object} - { connectionsByRoom: { roomId: [{ portA, portB, color }] }, dropped: [{ roomId, portA, portB, reason }] }
+ */
+function validateSession(session, rooms) {
+  const connectionsByRoom = {};
+  const dropped = [];
+
+  if (!session || typeof session.rooms !== 'object' || session.rooms === null) {
+    return { connectionsByRoom, dropped };
+  }
+
+  Object.keys(session.rooms).forEach(roomId => {
+    const room = rooms.find(r => r.name === roomId);
+    const savedConnections = Array.isArray(session.rooms[roomId]) ? session.rooms[roomId] : [];
+
+    if (!room) {
+      savedConnections.forEach(saved => {
+        dropped.push({ roomId, portA: saved && saved.portA, portB: saved && saved.portB, reason: 'room no longer exists' });
+      });
+      return;
+    }
+
+    // Check against the live port IDs of the room as it is now
+    const portIds = getRoomPortIds(room);
+
+    connectionsByRoom[roomId] = [];
+
+    savedConnections.forEach(saved => {
+      // Patch files get edited by hand, so a bad color must not reach the renderer
+      if (!saved || !isValidColor(saved.color)) {
+        dropped.push({ roomId, portA: saved && saved.portA, portB: saved && saved.portB, reason: 'malformed entry' });
+        return;
+      }
+
+      if (saved.portA === saved.portB) {
+        dropped.push({ roomId, portA: saved.portA, portB: saved.portB, reason: 'both ends on the same jack' });
+        return;
+      }
+
+      const missing = [saved.portA, saved.portB].filter(portId => !portIds.has(portId));
+      if (missing.length > 0) {
+        dropped.push({
+          roomId,
+          portA: saved.portA,
+          portB: saved.portB,
+          reason: `${missing.join(' and ')} no longer in room`
+        });
+        return;
+      }
+
+      connectionsByRoom[roomId].push(saved);
+    });
+  });
+
+  return { connectionsByRoom, dropped };
+}
+
+/**
+ * Saves a session to localStorage
+ * @param {Object} session - A session produced by serializeSession
+ */
+function saveSessionToStorage(session) {
+  try {
+    window.localStorage.setItem(sessionStorageKey, JSON.stringify(session));
+  } catch (error) {
+    console.error('Error saving patch session:', error);
+  }
+}
+
+/**
+ * Loads the saved session from localStorage
+ * @returns {Object|null} - The saved session or null if none is stored or it is unreadable
+ */
+function loadSessionFromStorage() {
+  try {
+    const stored = window.localStorage.getItem(sessionStorageKey);
+    if (!stored) return null;
+
+    const session = JSON.parse(stored);
+    if (!session || session.schemaVersion !== SESSION_SCHEMA_VERSION) {
+      console.warn('Ignoring saved patch session with unsupported schema version:', session && session.schemaVersion);
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    console.error('Error loading patch session:', error);
+    return null;
+  }
+}
+
+/**
+ * Builds the contents of a downloadable patch file
+ * @param {Object} state - The application state
+ * @param {string} title - A name for the patch (e.g. exercise or student name)
+ * @returns {Object} - The patch file contents
+ */
+function createPatchFile(state, title = '') {
+  const session = serializeSession(state);
+  const connectionCount = Object.values(session.rooms)
+    .reduce((total, connections) => total + connections.length, 0);
+
+  return {
+    format: PATCH_FILE_FORMAT,
+    ...session,
+    metadata: {
+      title: title,
+      exportedAt: session.savedAt,
+      rooms: Object.keys(session.rooms),
+      connectionCount: connectionCount
+    }
+  };
+}
+
+/**
+ * Reads the text of a patch file and checks its format and schema version
+ * @param {string} text - The file contents
+ * @returns {Object} - The session stored in the file
+ * @throws {Error} - If the file is not a readable patch file
+ */
+function parsePatchFile(text) {
+  let patch;
+  try {
+    patch = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!patch || patch.format !== PATCH_FILE_FORMAT) {
+    throw new Error('The file is not a Patch Bay Simulator patch');
+  }
+
+  if (patch.schemaVersion !== SESSION_SCHEMA_VERSION) {
+    throw new Error(`Unsupported patch schema version ${patch.schemaVersion} (expected ${SESSION_SCHEMA_VERSION})`);
+  }
+
+  if (!patch.rooms || typeof patch.rooms !== 'object') {
+    throw new Error('The patch file has no rooms section');
+  }
+
+  return patch;
+}
+
+// Export the functions
+export {
+  serializeSession,
+  validateSession,
+  saveSessionToStorage,
+  loadSessionFromStorage,
+  createPatchFile,
+  parsePatchFile
+};
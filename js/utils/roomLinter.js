@@ -0,0 +1,383 @@
+/**
+ * Room Linter Module
+ * Checks a room CSV for the mistakes parseRoomCSV reads silently
+ *
+ * Issues are { row, column, severity, message } with 1-based CSV rows and columns
+ * (column is null for problems with a whole row or section). Severity is 'error' when
+ * parseRoomCSV drops or misreads data, and 'warning' when the file loads but looks wrong.
+ */
+
+// Import bay geometry
+import { getSectionGeometry } from '../models/BayGeometry.js';
+
+// What each of a section's six rows holds
+const sectionRowNames = [
+  'top group labels',
+  'top channel numbers',
+  'top port IDs',
+  'bottom port IDs',
+  'bottom channel numbers',
+  'bottom group labels'
+];
+
+// Share of a room's jacks that must use a prefix before it counts as the room's naming pattern
+const namingPatternShare = 0.9;
+
+/**
+ * Reads a cell as trimmed text
+ * @param {Array} row - The CSV row
+ * @param {number} index - The 0-based column
+ * @returns {string} - The cell text, or '' for a missing cell
+ */
+function getCell(row, index) {
+  const cell = row ? row[index] : undefined;
+  return cell === undefined || cell === null ? '' : String(cell).trim();
+}
+
+/**
+ * Checks if a CSV row is a blank line
+ * @param {Array} row - The CSV row
+ * @returns {boolean} - True for a line with no cells or a single empty cell
+ */
+function isBlankLine(row) {
+  return !row || row.length === 0 || (row.length === 1 && getCell(row, 0) === '');
+}
+
+/**
+ * Lists columns compactly, e.g. "17-28, 33"
+ * @param {Array} columns - 1-based columns in ascending order
+ * @returns {string} - The column list
+ */
+function formatColumns(columns) {
+  const ranges = [];
+  columns.forEach(column => {
+    const last = ranges[ranges.length - 1];
+    if (last && column === last[1] + 1) {
+      last[1] = column;
+    } else {
+      ranges.push([column, column]);
+    }
+  });
+  return ranges.map(([first, last]) => (first === last ? `${first}` : `${first}-${last}`)).join(', ');
+}
+
+/**
+ * Checks each row has one cell per jack in its section
+ * @param {Array} lines - The CSV rows
+ * @param {Array|null} geometry - The room's bay geometry from parseBayGeometry
+ * @param {Array} issues - Issues are added here
+ */
+function lintRowLengths(lines, geometry, issues) {
+  lines.forEach((row, index) => {
+    const expectedRowLength = getSectionGeometry(geometry, Math.floor(index / sectionRowNames.length)).jacks;
+    if (isBlankLine(row) || row.length === expectedRowLength) return;
+
+    if (row.length < expectedRowLength) {
+      issues.push({
+        row: index + 1,
+        column: null,
+        severity: 'warning',
+        message: `Row has ${row.length} cells (expected ${expectedRowLength}); the missing columns are read as dead jacks`
+      });
+      return;
+    }
+
+    const ignored = row.slice(expectedRowLength).map(cell => String(cell).trim()).filter(Boolean);
+    issues.push({
+      row: index + 1,
+      column: ignored.length > 0 ? expectedRowLength + 1 : null,
+      severity: ignored.length > 0 ? 'error' : 'warning',
+      message: ignored.length > 0 ?
+        `Row has ${row.length} cells; '${ignored.join("', '")}' after column ${expectedRowLength} will not appear` :
+        `Row has ${row.length} cells (expected ${expectedRowLength}); the extra cells are empty`
+    });
+  });
+}
+
+/**
+ * Checks channel numbers have a jack in the same column (one issue per row)
+ * @param {Array} channelRow - The channel number row
+ * @param {Array} portIdRow - The port ID row next to it
+ * @param {number} rowNumber - The channel row's 1-based CSV row
+ * @param {Array} issues - Issues are added here
+ */
+function lintChannelNumbers(channelRow, portIdRow, rowNumber, issues) {
+  const columns = [];
+  for (let index = 0; index < channelRow.length; index++) {
+    if (getCell(channelRow, index) && !getCell(portIdRow, index)) {
+      columns.push(index + 1);
+    }
+  }
+
+  if (columns.length > 0) {
+    issues.push({
+      row: rowNumber,
+      column: columns[0],
+      severity: 'warning',
+      message: columns.length === 1 ?
+        `Channel number in column ${columns[0]} has no port ID and shows on a dead jack` :
+        `Channel numbers in columns ${formatColumns(columns)} have no port ID and show on dead jacks`
+    });
+  }
+}
+
+/**
+ * Checks a group label row's END markers the way parseGroupLabels reads them
+ * A group runs from its label until the next label, so cells after an END still belong to it
+ * @param {Array} labelRow - The group label row
+ * @param {Array} portIdRow - The port ID row the labels belong to
+ * @param {number} rowNumber - The label row's 1-based CSV row
+ * @param {Array} issues - Issues are added here
+ */
+function lintGroupLabels(labelRow, portIdRow, rowNumber, issues) {
+  let group = null;
+
+  const finishGroup = () => {
+    if (group && group.strayColumns.length > 0) {
+      const columns = group.strayColumns;
+      issues.push({
+        row: rowNumber,
+        column: columns[0],
+        severity: 'warning',
+        message: `Jacks in column${columns.length === 1 ? '' : 's'} ${formatColumns(columns)} come after the END of '${group.label}' ` +
+          'but are still read as part of it; start a new group label there'
+      });
+    }
+  };
+
+  for (let index = 0; index < labelRow.length; index++) {
+    const cell = getCell(labelRow, index);
+
+    if (cell.toLowerCase() === 'end') {
+      if (!group) {
+        issues.push({ row: rowNumber, column: index + 1, severity: 'error', message: 'END does not close any group label' });
+      } else if (group.closedAt !== null) {
+        issues.push({
+          row: rowNumber,
+          column: index + 1,
+          severity: 'error',
+          message: `'${group.label}' was already closed by the END in column ${group.closedAt}, so the groups overlap`
+        });
+      } else {
+        group.closedAt = index + 1;
+      }
+    } else if (cell !== '') {
+      finishGroup();
+      group = { label: cell, startColumn: index + 1, closedAt: null, strayColumns: [] };
+    } else if (group && group.closedAt !== null && getCell(portIdRow, index)) {
+      group.strayColumns.push(index + 1);
+    }
+  }
+
+  finishGroup();
+
+  // The last group has no following label to end it
+  if (group && group.closedAt === null && group.startColumn < labelRow.length) {
+    issues.push({
+      row: rowNumber,
+      column: group.startColumn,
+      severity: 'warning',
+      message: `'${group.label}' never closes with END, so it runs to the end of the row`
+    });
+  }
+}
+
+/**
+ * Finds the prefix most of a room's port IDs share: the room code (p1862) or failing that the first character
+ * @param {Array} portIds - Every port ID in the room
+ * @returns {string|null} - The prefix, or null if the room has no clear naming pattern
+ */
+function findNamingPrefix(portIds) {
+  const prefixRules = [
+    portId => (/^[a-z]+\d+/i.exec(portId) || [''])[0],
+    portId => portId.charAt(0)
+  ];
+
+  for (const getPrefix of prefixRules) {
+    const counts = {};
+    portIds.forEach(portId => {
+      const prefix = getPrefix(portId);
+      if (prefix) counts[prefix] = (counts[prefix] || 0) + 1;
+    });
+
+    const [prefix, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    if (prefix && count >= portIds.length * namingPatternShare) {
+      return prefix;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks port IDs for duplicates, near-duplicates and IDs that don't follow the room's naming pattern
+ * @param {Array} jacks - [{ portId, row, column }] for every port ID in the room
+ * @param {Array} issues - Issues are added here
+ */
+function lintPortIds(jacks, issues) {
+  const firstSeen = {};
+  const firstSeenIgnoringCase = {};
+
+  jacks.forEach(jack => {
+    const caseKey = jack.portId.toLowerCase();
+
+    if (firstSeen[jack.portId]) {
+      const first = firstSeen[jack.portId];
+      issues.push({
+        row: jack.row,
+        column: jack.column,
+        severity: 'error',
+        message: `Port ID '${jack.portId}' is already used at row ${first.row}, column ${first.column}`
+      });
+      return;
+    }
+    firstSeen[jack.portId] = jack;
+
+    if (firstSeenIgnoringCase[caseKey]) {
+      const first = firstSeenIgnoringCase[caseKey];
+      issues.push({
+        row: jack.row,
+        column: jack.column,
+        severity: 'warning',
+        message: `Port ID '${jack.portId}' differs only in case from '${first.portId}' at row ${first.row}, column ${first.column}`
+      });
+    } else {
+      firstSeenIgnoringCase[caseKey] = jack;
+    }
+
+    if (/[^A-Za-z0-9_./-]/.test(jack.portId)) {
+      issues.push({
+        row: jack.row,
+        column: jack.column,
+        severity: 'warning',
+        message: `Port ID '${jack.portId}' contains spaces or unusual characters`
+      });
+    }
+  });
+
+  const prefix = findNamingPrefix(jacks.map(jack => jack.portId));
+  if (!prefix) return;
+
+  jacks.forEach(jack => {
+    if (!jack.portId.startsWith(prefix)) {
+      issues.push({
+        row: jack.row,
+        column: jack.column,
+        severity: 'warning',
+        message: `Port ID '${jack.portId}' doesn't start with '${prefix}' like the rest of this room`
+      });
+    }
+  });
+}
+
+/**
+ * Checks a room CSV for incomplete sections, wrong row lengths, duplicate or suspicious port IDs,
+ * channel numbers without jacks and group labels whose END markers don't line up
+ * @param {string} csvText - The room CSV text
+ * @param {string} roomName - The room name (for log messages)
+ * @param {Array|null} geometry - The room's bay geometry from parseBayGeometry (null for 48 jacks per row)
+ * @returns {Array} - [{ row, column, severity: 'error'|'warning', message }] sorted by position
+ */
+function lintRoomCSV(csvText, roomName, geometry = null) {
+  // Papa is expected to be available globally from the script included in index.html
+  const lines = Papa.parse(csvText, { skipEmptyLines: false }).data;
+  const issues = [];
+
+  // A trailing newline isn't a row
+  while (lines.length > 0 && isBlankLine(lines[lines.length - 1])) {
+    lines.pop();
+  }
+
+  if (lines.length === 0) {
+    issues.push({ row: null, column: null, severity: 'error', message: 'The file is empty' });
+    return issues;
+  }
+
+  // Blank lines inside the file shift every later section by a row
+  lines.forEach((row, index) => {
+    if (isBlankLine(row)) {
+      issues.push({
+        row: index + 1,
+        column: null,
+        severity: 'error',
+        message: 'Blank line; every section after it is read one row out of place'
+      });
+    }
+  });
+
+  lintRowLengths(lines, geometry, issues);
+
+  const completeSections = Math.floor(lines.length / sectionRowNames.length);
+  const leftoverRows = lines.length % sectionRowNames.length;
+  if (leftoverRows > 0) {
+    const firstRow = completeSections * sectionRowNames.length + 1;
+    issues.push({
+      row: firstRow,
+      column: null,
+      severity: 'error',
+      message: `Section ${completeSections + 1} has ${leftoverRows} row${leftoverRows === 1 ? '' : 's'} instead of 6 ` +
+        `(missing ${sectionRowNames.slice(leftoverRows).join(', ')}), so it is skipped`
+    });
+  }
+
+  const jacks = [];
+
+  for (let sectionIndex = 0; sectionIndex < completeSections; sectionIndex++) {
+    const firstRow = sectionIndex * sectionRowNames.length;
+    const [topLabels, topChannels, topPortIds, bottomPortIds, bottomChannels, bottomLabels] =
+      lines.slice(firstRow, firstRow + sectionRowNames.length);
+
+    if (topPortIds.every((cell, index) => !getCell(topPortIds, index))) {
+      issues.push({
+        row: firstRow + 3,
+        column: null,
+        severity: topPortIds.length <= 1 ? 'error' : 'warning',
+        message: topPortIds.length <= 1 ?
+          `Section ${sectionIndex + 1} has no top port IDs, so it is skipped` :
+          `Section ${sectionIndex + 1} has no top port IDs`
+      });
+    }
+
+    const jackCount = getSectionGeometry(geometry, sectionIndex).jacks;
+    [[topPortIds, firstRow + 3], [bottomPortIds, firstRow + 4]].forEach(([row, rowNumber]) => {
+      row.slice(0, jackCount).forEach((cell, index) => {
+        const portId = getCell(row, index);
+        if (portId) {
+          jacks.push({ portId, row: rowNumber, column: index + 1 });
+        }
+      });
+    });
+
+    lintChannelNumbers(topChannels, topPortIds, firstRow + 2, issues);
+    lintChannelNumbers(bottomChannels, bottomPortIds, firstRow + 5, issues);
+    lintGroupLabels(topLabels, topPortIds, firstRow + 1, issues);
+    lintGroupLabels(bottomLabels, bottomPortIds, firstRow + 6, issues);
+  }
+
+  lintPortIds(jacks, issues);
+
+  issues.sort((a, b) => (a.row || 0) - (b.row || 0) || (a.column || 0) - (b.column || 0));
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  console.log(`Linted room ${roomName}: ${errorCount} errors, ${issues.length - errorCount} warnings`);
+  return issues;
+}
+
+/**
+ * Formats an issue as one line, e.g. "Row 3, column 12: ..." (issues without a row give just the column)
+ * @param {Object} issue - An issue from lintRoomCSV
+ * @returns {string} - The formatted issue
+ */
+function formatLintIssue(issue) {
+  if (!issue.row && !issue.column) return issue.message;
+  if (!issue.row) return `Column ${issue.column}: ${issue.message}`;
+
+  const location = issue.column ? `Row ${issue.row}, column ${issue.column}` : `Row ${issue.row}`;
+  return `${location}: ${issue.message}`;
+}
+
+// Export the functions as an ES module
+export {
+  lintRoomCSV,
+  formatLintIssue
+};